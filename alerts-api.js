@@ -0,0 +1,337 @@
+import fs from "node:fs";
+import path from "node:path";
+
+/* ============================================================
+   Utils
+   - Small helpers used across the module
+============================================================ */
+
+// Return current time as milliseconds since epoch
+function nowMs() {
+  return Date.now();
+}
+
+// Parse "90", "30s", "5m", "1h" into ms (bare numbers are seconds; invalid -> 0)
+function parseDurationMs(v) {
+  if (typeof v === "number") return Number.isFinite(v) && v > 0 ? Math.floor(v * 1000) : 0;
+  const m = String(v || "").trim().match(/^(\d+(?:\.\d+)?)(ms|s|m|h|d)?$/i);
+  if (!m) return 0;
+  const mul = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[(m[2] || "s").toLowerCase()];
+  return Math.floor(Number(m[1]) * mul);
+}
+
+// Convert a dotted metric pattern with "*" wildcards into a RegExp
+function patternToRegex(pattern) {
+  const esc = String(pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join("([^.]+)");
+  return new RegExp(`^${esc}$`);
+}
+
+/* ============================================================
+   Rules
+   - JSON file: { "rules": [ ... ] }
+   - Rule: { name, metric, op, value, for, clear, severity, summary }
+     or shorthand { name, expr: "cpu_util > 90 for 5m" }
+   - metric supports "*" per path segment (e.g. "gpu.*.temp_c")
+   - clear: hysteresis threshold to resolve (default: value)
+============================================================ */
+
+const OPS = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+};
+
+// Condition that must hold to resolve a firing alert (hysteresis)
+function clearHolds(op, v, clear) {
+  if (op === ">" || op === ">=") return v < clear;
+  if (op === "<" || op === "<=") return v > clear;
+  return !OPS[op](v, clear);
+}
+
+// Normalize one rule from config (returns { rule } or { error })
+function normalizeRule(r, i) {
+  const name = String(r?.name || `rule${i + 1}`).trim();
+
+  let metric = r?.metric;
+  let op = r?.op;
+  let value = r?.value;
+  let forVal = r?.for ?? 0;
+
+  if (r?.expr) {
+    const m = String(r.expr)
+      .trim()
+      .match(/^(\S+)\s*(>=|<=|==|!=|>|<)\s*(-?\d+(?:\.\d+)?)%?(?:\s+for\s+(\S+))?$/i);
+    if (!m) return { error: `${name}: cannot parse expr "${r.expr}"` };
+    [, metric, op, value] = m;
+    if (m[4]) forVal = m[4];
+  }
+
+  metric = String(metric || "").trim();
+  op = String(op || "").trim();
+  value = Number(value);
+
+  if (!metric) return { error: `${name}: missing metric` };
+  if (!OPS[op]) return { error: `${name}: unsupported op "${op}"` };
+  if (!Number.isFinite(value)) return { error: `${name}: value must be a number` };
+
+  const clear = r?.clear != null && Number.isFinite(Number(r.clear)) ? Number(r.clear) : value;
+
+  return {
+    rule: {
+      name,
+      metric,
+      op,
+      value,
+      clear,
+      forMs: parseDurationMs(forVal),
+      severity: String(r?.severity || "warning"),
+      summary: r?.summary ? String(r.summary) : "",
+      labels: r?.labels && typeof r.labels === "object" ? r.labels : {},
+      re: patternToRegex(metric),
+      wildcard: metric.includes("*"),
+    },
+  };
+}
+
+// Read and validate the rules file (missing file -> no rules)
+function readRules(file) {
+  let j;
+  try {
+    j = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e?.code === "ENOENT") return { rules: [], errors: [] };
+    return { rules: [], errors: [`cannot read ${file}: ${e?.message || e}`] };
+  }
+
+  const rules = [];
+  const errors = [];
+  const seen = new Set();
+  (Array.isArray(j?.rules) ? j.rules : []).forEach((r, i) => {
+    if (r?.enabled === false) return;
+    const n = normalizeRule(r, i);
+    if (n.error) return errors.push(n.error);
+    if (seen.has(n.rule.name)) return errors.push(`${n.rule.name}: duplicate rule name`);
+    seen.add(n.rule.name);
+    rules.push(n.rule);
+  });
+  return { rules, errors };
+}
+
+/* ============================================================
+   Controller
+   - evaluate(metrics) on every sample tick: { "cpu_util": 12.3, "gpu.0.temp_c": 61, ... }
+   - Alert instance per (rule, matched metric): inactive -> pending -> firing -> resolved
+   - Transitions are emitted to listeners (notifications, annotations)
+============================================================ */
+
+const RECENT_KEEP_MS = 24 * 60 * 60 * 1000;
+const RECENT_MAX = 200;
+
+// Create an alerts controller (rules are re-read when the file changes)
+export function createAlertsController({
+  rulesFile = "./data/alerts.json",
+  stateFile = "./data/alerts-state.json",
+} = {}) {
+  let rules = [];
+  let errors = [];
+  let rulesMtime = -1;
+  let rulesCheckedAt = 0;
+
+  // Reload rules if the file mtime changed (checked at most every 2s)
+  function loadRules() {
+    const now = nowMs();
+    if (now - rulesCheckedAt < 2000) return;
+    rulesCheckedAt = now;
+
+    let mtime = 0;
+    try {
+      mtime = fs.statSync(rulesFile).mtimeMs;
+    } catch {
+      mtime = 0;
+    }
+    if (mtime === rulesMtime) return;
+    rulesMtime = mtime;
+
+    const r = mtime ? readRules(rulesFile) : { rules: [], errors: [] };
+    rules = r.rules;
+    errors = r.errors;
+    for (const e of errors) console.warn(`alerts: ${e}`);
+
+    // Forget instances of rules that no longer exist
+    const names = new Set(rules.map((x) => x.name));
+    for (const [id, a] of active) if (!names.has(a.rule)) active.delete(id);
+  }
+
+  // Read persisted alert state (best-effort)
+  function readState() {
+    try {
+      const j = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+      return {
+        active: Array.isArray(j?.active) ? j.active : [],
+        recent: Array.isArray(j?.recent) ? j.recent : [],
+      };
+    } catch {
+      return { active: [], recent: [] };
+    }
+  }
+
+  // Persist alert state (best-effort)
+  function writeState() {
+    try {
+      fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+      fs.writeFileSync(
+        stateFile,
+        JSON.stringify({ saved_at: nowMs(), active: [...active.values()], recent }, null, 2),
+        "utf8"
+      );
+    } catch {}
+  }
+
+  const loaded = readState();
+  const active = new Map(loaded.active.filter((a) => a?.id && a?.rule).map((a) => [a.id, a]));
+  let recent = loaded.recent.filter((a) => (a?.resolved_at || 0) >= nowMs() - RECENT_KEEP_MS);
+
+  const listeners = [];
+
+  // Subscribe to alert transitions: fn({ type: "firing"|"resolved", alert })
+  function onTransition(fn) {
+    if (typeof fn === "function") listeners.push(fn);
+  }
+
+  // Notify listeners (errors are contained)
+  function emit(type, alert) {
+    for (const fn of listeners) {
+      try {
+        fn({ type, alert: { ...alert } });
+      } catch (e) {
+        console.warn(`alerts: listener failed: ${e?.message || e}`);
+      }
+    }
+  }
+
+  // Render a rule summary with {{placeholders}}
+  function summarize(rule, inst) {
+    const text = rule.summary || "{{metric}} is {{value}} ({{op}} {{threshold}})";
+    const vars = {
+      name: rule.name,
+      metric: inst.metric,
+      value: Number.isFinite(inst.value) ? Math.round(inst.value * 100) / 100 : inst.value,
+      threshold: rule.value,
+      op: rule.op,
+      severity: rule.severity,
+      match: inst.match ?? "",
+    };
+    return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, k) => (vars[k] != null ? String(vars[k]) : ""));
+  }
+
+  // Evaluate all rules against the current metrics map
+  function evaluate(metrics, now = nowMs()) {
+    loadRules();
+    if (!rules.length) return;
+
+    let changed = false;
+    const keys = Object.keys(metrics || {});
+
+    for (const rule of rules) {
+      const matches = rule.wildcard ? keys.filter((k) => rule.re.test(k)) : [rule.metric];
+
+      for (const metric of matches) {
+        const raw = metrics[metric];
+        const v = Number(raw);
+        const id = rule.wildcard ? `${rule.name}:${metric}` : rule.name;
+        let inst = active.get(id);
+
+        // Missing metric (e.g. GPU gone): keep current state, don't transition
+        if (raw == null || !Number.isFinite(v)) continue;
+
+        const hit = OPS[rule.op](v, rule.value);
+
+        if (!inst) {
+          if (!hit) continue;
+          inst = {
+            id,
+            rule: rule.name,
+            metric,
+            match: rule.wildcard ? metric.match(rule.re)?.slice(1).join(".") ?? null : null,
+            severity: rule.severity,
+            labels: rule.labels,
+            state: "pending",
+            value: v,
+            threshold: rule.value,
+            op: rule.op,
+            pending_since: now,
+            fired_at: null,
+            resolved_at: null,
+          };
+          active.set(id, inst);
+          changed = true;
+        }
+
+        inst.value = v;
+        inst.summary = summarize(rule, inst);
+
+        if (inst.state === "pending") {
+          if (!hit) {
+            active.delete(id);
+            changed = true;
+            continue;
+          }
+          if (now - inst.pending_since >= rule.forMs) {
+            inst.state = "firing";
+            inst.fired_at = now;
+            changed = true;
+            emit("firing", inst);
+          }
+          continue;
+        }
+
+        if (inst.state === "firing" && clearHolds(rule.op, v, rule.clear)) {
+          inst.state = "resolved";
+          inst.resolved_at = now;
+          active.delete(id);
+          recent.unshift({ ...inst });
+          changed = true;
+          emit("resolved", inst);
+        }
+      }
+    }
+
+    if (changed) {
+      recent = recent.filter((a) => a.resolved_at >= now - RECENT_KEEP_MS).slice(0, RECENT_MAX);
+      writeState();
+    }
+  }
+
+  // Current state for /api/alerts
+  function snapshot() {
+    loadRules();
+    const list = [...active.values()];
+    return {
+      rules_file: rulesFile,
+      rules: rules.map((r) => ({
+        name: r.name,
+        metric: r.metric,
+        op: r.op,
+        value: r.value,
+        clear: r.clear,
+        for_ms: r.forMs,
+        severity: r.severity,
+      })),
+      errors,
+      firing: list.filter((a) => a.state === "firing").length,
+      pending: list.filter((a) => a.state === "pending").length,
+      alerts: list,
+      recent,
+    };
+  }
+
+  loadRules();
+
+  return { evaluate, snapshot, onTransition };
+}
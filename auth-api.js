@@ -0,0 +1,444 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+/* ============================================================
+   Utils
+   - Small helpers used across the module
+============================================================ */
+
+// Return current time as milliseconds since epoch
+function nowMs() {
+  return Date.now();
+}
+
+// Clamp a value to an integer range (invalid input -> min)
+function clampInt(n, min, max) {
+  const x = Number(n);
+  if (!Number.isFinite(x)) return min;
+  return Math.max(min, Math.min(max, Math.floor(x)));
+}
+
+// SHA-256 hex digest of a string
+function sha256Hex(s) {
+  return crypto.createHash("sha256").update(String(s)).digest("hex");
+}
+
+// Remote address of a request ("" when unknown)
+function clientAddr(req) {
+  return req.socket?.remoteAddress || "";
+}
+
+// Constant-time string compare (hashes first so lengths never leak)
+function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+/* ============================================================
+   Roles
+   - Ordered lowest -> highest; a higher role includes the lower ones
+============================================================ */
+
+export const ROLES = ["viewer", "admin"];
+
+// Normalize a role name (unknown -> null)
+function normRole(r) {
+  const s = String(r || "").trim().toLowerCase();
+  return ROLES.includes(s) ? s : null;
+}
+
+// Check whether a principal has at least the given role
+export function roleAtLeast(principal, role) {
+  if (!principal) return false;
+  return ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+}
+
+/* ============================================================
+   Password Hashing
+   - Format: scrypt$<N>$<r>$<p>$<salt b64>$<hash b64>
+============================================================ */
+
+const SCRYPT_KEYLEN = 32;
+
+// Hash a password for the auth config file
+export function hashPassword(password, { N = 16384, r = 8, p = 1 } = {}) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN, { N, r, p });
+  return `scrypt$${N}$${r}$${p}$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+// Verify a password against a stored scrypt hash (false on malformed input)
+function verifyPassword(password, stored) {
+  const parts = String(stored || "").split("$");
+  if (parts.length !== 6 || parts[0] !== "scrypt") return false;
+
+  const N = clampInt(parts[1], 2, 1 << 20);
+  const r = clampInt(parts[2], 1, 64);
+  const p = clampInt(parts[3], 1, 16);
+
+  try {
+    const salt = Buffer.from(parts[4], "base64");
+    const want = Buffer.from(parts[5], "base64");
+    if (!salt.length || !want.length) return false;
+    const got = crypto.scryptSync(String(password), salt, want.length, { N, r, p, maxmem: 256 * N * r + 1024 * 1024 });
+    return crypto.timingSafeEqual(got, want);
+  } catch {
+    return false;
+  }
+}
+
+/* ============================================================
+   Config
+   - JSON file; auth is disabled when the file is missing
+   - {
+       "users":  [{ "username": "admin", "password_hash": "scrypt$...", "role": "admin" }],
+       "tokens": [{ "name": "prometheus", "token": "...", "role": "viewer" }],
+       "session_ttl_hours": 168,
+       "anonymous_role": null
+     }
+   - Tokens may be given as "token_sha256" instead of plain "token"
+============================================================ */
+
+// Parse and validate the auth config (null if missing/invalid)
+function readAuthConfig(file) {
+  let j;
+  try {
+    j = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e?.code !== "ENOENT") console.warn(`auth: cannot read ${file}: ${e?.message || e}`);
+    return null;
+  }
+
+  const users = (Array.isArray(j?.users) ? j.users : [])
+    .map((u) => ({
+      username: String(u?.username || "").trim(),
+      password_hash: String(u?.password_hash || u?.password || "").trim(),
+      role: normRole(u?.role) || "viewer",
+    }))
+    .filter((u) => u.username && u.password_hash.startsWith("scrypt$"));
+
+  const tokens = (Array.isArray(j?.tokens) ? j.tokens : [])
+    .map((t, i) => ({
+      name: String(t?.name || `token${i + 1}`),
+      sha256: t?.token_sha256 ? String(t.token_sha256).trim().toLowerCase() : t?.token ? sha256Hex(t.token) : "",
+      role: normRole(t?.role) || "viewer",
+    }))
+    .filter((t) => t.sha256);
+
+  return {
+    users,
+    tokens,
+    session_ttl_hours: clampInt(j?.session_ttl_hours ?? 168, 1, 24 * 365),
+    anonymous_role: normRole(j?.anonymous_role),
+  };
+}
+
+/* ============================================================
+   Cookies
+============================================================ */
+
+const SESSION_COOKIE = "argus_session";
+
+// Parse a Cookie header into a plain object
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i <= 0) continue;
+    const k = part.slice(0, i).trim();
+    const v = part.slice(i + 1).trim();
+    try {
+      out[k] = decodeURIComponent(v);
+    } catch {
+      out[k] = v;
+    }
+  }
+  return out;
+}
+
+/* ============================================================
+   Controller
+   - Resolves a principal ({ user, role, via }) for each request
+   - Sessions are persisted so wall displays survive restarts
+============================================================ */
+
+// Create an auth controller (config is re-read when the file changes)
+export function createAuthController({
+  configFile = process.env.AUTH_CONFIG_FILE || "./data/auth.json",
+  sessionsFile = process.env.AUTH_SESSIONS_FILE || "./data/auth-sessions.json",
+  secureCookie = (process.env.AUTH_COOKIE_SECURE || "0") === "1",
+} = {}) {
+  let cfg = null;
+  let cfgMtime = -1;
+  let cfgCheckedAt = 0;
+
+  // Reload config if its mtime changed (checked at most every 2s)
+  function config() {
+    const now = nowMs();
+    if (now - cfgCheckedAt < 2000) return cfg;
+    cfgCheckedAt = now;
+
+    let mtime = 0;
+    try {
+      mtime = fs.statSync(configFile).mtimeMs;
+    } catch {
+      mtime = 0;
+    }
+    if (mtime !== cfgMtime) {
+      cfgMtime = mtime;
+      cfg = mtime ? readAuthConfig(configFile) : null;
+    }
+    return cfg;
+  }
+
+  // Read persisted sessions (best-effort)
+  function readSessions() {
+    try {
+      const j = JSON.parse(fs.readFileSync(sessionsFile, "utf8"));
+      const m = new Map();
+      for (const s of Array.isArray(j?.sessions) ? j.sessions : []) {
+        if (s?.id && s?.user && normRole(s?.role) && Number(s?.exp) > nowMs()) {
+          m.set(String(s.id), { user: String(s.user), role: s.role, exp: Number(s.exp) });
+        }
+      }
+      return m;
+    } catch {
+      return new Map();
+    }
+  }
+
+  // Persist sessions to disk (best-effort, stores only token hashes)
+  function writeSessions() {
+    try {
+      fs.mkdirSync(path.dirname(sessionsFile), { recursive: true });
+      const list = [...sessions.entries()].map(([id, s]) => ({ id, ...s }));
+      fs.writeFileSync(sessionsFile, JSON.stringify({ saved_at: nowMs(), sessions: list }, null, 2), "utf8");
+    } catch {}
+  }
+
+  const sessions = readSessions();
+
+  // Drop expired sessions and sessions whose user/role no longer exists
+  function pruneSessions() {
+    const c = config();
+    const now = nowMs();
+    let changed = false;
+    for (const [id, s] of sessions) {
+      const u = c?.users.find((x) => x.username === s.user);
+      if (s.exp <= now || !u) {
+        sessions.delete(id);
+        changed = true;
+      } else if (u.role !== s.role) {
+        s.role = u.role;
+        changed = true;
+      }
+    }
+    if (changed) writeSessions();
+  }
+
+  // Basic checks are cached briefly (scrypt is slow on purpose); failures for a shorter
+  // time, so a client repeating a wrong header does not run scrypt on every request
+  const basicCache = new Map();
+  const BASIC_CACHE_MS = 60 * 1000;
+  const BASIC_FAIL_CACHE_MS = 10 * 1000;
+  const BASIC_CACHE_MAX = 1000;
+
+  // Failed logins per client address (simple brute-force brake)
+  const failures = new Map();
+  const FAIL_WINDOW_MS = 5 * 60 * 1000;
+  const FAIL_MAX = 10;
+
+  // Check whether auth is configured
+  function enabled() {
+    return !!config();
+  }
+
+  // Verify username/password against config users (null if invalid)
+  function checkUser(username, password) {
+    const c = config();
+    if (!c) return null;
+    const u = c.users.find((x) => x.username === String(username || ""));
+    if (!u) {
+      // Burn comparable time so unknown users are not distinguishable
+      verifyPassword(password, "scrypt$16384$8$1$AAAAAAAAAAAAAAAAAAAAAA==$AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA=");
+      return null;
+    }
+    return verifyPassword(password, u.password_hash) ? { user: u.username, role: u.role } : null;
+  }
+
+  // Resolve "Authorization: Bearer ..." to a principal
+  function fromBearer(token) {
+    const c = config();
+    const h = sha256Hex(token);
+    const t = c?.tokens.find((x) => safeEqual(x.sha256, h));
+    return t ? { user: t.name, role: t.role, via: "token" } : null;
+  }
+
+  // Remember a Basic check result (expired entries are dropped when the cache grows)
+  function cacheBasic(key, principal, ttlMs) {
+    if (basicCache.size >= BASIC_CACHE_MAX) {
+      const now = nowMs();
+      for (const [k, v] of basicCache) if (v.exp <= now) basicCache.delete(k);
+      if (basicCache.size >= BASIC_CACHE_MAX) basicCache.delete(basicCache.keys().next().value);
+    }
+    basicCache.set(key, { principal, exp: nowMs() + ttlMs });
+  }
+
+  // Resolve "Authorization: Basic ..." to a principal
+  // - Failures count toward the per-address brake shared with login()
+  function fromBasic(b64, addr) {
+    let raw = "";
+    try {
+      raw = Buffer.from(b64, "base64").toString("utf8");
+    } catch {
+      return null;
+    }
+    const i = raw.indexOf(":");
+    if (i < 0) return null;
+
+    const key = sha256Hex(raw);
+    const hit = basicCache.get(key);
+    if (hit && hit.exp > nowMs()) return hit.principal ? { ...hit.principal } : null;
+    if (loginBlocked(addr)) return null;
+
+    const ok = checkUser(raw.slice(0, i), raw.slice(i + 1));
+    if (!ok) {
+      noteFailure(addr);
+      cacheBasic(key, null, BASIC_FAIL_CACHE_MS);
+      return null;
+    }
+    failures.delete(addr);
+
+    const principal = { ...ok, via: "basic" };
+    cacheBasic(key, principal, BASIC_CACHE_MS);
+    return { ...principal };
+  }
+
+  // Resolve session cookie to a principal
+  function fromSession(req) {
+    const id = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (!id) return null;
+    pruneSessions();
+    const s = sessions.get(sha256Hex(id));
+    return s ? { user: s.user, role: s.role, via: "session" } : null;
+  }
+
+  // Resolve the principal for a request (null => not authenticated)
+  // - When auth is disabled everyone is admin (previous behaviour)
+  function authenticate(req) {
+    const c = config();
+    if (!c) return { user: null, role: "admin", via: "none" };
+
+    const authz = String(req.headers.authorization || "");
+    const m = authz.match(/^(Bearer|Basic)\s+(.+)$/i);
+    if (m) {
+      const p = m[1].toLowerCase() === "bearer" ? fromBearer(m[2].trim()) : fromBasic(m[2].trim(), clientAddr(req));
+      if (p) return p;
+    }
+
+    const s = fromSession(req);
+    if (s) return s;
+
+    if (c.anonymous_role) return { user: null, role: c.anonymous_role, via: "anonymous" };
+    return null;
+  }
+
+  // Check and record failed login attempts for an address
+  function loginBlocked(addr) {
+    const f = failures.get(addr);
+    if (!f) return false;
+    if (nowMs() - f.first > FAIL_WINDOW_MS) {
+      failures.delete(addr);
+      return false;
+    }
+    return f.count >= FAIL_MAX;
+  }
+
+  // Drop failure records whose window has passed
+  function pruneFailures() {
+    const now = nowMs();
+    for (const [addr, f] of failures) if (now - f.first > FAIL_WINDOW_MS) failures.delete(addr);
+  }
+
+  // Remember a failed login for an address
+  function noteFailure(addr) {
+    pruneFailures();
+    const f = failures.get(addr);
+    if (!f || nowMs() - f.first > FAIL_WINDOW_MS) failures.set(addr, { first: nowMs(), count: 1 });
+    else f.count++;
+  }
+
+  // Check whether a request carries Basic credentials from an address that is locked out
+  function basicBlocked(req) {
+    if (!config()) return false;
+    return /^Basic\s/i.test(String(req.headers.authorization || "")) && loginBlocked(clientAddr(req));
+  }
+
+  // Log in with username/password; returns { ok, cookie, principal } or { ok: false, error }
+  function login(username, password, addr = "") {
+    const c = config();
+    if (!c) return { ok: false, error: "auth_disabled" };
+    if (loginBlocked(addr)) return { ok: false, error: "too_many_attempts" };
+
+    const ok = checkUser(username, password);
+    if (!ok) {
+      noteFailure(addr);
+      return { ok: false, error: "invalid_credentials" };
+    }
+    failures.delete(addr);
+
+    const id = crypto.randomBytes(32).toString("base64url");
+    const maxAgeS = c.session_ttl_hours * 3600;
+    sessions.set(sha256Hex(id), { user: ok.user, role: ok.role, exp: nowMs() + maxAgeS * 1000 });
+    writeSessions();
+
+    return {
+      ok: true,
+      principal: { ...ok, via: "session" },
+      cookie: sessionCookie(id, maxAgeS),
+    };
+  }
+
+  // Log out the session on this request (if any); returns the clearing cookie
+  function logout(req) {
+    const id = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (id && sessions.delete(sha256Hex(id))) writeSessions();
+    return sessionCookie("", 0);
+  }
+
+  // Build a Set-Cookie value for the session cookie
+  function sessionCookie(id, maxAgeS) {
+    const parts = [
+      `${SESSION_COOKIE}=${encodeURIComponent(id)}`,
+      "Path=/",
+      "HttpOnly",
+      "SameSite=Strict",
+      `Max-Age=${Math.max(0, Math.floor(maxAgeS))}`,
+    ];
+    if (secureCookie) parts.push("Secure");
+    return parts.join("; ");
+  }
+
+  return { enabled, authenticate, basicBlocked, login, logout };
+}
+
+/* ============================================================
+   CLI
+   - node auth-api.js hash <password>   -> prints a password_hash
+   - node auth-api.js token             -> prints a random bearer token
+============================================================ */
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const [cmd, arg] = process.argv.slice(2);
+  if (cmd === "hash" && arg) {
+    console.log(hashPassword(arg));
+  } else if (cmd === "token") {
+    console.log(crypto.randomBytes(24).toString("base64url"));
+  } else {
+    console.error("usage: node auth-api.js hash <password> | token");
+    process.exitCode = 1;
+  }
+}
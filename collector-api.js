@@ -0,0 +1,245 @@
+import { execFile } from "node:child_process";
+
+/* ============================================================
+   Utils
+   - Small helpers used across the module
+============================================================ */
+
+// Return current time as milliseconds since epoch
+function nowMs() {
+  return Date.now();
+}
+
+// Reject after ms (used to put a deadline on a collector run)
+function deadline(ms, name) {
+  let timer = null;
+  const promise = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`${name}: timed out after ${ms}ms`);
+      err.code = "ETIMEDOUT";
+      reject(err);
+    }, ms);
+  });
+  return { promise, cancel: () => clearTimeout(timer) };
+}
+
+/* ============================================================
+   Child Processes
+   - Async replacement for execSync: never blocks the event loop
+   - The process is SIGKILLed when it runs past timeoutMs
+============================================================ */
+
+// Run a command without a shell and resolve to trimmed stdout
+// - allowExitCode: also resolve on a non-zero exit (tools like smartctl report status bits in it)
+export function execFileText(cmd, args = [], { timeoutMs = 5000, maxBuffer = 4 * 1024 * 1024, allowExitCode = false } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      cmd,
+      args,
+      { encoding: "utf8", timeout: timeoutMs, killSignal: "SIGKILL", maxBuffer, windowsHide: true },
+      (err, stdout) => {
+        if (err) {
+          if (err.killed) {
+            const e = new Error(`${cmd}: timed out after ${timeoutMs}ms`);
+            e.code = "ETIMEDOUT";
+            return reject(e);
+          }
+          if (allowExitCode && typeof err.code === "number" && stdout) return resolve(String(stdout).trim());
+          return reject(err);
+        }
+        resolve(String(stdout || "").trim());
+      }
+    );
+  });
+}
+
+/* ============================================================
+   Breaker
+   - Deadline per call; a job that outlives it is not started again until it settles
+     (a hung statfs on a dead NFS mount holds one libuv thread, not all of them)
+   - After failureThreshold consecutive failures the circuit opens for a cooldown
+     that doubles on every re-open (capped), then one trial call is let through
+============================================================ */
+
+// Build an error with a code (used to tell timeouts from failures)
+function codedError(message, code) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+// Map a failure to a status: "timeout" or "error"
+export function failureStatus(e) {
+  return e?.code === "ETIMEDOUT" || e?.code === "EBUSY" ? "timeout" : "error";
+}
+
+// Create a circuit breaker around async jobs
+export function createBreaker({
+  name,
+  timeoutMs = 5000,
+  failureThreshold = 3,
+  cooldownMs = 30000,
+  maxCooldownMs = 5 * 60 * 1000,
+} = {}) {
+  let busy = null;
+  let failures = 0;
+  let opens = 0;
+  let openUntil = 0;
+
+  // Run fn() under the deadline; throws ECIRCUITOPEN while open
+  async function call(fn) {
+    if (openUntil && nowMs() < openUntil) {
+      throw codedError(`${name}: circuit open`, "ECIRCUITOPEN");
+    }
+
+    try {
+      if (busy) throw codedError(`${name}: previous run still hanging`, "EBUSY");
+
+      const job = Promise.resolve().then(fn);
+      busy = job;
+      job.then(
+        () => {
+          if (busy === job) busy = null;
+        },
+        () => {
+          if (busy === job) busy = null;
+        }
+      );
+
+      const d = deadline(timeoutMs, name);
+      try {
+        const v = await Promise.race([job, d.promise]);
+        failures = 0;
+        opens = 0;
+        openUntil = 0;
+        return v;
+      } finally {
+        d.cancel();
+      }
+    } catch (e) {
+      failures++;
+      if (failures >= failureThreshold) {
+        opens++;
+        openUntil = nowMs() + Math.min(maxCooldownMs, cooldownMs * 2 ** (opens - 1));
+      }
+      throw e;
+    }
+  }
+
+  // Circuit bookkeeping for status output
+  function state() {
+    const open = !!openUntil && nowMs() < openUntil;
+    return {
+      circuit: open ? "open" : "closed",
+      failures,
+      retry_at: open ? openUntil : null,
+      hanging: !!busy,
+    };
+  }
+
+  return { call, state };
+}
+
+/* ============================================================
+   Collector
+   - Runs an async job on its own interval (never overlapping)
+   - Routes read the latest result from memory instead of collecting inline
+   - A failed run keeps the previous value; status() reports
+     ok | stale (old value, with age) | timeout | error (no usable value)
+============================================================ */
+
+// Create a background collector; run() may return a value or a promise
+export function createCollector({
+  name,
+  intervalMs = 5000,
+  timeoutMs = 5000,
+  run,
+  initial = null,
+  staleAfterMs = 0,
+  failureThreshold = 3,
+  cooldownMs = 30000,
+} = {}) {
+  const breaker = createBreaker({ name, timeoutMs, failureThreshold, cooldownMs: Math.max(cooldownMs, intervalMs) });
+  const staleMs = staleAfterMs || intervalMs * 3 + timeoutMs;
+
+  let value = initial;
+  let ts = 0;
+  let outcome = null;
+  let lastError = null;
+  let lastErrorTs = 0;
+  let durationMs = null;
+  let inflight = null;
+  let timer = null;
+
+  // Execute one run through the breaker and store the outcome
+  function refresh() {
+    if (inflight) return inflight;
+
+    const started = nowMs();
+
+    inflight = breaker
+      .call(run)
+      .then((v) => {
+        value = v;
+        ts = nowMs();
+        outcome = "ok";
+        lastError = null;
+      })
+      .catch((e) => {
+        if (e?.code === "ECIRCUITOPEN") return;
+        outcome = failureStatus(e);
+        lastError = String(e?.message || e);
+        lastErrorTs = nowMs();
+      })
+      .finally(() => {
+        durationMs = nowMs() - started;
+        inflight = null;
+      });
+
+    return inflight;
+  }
+
+  // Schedule the next run after the current one settles
+  function loop() {
+    refresh().finally(() => {
+      timer = setTimeout(loop, intervalMs);
+      timer.unref?.();
+    });
+  }
+
+  // Start the background loop (idempotent)
+  function start() {
+    if (!timer && !inflight) loop();
+    return refresh();
+  }
+
+  // Latest successful value (or the initial value)
+  function get() {
+    return value;
+  }
+
+  // Status of the latest value: ok | stale | timeout | error | pending
+  function status() {
+    const age = ts ? nowMs() - ts : null;
+    let s = outcome || "pending";
+    if (outcome && outcome !== "ok" && ts) s = "stale";
+    if (outcome === "ok" && age > staleMs) s = "stale";
+
+    return {
+      status: s,
+      age_ms: age,
+      ts: ts || null,
+      error: lastError,
+      error_ts: lastErrorTs || null,
+      duration_ms: durationMs,
+      ...breaker.state(),
+    };
+  }
+
+  // Latest value plus bookkeeping
+  function state() {
+    return { name, value, running: !!inflight, ...status() };
+  }
+
+  return { name, start, refresh, get, state, status };
+}
@@ -0,0 +1,346 @@
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+
+/* ============================================================
+   Utils
+   - Small helpers used across the module
+============================================================ */
+
+// Return current time as milliseconds since epoch
+function nowMs() {
+  return Date.now();
+}
+
+// Read a file as text (null when missing/unreadable)
+async function readText(p) {
+  try {
+    return await fs.promises.readFile(p, "utf8");
+  } catch {
+    return null;
+  }
+}
+
+// List sub-directories (empty when missing)
+async function listDirs(p) {
+  try {
+    return (await fs.promises.readdir(p, { withFileTypes: true })).filter((d) => d.isDirectory()).map((d) => d.name);
+  } catch {
+    return [];
+  }
+}
+
+// Parse a plain integer file value (null when missing or not a number)
+function int(txt) {
+  const n = Number(String(txt ?? "").trim());
+  return txt != null && Number.isFinite(n) ? n : null;
+}
+
+// Parse "key value" lines (cpu.stat, memory.stat) into an object of numbers
+function parseKeyValues(txt) {
+  const out = {};
+  for (const line of String(txt || "").split("\n")) {
+    const [k, v] = line.trim().split(/\s+/);
+    if (k && v != null && Number.isFinite(Number(v))) out[k] = Number(v);
+  }
+  return out;
+}
+
+// Round to one decimal
+function round1(v) {
+  return Math.round(v * 10) / 10;
+}
+
+/* ============================================================
+   cgroup accounting
+   - v2: cpu.stat (usage_usec), memory.current / memory.max / memory.stat, io.stat, pids.current
+   - v1: cpuacct.usage (ns), memory.usage_in_bytes / limit_in_bytes / stat, blkio, pids.current
+   - Memory "used" excludes inactive page cache like `docker stats`
+============================================================ */
+
+// Container cgroup directory names: docker-<id>.scope, libpod-<id>.scope, cri-containerd-<id>.scope, crio-<id>.scope, <id>
+const CONTAINER_DIR_RE = /^(?:(docker|libpod|cri-containerd|crio)-)?([0-9a-f]{64})(?:\.scope)?$/;
+const SCAN_DEPTH = 5;
+
+// v1 "no limit" is reported as a huge page-aligned number
+const V1_UNLIMITED = 2 ** 60;
+
+// Sum rbytes/wbytes/rios/wios over every device of io.stat (v2)
+export function parseIoStat(txt) {
+  const out = { read_b: 0, write_b: 0, read_ops: 0, write_ops: 0 };
+  for (const line of String(txt || "").split("\n")) {
+    for (const tok of line.trim().split(/\s+/).slice(1)) {
+      const [k, v] = tok.split("=");
+      const n = Number(v);
+      if (!Number.isFinite(n)) continue;
+      if (k === "rbytes") out.read_b += n;
+      else if (k === "wbytes") out.write_b += n;
+      else if (k === "rios") out.read_ops += n;
+      else if (k === "wios") out.write_ops += n;
+    }
+  }
+  return out;
+}
+
+// Sum Read/Write lines of blkio.throttle.io_service_bytes / io_serviced (v1)
+export function parseBlkio(bytesTxt, opsTxt) {
+  const sum = (txt, op) =>
+    String(txt || "")
+      .split("\n")
+      .map((l) => l.trim().split(/\s+/))
+      .filter((f) => f.length === 3 && f[1] === op)
+      .reduce((n, f) => n + (Number(f[2]) || 0), 0);
+  return {
+    read_b: sum(bytesTxt, "Read"),
+    write_b: sum(bytesTxt, "Write"),
+    read_ops: sum(opsTxt, "Read"),
+    write_ops: sum(opsTxt, "Write"),
+  };
+}
+
+// Detect the cgroup layout under root: "v2", "v1" or null
+async function cgroupVersion(root) {
+  if ((await readText(path.join(root, "cgroup.controllers"))) != null) return "v2";
+  for (const c of ["memory", "cpuacct", "cpu,cpuacct"]) {
+    if ((await listDirs(path.join(root, c))).length || (await readText(path.join(root, c, "cgroup.procs"))) != null) return "v1";
+  }
+  return null;
+}
+
+// Walk a cgroup tree and collect container directories: Map id -> { rel, runtime }
+async function findContainerCgroups(base) {
+  const found = new Map();
+
+  async function walk(rel, depth) {
+    for (const name of await listDirs(path.join(base, rel))) {
+      const m = name.match(CONTAINER_DIR_RE);
+      const sub = path.join(rel, name);
+      if (m) {
+        // Runtime from the prefix, else from the parent slice name (cgroupfs driver: /docker/<id>)
+        const runtime = m[1] || (/docker/.test(rel) ? "docker" : /libpod|podman/.test(rel) ? "libpod" : /kubepods|containerd/.test(rel) ? "containerd" : null);
+        if (!found.has(m[2])) found.set(m[2], { rel: sub, runtime });
+        continue;
+      }
+      if (depth < SCAN_DEPTH) await walk(sub, depth + 1);
+    }
+  }
+
+  await walk("", 1);
+  return found;
+}
+
+// Read cgroup v2 counters of one container
+async function readV2(dir) {
+  const [cpu, cur, max, mstat, io, pids] = await Promise.all([
+    readText(path.join(dir, "cpu.stat")),
+    readText(path.join(dir, "memory.current")),
+    readText(path.join(dir, "memory.max")),
+    readText(path.join(dir, "memory.stat")),
+    readText(path.join(dir, "io.stat")),
+    readText(path.join(dir, "pids.current")),
+  ]);
+  const cpuStat = parseKeyValues(cpu);
+  const mem = int(cur);
+  const inactive = parseKeyValues(mstat).inactive_file || 0;
+  return {
+    cpu_usec: cpuStat.usage_usec ?? null,
+    mem_used_b: mem == null ? null : Math.max(0, mem - inactive),
+    mem_limit_b: int(max),
+    pids: int(pids),
+    io: io == null ? null : parseIoStat(io),
+  };
+}
+
+// Read cgroup v1 counters of one container (one directory per controller)
+async function readV1(root, rel) {
+  const ctl = async (names) => {
+    for (const n of names) {
+      if ((await readText(path.join(root, n, "cgroup.procs"))) != null) return path.join(root, n, rel);
+    }
+    return path.join(root, names[0], rel);
+  };
+  const [cpuDir, memDir, blkDir, pidsDir] = await Promise.all([
+    ctl(["cpuacct", "cpu,cpuacct", "cpuacct,cpu"]),
+    ctl(["memory"]),
+    ctl(["blkio"]),
+    ctl(["pids"]),
+  ]);
+  const [usage, cur, limit, mstat, ioBytes, ioOps, pids] = await Promise.all([
+    readText(path.join(cpuDir, "cpuacct.usage")),
+    readText(path.join(memDir, "memory.usage_in_bytes")),
+    readText(path.join(memDir, "memory.limit_in_bytes")),
+    readText(path.join(memDir, "memory.stat")),
+    readText(path.join(blkDir, "blkio.throttle.io_service_bytes")),
+    readText(path.join(blkDir, "blkio.throttle.io_serviced")),
+    readText(path.join(pidsDir, "pids.current")),
+  ]);
+  const ns = int(usage);
+  const mem = int(cur);
+  const lim = int(limit);
+  const inactive = parseKeyValues(mstat).total_inactive_file || 0;
+  return {
+    cpu_usec: ns == null ? null : ns / 1000,
+    mem_used_b: mem == null ? null : Math.max(0, mem - inactive),
+    mem_limit_b: lim == null || lim >= V1_UNLIMITED ? null : lim,
+    pids: int(pids),
+    io: ioBytes == null ? null : parseBlkio(ioBytes, ioOps),
+  };
+}
+
+/* ============================================================
+   Docker Engine API
+   - Read-only GETs over the unix socket (names, images, state, restart count)
+   - Inspect results are cached until the container state or health changes, and at
+     most INSPECT_TTL_MS (restarts keep the state "running", so they show up on expiry)
+============================================================ */
+
+const INSPECT_TTL_MS = 60 * 1000;
+
+// Cache key of a list entry: State plus the health marker of Status ("Up 5 minutes (healthy)");
+// the rest of Status is uptime text that changes on every sample
+function inspectKey(c) {
+  const health = String(c.Status || "").match(/\((healthy|unhealthy|health: starting)\)/);
+  return `${c.State || ""}|${health ? health[1] : ""}`;
+}
+
+// GET a Docker Engine API path over a unix socket and parse JSON
+export function dockerGet(socketPath, apiPath, { timeoutMs = 3000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ socketPath, path: apiPath, method: "GET", headers: { Host: "docker" } }, (res) => {
+      const chunks = [];
+      res.on("data", (c) => chunks.push(c));
+      res.on("end", () => {
+        const body = Buffer.concat(chunks).toString("utf8");
+        if (res.statusCode !== 200) return reject(new Error(`docker ${apiPath}: HTTP ${res.statusCode}`));
+        try {
+          resolve(JSON.parse(body));
+        } catch {
+          reject(new Error(`docker ${apiPath}: invalid JSON`));
+        }
+      });
+    });
+    req.setTimeout(timeoutMs, () => req.destroy(new Error(`docker ${apiPath}: timed out after ${timeoutMs}ms`)));
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+/* ============================================================
+   Tracker
+   - CPU% and I/O rates come from counter deltas between two samples (100% = one core)
+   - Containers known to Docker but without a cgroup (stopped) are listed with null usage
+============================================================ */
+
+// Create a container tracker; sample() returns { ts, cgroup, docker, running, total, containers }
+export function createContainerTracker({ cgroupRoot = () => "/sys/fs/cgroup", dockerSocket = () => null, timeoutMs = 3000 } = {}) {
+  let prev = new Map();
+  let prevTs = 0;
+  const inspectCache = new Map();
+
+  // Docker container list keyed by full id (null when the socket is missing or fails)
+  async function dockerContainers(sock) {
+    const list = await dockerGet(sock, "/containers/json?all=1", { timeoutMs });
+    const out = new Map();
+
+    await Promise.all(
+      (Array.isArray(list) ? list : []).map(async (c) => {
+        const cached = inspectCache.get(c.Id);
+        const key = inspectKey(c);
+        let info = cached?.key === key && nowMs() - cached.at < INSPECT_TTL_MS ? cached.info : null;
+        if (!info) {
+          try {
+            const j = await dockerGet(sock, `/containers/${c.Id}/json`, { timeoutMs });
+            info = { restart_count: j?.RestartCount ?? null, started_at: Date.parse(j?.State?.StartedAt) || null, health: j?.State?.Health?.Status || null };
+            inspectCache.set(c.Id, { key, at: nowMs(), info });
+          } catch {
+            info = cached?.info || { restart_count: null, started_at: null, health: null };
+          }
+        }
+        out.set(c.Id, {
+          name: String(c.Names?.[0] || "").replace(/^\//, "") || c.Id.slice(0, 12),
+          image: c.Image || null,
+          state: c.State || null,
+          status: c.Status || null,
+          ...info,
+        });
+      })
+    );
+
+    for (const id of inspectCache.keys()) if (!out.has(id)) inspectCache.delete(id);
+    return out;
+  }
+
+  // Collect one snapshot
+  async function sample() {
+    const root = cgroupRoot() || "/sys/fs/cgroup";
+    const now = nowMs();
+    const dt = prevTs ? (now - prevTs) / 1000 : 0;
+
+    const version = await cgroupVersion(root);
+    const base = version === "v1" ? path.join(root, "memory") : root;
+    const cgroups = version ? await findContainerCgroups(base) : new Map();
+
+    const sock = dockerSocket();
+    const docker = { socket: sock || null, available: false, error: null };
+    let known = new Map();
+    if (sock) {
+      try {
+        known = await dockerContainers(sock);
+        docker.available = true;
+      } catch (e) {
+        docker.error = String(e?.message || e);
+      }
+    }
+
+    const next = new Map();
+    const containers = [];
+    for (const id of new Set([...known.keys(), ...cgroups.keys()])) {
+      const cg = cgroups.get(id);
+      const d = known.get(id);
+      const u = cg ? await (version === "v2" ? readV2(path.join(root, cg.rel)) : readV1(root, cg.rel)) : null;
+      const pv = prev.get(id);
+      if (u) next.set(id, { cpu_usec: u.cpu_usec, io: u.io });
+
+      const rate = (a, b) => (dt > 0 && a != null && b != null && a >= b ? (a - b) / dt : null);
+      const cpu = rate(u?.cpu_usec, pv?.cpu_usec);
+      const rd = rate(u?.io?.read_b, pv?.io?.read_b);
+      const wr = rate(u?.io?.write_b, pv?.io?.write_b);
+
+      containers.push({
+        id: id.slice(0, 12),
+        name: d?.name || id.slice(0, 12),
+        image: d?.image ?? null,
+        runtime: cg?.runtime || (d ? "docker" : null),
+        state: d?.state || (cg ? "running" : null),
+        status: d?.status ?? null,
+        health: d?.health ?? null,
+        restart_count: d?.restart_count ?? null,
+        started_at: d?.started_at ?? null,
+        cpu_pct: cpu == null ? null : round1((cpu / 1e6) * 100),
+        mem_used_b: u?.mem_used_b ?? null,
+        mem_limit_b: u?.mem_limit_b ?? null,
+        mem_pct: u?.mem_used_b != null && u?.mem_limit_b ? round1((u.mem_used_b / u.mem_limit_b) * 100) : null,
+        pids: u?.pids ?? null,
+        io_read_b: u?.io?.read_b ?? null,
+        io_write_b: u?.io?.write_b ?? null,
+        io_read_bps: rd == null ? null : Math.round(rd),
+        io_write_bps: wr == null ? null : Math.round(wr),
+      });
+    }
+
+    prev = next;
+    prevTs = now;
+
+    containers.sort((a, b) => (b.cpu_pct ?? -1) - (a.cpu_pct ?? -1) || (b.mem_used_b ?? -1) - (a.mem_used_b ?? -1) || a.name.localeCompare(b.name));
+    return {
+      ts: now,
+      cgroup: version,
+      docker,
+      total: containers.length,
+      running: containers.filter((c) => c.state === "running").length,
+      containers,
+    };
+  }
+
+  return { sample };
+}
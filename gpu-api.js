@@ -0,0 +1,485 @@
+import fs from "node:fs";
+import path from "node:path";
+import { execFileText } from "./collector-api.js";
+
+/* ============================================================
+   Utils
+   - Small helpers used across the module
+============================================================ */
+
+// Return current time as milliseconds since epoch
+function nowMs() {
+  return Date.now();
+}
+
+// Return a finite number or null ("[N/A]", "", missing -> null)
+function num(v) {
+  const n = Number(v);
+  return v != null && v !== "" && Number.isFinite(n) ? n : null;
+}
+
+// Read a sysfs file as trimmed text (null when missing/unreadable)
+function readText(p) {
+  try {
+    return fs.readFileSync(p, "utf8").trim();
+  } catch {
+    return null;
+  }
+}
+
+// Read a sysfs number (null when missing/invalid)
+function readNum(p) {
+  return num(readText(p));
+}
+
+// List a directory (empty when missing)
+function listDir(p) {
+  try {
+    return fs.readdirSync(p);
+  } catch {
+    return [];
+  }
+}
+
+// Round to one decimal
+function round1(v) {
+  return Math.round(v * 10) / 10;
+}
+
+// Is an executable on PATH?
+function onPath(cmd) {
+  for (const dir of (process.env.PATH || "").split(":")) {
+    if (!dir) continue;
+    try {
+      fs.accessSync(path.join(dir, cmd), fs.constants.X_OK);
+      return true;
+    } catch {}
+  }
+  return false;
+}
+
+// Split CSV line into trimmed columns
+function parseCsvLine(line) {
+  return line.split(",").map((s) => s.trim());
+}
+
+/* ============================================================
+   NVIDIA (nvidia-smi)
+   - Base fields work on every driver; the extended set (clocks, fan, PCIe link,
+     encoder/decoder, P-state, throttle reasons) is dropped if the driver rejects it
+   - Compute processes come from a separate --query-compute-apps call, keyed by GPU uuid
+============================================================ */
+
+const NVIDIA_BASE_FIELDS = ["index", "name", "temperature.gpu", "utilization.gpu", "memory.total", "memory.used", "power.draw", "power.limit"];
+
+const NVIDIA_EXTENDED_FIELDS = [
+  "uuid",
+  "pci.bus_id",
+  "fan.speed",
+  "clocks.sm",
+  "clocks.max.sm",
+  "clocks.mem",
+  "clocks.max.mem",
+  "pcie.link.gen.current",
+  "pcie.link.gen.max",
+  "pcie.link.width.current",
+  "pcie.link.width.max",
+  "utilization.encoder",
+  "utilization.decoder",
+  "pstate",
+  "clocks_throttle_reasons.active",
+];
+
+// NVML clock throttle reason bits (clocks_throttle_reasons.active)
+const NVIDIA_THROTTLE_REASONS = [
+  [0x1, "gpu_idle"],
+  [0x2, "applications_clocks"],
+  [0x4, "sw_power_cap"],
+  [0x8, "hw_slowdown"],
+  [0x10, "sync_boost"],
+  [0x20, "sw_thermal"],
+  [0x40, "hw_thermal"],
+  [0x80, "hw_power_brake"],
+  [0x100, "display_clocks"],
+];
+
+// Every known reason name (for exporters)
+export const NVIDIA_THROTTLE_REASON_NAMES = NVIDIA_THROTTLE_REASONS.map(([, name]) => name);
+
+// Reasons that mean the card is held back (idle / clock settings are not)
+const NVIDIA_LIMITING_REASONS = ["sw_power_cap", "hw_slowdown", "sw_thermal", "hw_thermal", "hw_power_brake"];
+
+// Decode a throttle reason bitmask ("0x0000000000000004") into reason names (null when unknown)
+export function decodeThrottleReasons(hex) {
+  const mask = /^0x[0-9a-f]+$/i.test(String(hex || "").trim()) ? parseInt(hex, 16) : NaN;
+  if (!Number.isFinite(mask)) return null;
+  return NVIDIA_THROTTLE_REASONS.filter(([bit]) => mask & bit).map(([, name]) => name);
+}
+
+// Text column or null ("[N/A]", "[Not Found]", empty)
+function csvText(v) {
+  return v && !/^\[.*\]$/.test(v) ? v : null;
+}
+
+// nvidia-smi bus id ("00000000:01:00.0") in sysfs form ("0000:01:00.0")
+function shortBusId(v) {
+  const id = csvText(v);
+  return id ? id.toLowerCase().replace(/^0{4}([0-9a-f]{4}:)/, "$1") : null;
+}
+
+// MiB column in bytes
+function mibToBytes(v) {
+  const n = num(v);
+  return n != null ? n * 1024 * 1024 : null;
+}
+
+// Query nvidia-smi once; null = no NVIDIA GPU / tool, throws on timeouts and query errors
+// - extended: also ask for the extended field set (throws if the driver rejects it)
+export async function readNvidiaGpus({ timeoutMs = 1000, extended = false } = {}) {
+  if (!onPath("nvidia-smi")) return null;
+
+  try {
+    await execFileText("nvidia-smi", ["-L"], { timeoutMs });
+  } catch (e) {
+    if (e?.code === "ETIMEDOUT") throw e;
+    return null;
+  }
+
+  const fields = extended ? [...NVIDIA_BASE_FIELDS, ...NVIDIA_EXTENDED_FIELDS] : NVIDIA_BASE_FIELDS;
+  const out = await execFileText("nvidia-smi", [`--query-gpu=${fields.join(",")}`, "--format=csv,noheader,nounits"], { timeoutMs });
+  if (!out) return null;
+
+  return out
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const col = Object.fromEntries(parseCsvLine(line).map((v, i) => [fields[i], v]));
+      const totalB = mibToBytes(col["memory.total"]);
+      const usedB = mibToBytes(col["memory.used"]);
+
+      const reasons = decodeThrottleReasons(col["clocks_throttle_reasons.active"]);
+      const pstate = String(col.pstate || "").match(/^P(\d+)$/);
+      const pcie = {
+        gen: num(col["pcie.link.gen.current"]),
+        gen_max: num(col["pcie.link.gen.max"]),
+        width: num(col["pcie.link.width.current"]),
+        width_max: num(col["pcie.link.width.max"]),
+      };
+
+      // Extended columns are undefined (-> null) on the base set
+      return {
+        index: Number(col.index),
+        vendor: "nvidia",
+        driver: "nvidia",
+        name: col.name || null,
+        uuid: csvText(col.uuid),
+        pci: shortBusId(col["pci.bus_id"]),
+        temp_c: num(col["temperature.gpu"]),
+        util_pct: num(col["utilization.gpu"]),
+        mem_total_b: totalB,
+        mem_used_b: usedB,
+        mem_free_b: totalB != null && usedB != null ? totalB - usedB : null,
+        power_w: num(col["power.draw"]),
+        power_limit_w: num(col["power.limit"]),
+        freq_mhz: num(col["clocks.sm"]),
+        freq_max_mhz: num(col["clocks.max.sm"]),
+        mem_freq_mhz: num(col["clocks.mem"]),
+        mem_freq_max_mhz: num(col["clocks.max.mem"]),
+        fan_pct: num(col["fan.speed"]),
+        enc_util_pct: num(col["utilization.encoder"]),
+        dec_util_pct: num(col["utilization.decoder"]),
+        pstate: pstate ? Number(pstate[1]) : null,
+        pcie: pcie.gen != null || pcie.width != null ? pcie : null,
+        throttle_reasons: reasons,
+        throttled: reasons ? reasons.some((r) => NVIDIA_LIMITING_REASONS.includes(r)) : null,
+        processes: null,
+      };
+    });
+}
+
+// Compute processes per GPU uuid: uuid -> [{ pid, name, mem_used_b }] (best-effort, throws on errors)
+export async function readNvidiaProcesses({ timeoutMs = 1000 } = {}) {
+  const out = await execFileText(
+    "nvidia-smi",
+    ["--query-compute-apps=gpu_uuid,pid,process_name,used_memory", "--format=csv,noheader,nounits"],
+    { timeoutMs }
+  );
+
+  const byGpu = new Map();
+  for (const line of String(out || "").split("\n").filter(Boolean)) {
+    // The name may contain commas (rejoined untrimmed): memory is the last column
+    const raw = line.split(",");
+    const cols = raw.map((s) => s.trim());
+    const [uuid, pid] = cols;
+    const usedMiB = cols[cols.length - 1];
+    const name = raw.slice(2, -1).join(",").trim();
+    if (cols.length < 4 || !csvText(uuid)) continue;
+    if (!byGpu.has(uuid)) byGpu.set(uuid, []);
+    byGpu.get(uuid).push({ pid: num(pid), name: csvText(name), mem_used_b: mibToBytes(usedMiB) });
+  }
+  for (const list of byGpu.values()) list.sort((a, b) => (b.mem_used_b ?? -1) - (a.mem_used_b ?? -1));
+  return byGpu;
+}
+
+/* ============================================================
+   DRM sysfs (AMD amdgpu, Intel i915 / xe)
+   - /sys/class/drm/card<N>/device: vendor id, driver, hwmon (temp / power / energy)
+   - amdgpu: gpu_busy_percent, mem_info_vram_used / mem_info_vram_total
+   - i915: gt_act_freq_mhz / gt_max_freq_mhz, power/rc6_residency_ms (busy = not in RC6)
+   - xe: tile<N>/gt<N>/freq0/{act,max}_freq, gtidle/idle_residency_ms
+   - Power from power1_average / power1_input (uW), else from energy1_input (uJ) deltas
+============================================================ */
+
+const DRM_VENDORS = { "0x1002": "amd", "0x8086": "intel" };
+
+// Readable card name: product_name / PCI id
+function drmName(dev, vendor) {
+  const product = readText(path.join(dev, "product_name"));
+  if (product) return product;
+  const id = String(readText(path.join(dev, "device")) || "").replace(/^0x/, "");
+  return `${vendor === "amd" ? "AMD Radeon" : "Intel Graphics"}${id ? ` [${id}]` : ""}`;
+}
+
+// First hwmon directory of a device (null when none)
+function hwmonDir(dev) {
+  const base = path.join(dev, "hwmon");
+  const name = listDir(base).find((n) => n.startsWith("hwmon"));
+  return name ? path.join(base, name) : null;
+}
+
+// GPU temperature from hwmon (edge / pkg first, else the first sensor), in °C
+function hwmonTemp(hw) {
+  if (!hw) return null;
+  const inputs = listDir(hw)
+    .filter((n) => /^temp\d+_input$/.test(n))
+    .sort();
+  const preferred = inputs.find((n) => /^(edge|pkg|gpu)$/i.test(readText(path.join(hw, n.replace("_input", "_label"))) || ""));
+  const v = readNum(path.join(hw, preferred || inputs[0] || ""));
+  return v == null ? null : round1(v / 1000);
+}
+
+// Paths of a per-GT xe file: tile*/gt*/<rel>
+function xeGtFiles(dev, rel) {
+  const out = [];
+  for (const tile of listDir(dev).filter((n) => /^tile\d+$/.test(n))) {
+    for (const gt of listDir(path.join(dev, tile)).filter((n) => /^gt\d+$/.test(n))) {
+      out.push(path.join(dev, tile, gt, rel));
+    }
+  }
+  return out;
+}
+
+// PCI address of a device ("0000:03:00.0"; null when not resolvable)
+function pciAddress(dev) {
+  try {
+    return path.basename(fs.realpathSync(dev));
+  } catch {
+    return null;
+  }
+}
+
+// Read the raw counters/values of one DRM card ({ card, dir, dev, vendor, driver } from listDrmCards)
+function readDrmCard({ card, dir, dev, vendor, driver }) {
+  const hw = hwmonDir(dev);
+  const raw = {
+    card,
+    vendor,
+    driver,
+    name: drmName(dev, vendor),
+    pci: pciAddress(dev),
+    temp_c: hwmonTemp(hw),
+    util_pct: null,
+    idle_ms: null,
+    mem_total_b: null,
+    mem_used_b: null,
+    power_w: null,
+    energy_uj: null,
+    power_limit_w: null,
+    freq_mhz: null,
+    freq_max_mhz: null,
+  };
+
+  if (hw) {
+    const uw = readNum(path.join(hw, "power1_average")) ?? readNum(path.join(hw, "power1_input"));
+    raw.power_w = uw == null ? null : round1(uw / 1e6);
+    raw.energy_uj = readNum(path.join(hw, "energy1_input"));
+    const cap = readNum(path.join(hw, "power1_cap")) ?? readNum(path.join(hw, "power1_max"));
+    raw.power_limit_w = cap ? round1(cap / 1e6) : null;
+  }
+
+  if (vendor === "amd") {
+    raw.util_pct = readNum(path.join(dev, "gpu_busy_percent"));
+    raw.mem_total_b = readNum(path.join(dev, "mem_info_vram_total"));
+    raw.mem_used_b = readNum(path.join(dev, "mem_info_vram_used"));
+    // Shader clock levels: "0: 500Mhz", "1: 1800Mhz *" (current marked with *)
+    const levels = [...String(readText(path.join(dev, "pp_dpm_sclk")) || "").matchAll(/^\d+:\s*(\d+)Mhz(\s*\*)?/gim)];
+    raw.freq_mhz = num(levels.find((m) => m[2])?.[1]);
+    raw.freq_max_mhz = levels.length ? Math.max(...levels.map((m) => Number(m[1]))) : null;
+  } else if (driver === "xe") {
+    const values = (rel) => xeGtFiles(dev, rel).map(readNum).filter((v) => v != null);
+    const act = values("freq0/act_freq");
+    const max = values("freq0/max_freq");
+    const idle = values("gtidle/idle_residency_ms");
+    raw.freq_mhz = act.length ? Math.max(...act) : null;
+    raw.freq_max_mhz = max.length ? Math.max(...max) : null;
+    // One idle counter per GT; the busiest GT sets the utilization
+    raw.idle_ms = idle.length ? idle : null;
+  } else {
+    raw.freq_mhz = readNum(path.join(dir, "gt_act_freq_mhz"));
+    raw.freq_max_mhz = readNum(path.join(dir, "gt_max_freq_mhz"));
+    const rc6 = readNum(path.join(dir, "power", "rc6_residency_ms"));
+    raw.idle_ms = rc6 == null ? null : [rc6];
+  }
+
+  return raw;
+}
+
+// List DRM cards of supported vendors: [{ card, dir, dev, vendor, driver }]
+export function listDrmCards(sysRoot = "/sys") {
+  const base = path.join(sysRoot, "class", "drm");
+  return listDir(base)
+    .filter((n) => /^card\d+$/.test(n))
+    .sort((a, b) => Number(a.slice(4)) - Number(b.slice(4)))
+    .map((card) => {
+      const dir = path.join(base, card);
+      const dev = path.join(dir, "device");
+      const vendor = DRM_VENDORS[String(readText(path.join(dev, "vendor")) || "").toLowerCase()];
+      let driver = null;
+      try {
+        driver = path.basename(fs.readlinkSync(path.join(dev, "driver")));
+      } catch {}
+      return { card, dir, dev, vendor, driver };
+    })
+    .filter((c) => c.vendor && (c.vendor !== "amd" || c.driver !== "radeon"));
+}
+
+/* ============================================================
+   Reader
+   - Backends are picked automatically (GPU_BACKENDS can restrict them)
+   - Every GPU is normalized to { index, vendor, driver, name, pci, temp_c, util_pct,
+     mem_total_b, mem_used_b, mem_free_b, power_w, power_limit_w, freq_mhz, freq_max_mhz }
+   - NVIDIA also fills uuid, mem_freq_*, fan_pct, enc/dec_util_pct, pstate, pcie,
+     throttle_reasons / throttled and processes (null for the other backends)
+   - Indexes: NVIDIA first (nvidia-smi order), then DRM cards in card<N> order
+============================================================ */
+
+export const GPU_BACKENDS = ["nvidia", "amd", "intel"];
+
+// Parse "auto" / "nvidia,amd" into a list of enabled backends
+export function parseGpuBackends(str) {
+  const s = String(str || "auto").trim().toLowerCase();
+  if (!s || s === "auto" || s === "all") return GPU_BACKENDS.slice();
+  const list = s.split(",").map((x) => x.trim()).filter((x) => GPU_BACKENDS.includes(x));
+  return list.length ? list : GPU_BACKENDS.slice();
+}
+
+// Create a GPU reader; read() returns { count, gpus, primary, backends } or null when no GPU was found
+export function createGpuReader({ sysRoot = () => "/sys", backends = GPU_BACKENDS, timeoutMs = 1000, processesEveryMs = 5000 } = {}) {
+  // card -> { ts, idle_ms[], energy_uj } of the previous read (for idle and energy deltas)
+  const prev = new Map();
+  // Cleared once nvidia-smi rejects the extended fields (older drivers)
+  let nvidiaExtended = true;
+  // Last compute process list per GPU uuid (refreshed every processesEveryMs)
+  let nvProcs = { ts: 0, byGpu: null };
+
+  // Turn raw DRM counters into the normalized shape
+  function normalizeDrm(raw, now) {
+    const pv = prev.get(raw.card);
+    const dt = pv ? now - pv.ts : 0;
+    prev.set(raw.card, { ts: now, idle_ms: raw.idle_ms, energy_uj: raw.energy_uj });
+
+    let util = raw.util_pct;
+    if (util == null && raw.idle_ms && pv?.idle_ms?.length === raw.idle_ms.length && dt > 0) {
+      const idle = Math.min(...raw.idle_ms.map((v, i) => v - pv.idle_ms[i]));
+      util = idle >= 0 ? round1(Math.min(100, Math.max(0, 100 - (idle / dt) * 100))) : null;
+    }
+
+    let power = raw.power_w;
+    if (power == null && raw.energy_uj != null && pv?.energy_uj != null && dt > 0 && raw.energy_uj >= pv.energy_uj) {
+      power = round1((raw.energy_uj - pv.energy_uj) / 1000 / dt);
+    }
+
+    return {
+      index: null,
+      vendor: raw.vendor,
+      driver: raw.driver,
+      name: raw.name,
+      pci: raw.pci,
+      temp_c: raw.temp_c,
+      util_pct: util,
+      mem_total_b: raw.mem_total_b,
+      mem_used_b: raw.mem_used_b,
+      mem_free_b: raw.mem_total_b != null && raw.mem_used_b != null ? raw.mem_total_b - raw.mem_used_b : null,
+      power_w: power,
+      power_limit_w: raw.power_limit_w,
+      freq_mhz: raw.freq_mhz,
+      freq_max_mhz: raw.freq_max_mhz,
+      mem_freq_mhz: null,
+      mem_freq_max_mhz: null,
+      fan_pct: null,
+      enc_util_pct: null,
+      dec_util_pct: null,
+      pstate: null,
+      pcie: null,
+      throttle_reasons: null,
+      throttled: null,
+      processes: null,
+    };
+  }
+
+  // Query nvidia-smi; falls back to the base field set for good once the driver rejects the extended one
+  async function readNvidia(now) {
+    let nv;
+    try {
+      nv = await readNvidiaGpus({ timeoutMs, extended: nvidiaExtended });
+    } catch (e) {
+      if (!nvidiaExtended || e?.code === "ETIMEDOUT") throw e;
+      nv = await readNvidiaGpus({ timeoutMs });
+      nvidiaExtended = false;
+    }
+    if (!nv?.length || !nvidiaExtended || !(processesEveryMs > 0)) return nv;
+
+    if (now - nvProcs.ts >= processesEveryMs) {
+      let byGpu = null;
+      try {
+        byGpu = await readNvidiaProcesses({ timeoutMs });
+      } catch {}
+      nvProcs = { ts: now, byGpu };
+    }
+    for (const g of nv) g.processes = nvProcs.byGpu && g.uuid ? nvProcs.byGpu.get(g.uuid) || [] : null;
+    return nv;
+  }
+
+  // Read every enabled backend once
+  async function read() {
+    const used = [];
+    const gpus = [];
+
+    if (backends.includes("nvidia")) {
+      const nv = await readNvidia(nowMs());
+      if (nv?.length) {
+        used.push("nvidia");
+        gpus.push(...nv);
+      }
+    }
+
+    const now = nowMs();
+    const cards = listDrmCards(sysRoot() || "/sys").filter((c) => backends.includes(c.vendor));
+    for (const c of cards) {
+      try {
+        gpus.push(normalizeDrm(readDrmCard(c), now));
+        if (!used.includes(c.vendor)) used.push(c.vendor);
+      } catch {}
+    }
+    for (const card of prev.keys()) if (!cards.some((c) => c.card === card)) prev.delete(card);
+
+    if (!gpus.length) return null;
+    const offset = gpus.filter((g) => g.vendor === "nvidia").length;
+    let n = 0;
+    for (const g of gpus) if (g.vendor !== "nvidia") g.index = offset + n++;
+
+    return { count: gpus.length, gpus, primary: gpus[0], backends: used };
+  }
+
+  return { read };
+}
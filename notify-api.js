@@ -0,0 +1,380 @@
+import fs from "node:fs";
+import path from "node:path";
+
+/* ============================================================
+   Utils
+   - Small helpers used across the module
+============================================================ */
+
+// Return current time as milliseconds since epoch
+function nowMs() {
+  return Date.now();
+}
+
+// Clamp a number into an integer range with a default fallback
+function clampInt(v, min, max, def) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return def;
+  return Math.max(min, Math.min(max, Math.floor(n)));
+}
+
+// Show only the origin of a webhook URL (paths and queries often carry tokens)
+function redactUrl(u) {
+  try {
+    return new URL(u).origin;
+  } catch {
+    return null;
+  }
+}
+
+/* ============================================================
+   Templates
+   - "{{name}}" placeholders in strings, headers and JSON bodies
+   - A JSON string that is exactly one placeholder keeps the value type
+============================================================ */
+
+const PLACEHOLDER_RE = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Render placeholders in a string (unknown names -> "")
+function renderString(tpl, vars) {
+  return String(tpl).replace(PLACEHOLDER_RE, (_, k) => (vars[k] != null ? String(vars[k]) : ""));
+}
+
+// Render placeholders in every string of a JSON-like value
+function renderValue(tpl, vars) {
+  if (typeof tpl === "string") {
+    const only = tpl.match(/^\{\{\s*(\w+)\s*\}\}$/);
+    if (only && (typeof vars[only[1]] === "number" || typeof vars[only[1]] === "boolean")) return vars[only[1]];
+    return renderString(tpl, vars);
+  }
+  if (Array.isArray(tpl)) return tpl.map((x) => renderValue(x, vars));
+  if (tpl && typeof tpl === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(tpl)) out[k] = renderValue(v, vars);
+    return out;
+  }
+  return tpl;
+}
+
+/* ============================================================
+   Presets
+   - Defaults merged under a webhook's own method/headers/body
+============================================================ */
+
+const PRESETS = {
+  discord: {
+    method: "POST",
+    body: { content: "**{{title}}**\n{{message}}" },
+  },
+  slack: {
+    method: "POST",
+    body: { text: "*{{title}}*\n{{message}}" },
+  },
+  ntfy: {
+    method: "POST",
+    headers: { Title: "{{title}}", Priority: "{{priority}}", Tags: "{{tags}}" },
+    body: "{{message}}",
+  },
+  gotify: {
+    method: "POST",
+    body: { title: "{{title}}", message: "{{message}}", priority: "{{priority_10}}" },
+  },
+  telegram: {
+    method: "POST",
+    body: { chat_id: "{{chat_id}}", text: "{{title}}\n{{message}}", disable_web_page_preview: true },
+  },
+};
+
+// Normalize one webhook from config (returns { hook } or { error })
+function normalizeHook(h, i) {
+  const name = String(h?.name || `webhook${i + 1}`).trim();
+  const presetName = h?.preset ? String(h.preset).toLowerCase() : null;
+  const preset = presetName ? PRESETS[presetName] : {};
+
+  if (presetName && !preset) return { error: `${name}: unknown preset "${h.preset}"` };
+  if (!redactUrl(h?.url)) return { error: `${name}: invalid url` };
+
+  const body = h?.body !== undefined ? h.body : preset.body;
+
+  return {
+    hook: {
+      name,
+      preset: presetName,
+      url: String(h.url),
+      method: String(h?.method || preset.method || "POST").toUpperCase(),
+      headers: { ...(preset.headers || {}), ...(h?.headers && typeof h.headers === "object" ? h.headers : {}) },
+      body: body === undefined ? "{{title}}\n{{message}}" : body,
+      events: Array.isArray(h?.events) && h.events.length ? h.events.map(String) : ["alert", "speedtest"],
+      retries: clampInt(h?.retries, 0, 10, 3),
+      timeoutMs: clampInt(h?.timeout_ms, 1000, 60000, 10000),
+      vars: h?.vars && typeof h.vars === "object" ? h.vars : {},
+    },
+  };
+}
+
+// Read and validate the notify config (missing file -> no webhooks)
+function readConfig(file) {
+  let j;
+  try {
+    j = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e?.code === "ENOENT") return { hooks: [], errors: [] };
+    return { hooks: [], errors: [`cannot read ${file}: ${e?.message || e}`] };
+  }
+
+  const hooks = [];
+  const errors = [];
+  (Array.isArray(j?.webhooks) ? j.webhooks : []).forEach((h, i) => {
+    if (h?.enabled === false) return;
+    const n = normalizeHook(h, i);
+    if (n.error) return errors.push(n.error);
+    hooks.push(n.hook);
+  });
+  return { hooks, errors };
+}
+
+/* ============================================================
+   Notifier
+   - notify(event): { kind: "alert"|"speedtest"|"test", state, title, message, ...vars }
+   - Webhooks subscribe with events: ["alert", "alert.firing", "speedtest", ...]
+   - Failed deliveries retry with exponential backoff; outcomes go to a JSONL log
+============================================================ */
+
+const LOG_KEEP = 100;
+const LOG_COMPACT_LINES = 2000;
+const BACKOFF_BASE_MS = 2000;
+const BACKOFF_MAX_MS = 5 * 60 * 1000;
+
+// Create a webhook notifier (config is re-read when the file changes)
+export function createNotifier({
+  configFile = "./data/notify.json",
+  logFile = "./data/notify-log.jsonl",
+  host = "",
+} = {}) {
+  let hooks = [];
+  let errors = [];
+  let configMtime = -1;
+  let configCheckedAt = 0;
+
+  // Reload webhooks if the file mtime changed (checked at most every 2s)
+  function loadConfig() {
+    const now = nowMs();
+    if (now - configCheckedAt < 2000) return;
+    configCheckedAt = now;
+
+    let mtime = 0;
+    try {
+      mtime = fs.statSync(configFile).mtimeMs;
+    } catch {
+      mtime = 0;
+    }
+    if (mtime === configMtime) return;
+    configMtime = mtime;
+
+    const c = mtime ? readConfig(configFile) : { hooks: [], errors: [] };
+    hooks = c.hooks;
+    errors = c.errors;
+    for (const e of errors) console.warn(`notify: ${e}`);
+  }
+
+  // Load the tail of the delivery log (best-effort)
+  function readLog() {
+    try {
+      const lines = fs.readFileSync(logFile, "utf8").split("\n").filter(Boolean);
+      const out = [];
+      for (const line of lines.slice(-LOG_KEEP)) {
+        try {
+          out.push(JSON.parse(line));
+        } catch {}
+      }
+      return { entries: out.reverse(), lines: lines.length };
+    } catch {
+      return { entries: [], lines: 0 };
+    }
+  }
+
+  const loaded = readLog();
+  let log = loaded.entries;
+  let logLines = loaded.lines;
+
+  // Append a delivery outcome (compacts the file when it grows too long)
+  function appendLog(entry) {
+    log.unshift(entry);
+    if (log.length > LOG_KEEP) log.length = LOG_KEEP;
+
+    try {
+      fs.mkdirSync(path.dirname(logFile), { recursive: true });
+      if (logLines >= LOG_COMPACT_LINES) {
+        const tmp = `${logFile}.tmp`;
+        fs.writeFileSync(tmp, log.slice().reverse().map((e) => JSON.stringify(e)).join("\n") + "\n", "utf8");
+        fs.renameSync(tmp, logFile);
+        logLines = log.length;
+      } else {
+        fs.appendFileSync(logFile, JSON.stringify(entry) + "\n", "utf8");
+        logLines++;
+      }
+    } catch {}
+  }
+
+  // Does a webhook subscribe to this event?
+  function wants(hook, ev) {
+    return hook.events.includes(ev.kind) || hook.events.includes(`${ev.kind}.${ev.state}`) || ev.kind === "test";
+  }
+
+  // Build placeholder values for an event and webhook
+  function varsFor(hook, ev) {
+    const ts = Number(ev.ts) || nowMs();
+    return {
+      host,
+      severity: "",
+      rule: "",
+      metric: "",
+      value: "",
+      threshold: "",
+      summary: "",
+      ...hook.vars,
+      ...ev,
+      event: ev.kind,
+      ts,
+      time: new Date(ts).toISOString(),
+    };
+  }
+
+  // Build the HTTP request for a webhook
+  function buildRequest(hook, vars) {
+    const headers = {};
+    for (const [k, v] of Object.entries(hook.headers)) headers[k] = renderString(v, vars);
+
+    let body = null;
+    if (hook.method !== "GET" && hook.method !== "HEAD") {
+      if (typeof hook.body === "string") {
+        body = renderString(hook.body, vars);
+        if (!Object.keys(headers).some((k) => k.toLowerCase() === "content-type")) {
+          headers["Content-Type"] = "text/plain; charset=utf-8";
+        }
+      } else {
+        body = JSON.stringify(renderValue(hook.body, vars));
+        if (!Object.keys(headers).some((k) => k.toLowerCase() === "content-type")) {
+          headers["Content-Type"] = "application/json";
+        }
+      }
+    }
+
+    return { url: renderString(hook.url, vars), method: hook.method, headers, body };
+  }
+
+  // Send one attempt; resolves to { ok, status, error, retryAfterMs }
+  async function sendOnce(hook, req) {
+    try {
+      const r = await fetch(req.url, {
+        method: req.method,
+        headers: req.headers,
+        body: req.body,
+        signal: AbortSignal.timeout(hook.timeoutMs),
+      });
+      try {
+        await r.arrayBuffer();
+      } catch {}
+
+      const retryAfter = Number(r.headers.get("retry-after"));
+      return {
+        ok: r.ok,
+        status: r.status,
+        error: r.ok ? null : `HTTP ${r.status}`,
+        retryAfterMs: Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : 0,
+      };
+    } catch (e) {
+      return { ok: false, status: null, error: String(e?.message || e), retryAfterMs: 0 };
+    }
+  }
+
+  // Deliver with retries and exponential backoff, then log the outcome
+  async function deliver(hook, ev) {
+    const req = buildRequest(hook, varsFor(hook, ev));
+    const started = nowMs();
+    let res = null;
+    let attempts = 0;
+
+    while (attempts <= hook.retries) {
+      attempts++;
+      res = await sendOnce(hook, req);
+      if (res.ok || attempts > hook.retries) break;
+      if (res.status && res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429) break;
+
+      const backoff = Math.min(BACKOFF_MAX_MS, Math.max(res.retryAfterMs, BACKOFF_BASE_MS * 2 ** (attempts - 1)));
+      await new Promise((r) => setTimeout(r, backoff));
+    }
+
+    appendLog({
+      ts: nowMs(),
+      webhook: hook.name,
+      event: ev.kind,
+      state: ev.state || null,
+      title: ev.title || null,
+      ok: !!res?.ok,
+      status: res?.status ?? null,
+      attempts,
+      duration_ms: nowMs() - started,
+      error: res?.ok ? null : res?.error || null,
+    });
+
+    if (!res?.ok) console.warn(`notify: ${hook.name} failed after ${attempts} attempt(s): ${res?.error}`);
+    return res;
+  }
+
+  // Fan an event out to every subscribed webhook (fire-and-forget)
+  function notify(ev) {
+    loadConfig();
+    for (const hook of hooks) {
+      if (!wants(hook, ev)) continue;
+      deliver(hook, ev).catch(() => {});
+    }
+  }
+
+  // Send a test notification to one webhook (or all) and wait for the outcome
+  async function test(name = "") {
+    loadConfig();
+    const targets = name ? hooks.filter((h) => h.name === name) : hooks;
+    if (!targets.length) return { ok: false, error: name ? "unknown_webhook" : "no_webhooks" };
+
+    const ev = {
+      kind: "test",
+      state: "test",
+      title: `ArgusSyS ${host}: test notification`,
+      message: "If you can read this, the webhook works.",
+      priority: 3,
+      priority_10: 5,
+      tags: "test_tube",
+    };
+
+    const results = [];
+    for (const hook of targets) {
+      const r = await deliver({ ...hook, retries: 0 }, ev);
+      results.push({ webhook: hook.name, ok: r.ok, status: r.status, error: r.error });
+    }
+    return { ok: results.every((r) => r.ok), results };
+  }
+
+  // Current config and recent deliveries (URLs reduced to their origin)
+  function snapshot() {
+    loadConfig();
+    return {
+      config_file: configFile,
+      presets: Object.keys(PRESETS),
+      webhooks: hooks.map((h) => ({
+        name: h.name,
+        preset: h.preset,
+        method: h.method,
+        origin: redactUrl(h.url),
+        events: h.events,
+        retries: h.retries,
+      })),
+      errors,
+      log,
+    };
+  }
+
+  loadConfig();
+
+  return { notify, test, snapshot };
+}
@@ -0,0 +1,222 @@
+import fs from "node:fs";
+import path from "node:path";
+
+/* ============================================================
+   Utils
+   - Small helpers used across the module
+============================================================ */
+
+// Return current time as milliseconds since epoch
+function nowMs() {
+  return Date.now();
+}
+
+// Read a file as text (null when missing/unreadable, e.g. the process exited)
+// - Running out of file descriptors is not "missing": retried briefly, then thrown
+async function readText(p) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fs.promises.readFile(p, "utf8");
+    } catch (e) {
+      if (e?.code !== "EMFILE" && e?.code !== "ENFILE") return null;
+      if (attempt >= 4) throw e;
+      await sleep(25 * (attempt + 1));
+    }
+  }
+}
+
+// Resolve after ms
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// Map items with at most `limit` calls of fn in flight (results keep input order)
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+// List a directory (empty when missing)
+async function listDir(p) {
+  try {
+    return await fs.promises.readdir(p);
+  } catch {
+    return [];
+  }
+}
+
+// Round to one decimal
+function round1(v) {
+  return Math.round(v * 10) / 10;
+}
+
+/* ============================================================
+   /proc parsing
+   - <proc>/<pid>/stat:    state, ppid, utime/stime ticks, nice, threads, start time
+   - <proc>/<pid>/status:  Name, Uid, VmRSS
+   - <proc>/<pid>/cmdline: NUL-separated argv (empty for kernel threads)
+============================================================ */
+
+// Kernel USER_HZ: /proc tick counters are always reported in 1/100 s on Linux
+const CLK_TCK = 100;
+
+// Processes read at once (each holds up to three open files)
+const READ_CONCURRENCY = 32;
+
+// Parse /proc/<pid>/stat (comm may contain spaces and parentheses)
+export function parseProcStat(txt) {
+  const s = String(txt || "");
+  const a = s.indexOf("(");
+  const b = s.lastIndexOf(")");
+  if (a < 0 || b < a) return null;
+
+  const f = s.slice(b + 2).split(" ");
+  return {
+    comm: s.slice(a + 1, b),
+    state: f[0],
+    ppid: Number(f[1]),
+    ticks: Number(f[11]) + Number(f[12]),
+    nice: Number(f[16]),
+    threads: Number(f[17]),
+    start: Number(f[19]),
+  };
+}
+
+// Pick Name, real Uid and VmRSS (bytes) from /proc/<pid>/status
+export function parseProcStatus(txt) {
+  const out = { name: null, uid: null, rss_b: 0 };
+  for (const line of String(txt || "").split("\n")) {
+    const i = line.indexOf(":");
+    if (i < 0) continue;
+    const k = line.slice(0, i);
+    const v = line.slice(i + 1).trim();
+    if (k === "Name") out.name = v;
+    else if (k === "Uid") out.uid = Number(v.split(/\s+/)[0]);
+    else if (k === "VmRSS") out.rss_b = Number(v.split(/\s+/)[0]) * 1024;
+  }
+  return out;
+}
+
+// uid -> user name from an /etc/passwd file
+async function readUsers(etcDir) {
+  const map = new Map();
+  const txt = await readText(path.join(etcDir, "passwd"));
+  for (const line of String(txt || "").split("\n")) {
+    const f = line.split(":");
+    if (f.length > 2 && /^\d+$/.test(f[2])) map.set(Number(f[2]), f[0]);
+  }
+  return map;
+}
+
+// MemTotal in bytes (null when unknown)
+async function readMemTotal(procRoot) {
+  const m = String((await readText(path.join(procRoot, "meminfo"))) || "").match(/^MemTotal:\s+(\d+)/m);
+  return m ? Number(m[1]) * 1024 : null;
+}
+
+// Read one process (null when it exited while we were reading)
+async function readProcess(procRoot, pid, { cmdline, cmdMax }) {
+  const dir = path.join(procRoot, pid);
+  const [statTxt, statusTxt, cmdTxt] = await Promise.all([
+    readText(path.join(dir, "stat")),
+    readText(path.join(dir, "status")),
+    cmdline ? readText(path.join(dir, "cmdline")) : null,
+  ]);
+  const st = parseProcStat(statTxt);
+  if (!st) return null;
+
+  const status = parseProcStatus(statusTxt);
+  const cmd = String(cmdTxt || "").replace(/\0+$/, "").replace(/[\0\n\r\t]/g, " ").trim();
+
+  return {
+    pid: Number(pid),
+    ppid: st.ppid,
+    name: status.name || st.comm,
+    cmd: cmd ? cmd.slice(0, cmdMax) : null,
+    uid: status.uid,
+    state: st.state,
+    nice: st.nice,
+    threads: st.threads,
+    rss_b: status.rss_b,
+    ticks: st.ticks,
+    start: st.start,
+  };
+}
+
+/* ============================================================
+   Tracker
+   - CPU% comes from tick deltas between two samples (100% = one core, like top)
+   - A pid reused by a new process (different start time) starts over
+============================================================ */
+
+const SORTS = {
+  cpu: (a, b) => (b.cpu_pct ?? -1) - (a.cpu_pct ?? -1) || b.rss_b - a.rss_b,
+  mem: (a, b) => b.rss_b - a.rss_b || (b.cpu_pct ?? -1) - (a.cpu_pct ?? -1),
+  threads: (a, b) => b.threads - a.threads || b.rss_b - a.rss_b,
+  pid: (a, b) => a.pid - b.pid,
+  name: (a, b) => a.name.localeCompare(b.name) || a.pid - b.pid,
+};
+
+export const PROCESS_SORTS = Object.keys(SORTS);
+
+// Sorted top-N of a process list (unknown sort -> cpu)
+export function topProcesses(list, { sort = "cpu", limit = 20 } = {}) {
+  return [...(list || [])].sort(SORTS[sort] || SORTS.cpu).slice(0, Math.max(0, limit));
+}
+
+// Create a process tracker; sample() walks <proc> and returns every process with CPU%
+export function createProcessTracker({ procRoot = () => "/proc", etcDir = () => "/etc", cmdline = true, cmdMax = 300 } = {}) {
+  let prev = new Map();
+  let prevTs = 0;
+
+  // Collect one snapshot: { ts, interval_s, total, running, zombie, threads, processes }
+  async function sample() {
+    const root = procRoot() || "/proc";
+    const now = nowMs();
+    const dt = prevTs ? (now - prevTs) / 1000 : 0;
+
+    const pids = (await listDir(root)).filter((n) => /^\d+$/.test(n));
+    const [users, memTotal, list] = await Promise.all([
+      readUsers(etcDir()),
+      readMemTotal(root),
+      mapLimit(pids, READ_CONCURRENCY, (pid) => readProcess(root, pid, { cmdline, cmdMax })),
+    ]);
+
+    const next = new Map();
+    const processes = [];
+    for (const p of list) {
+      if (!p) continue;
+      const pv = prev.get(p.pid);
+      next.set(p.pid, { ticks: p.ticks, start: p.start });
+
+      const { ticks, start, ...out } = p;
+      out.user = users.get(p.uid) ?? (p.uid != null ? String(p.uid) : null);
+      out.cpu_pct = dt > 0 && pv && pv.start === start ? round1(Math.max(0, ((ticks - pv.ticks) / CLK_TCK / dt) * 100)) : null;
+      out.mem_pct = memTotal ? round1((p.rss_b / memTotal) * 100) : null;
+      processes.push(out);
+    }
+
+    prev = next;
+    prevTs = now;
+
+    return {
+      ts: now,
+      interval_s: dt ? round1(dt) : null,
+      total: processes.length,
+      running: processes.filter((p) => p.state === "R").length,
+      zombie: processes.filter((p) => p.state === "Z").length,
+      threads: processes.reduce((n, p) => n + (p.threads || 0), 0),
+      processes: topProcesses(processes, { sort: "cpu", limit: processes.length }),
+    };
+  }
+
+  return { sample };
+}
@@ -0,0 +1,235 @@
+import fs from "node:fs";
+import path from "node:path";
+
+/* ============================================================
+   Utils
+   - Small helpers used across the module
+============================================================ */
+
+// Return current time as milliseconds since epoch
+function nowMs() {
+  return Date.now();
+}
+
+// Round a number to a few decimals (keeps JSONL files small)
+function round(n, digits = 3) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+/* ============================================================
+   Tier Files
+   - One append-only JSONL file per tier: {"t":<bucket start>,"s":{"key":[min,avg,max]}}
+   - Compacted (rewritten without expired lines) when they pile up
+============================================================ */
+
+// Read all records of a tier file newer than cutoff (best-effort)
+function readTierFile(file, cutoff) {
+  let txt = "";
+  try {
+    txt = fs.readFileSync(file, "utf8");
+  } catch {
+    return { records: [], lines: 0 };
+  }
+
+  const records = [];
+  let lines = 0;
+  for (const line of txt.split("\n")) {
+    if (!line) continue;
+    lines++;
+    try {
+      const r = JSON.parse(line);
+      const t = Number(r?.t);
+      if (!Number.isFinite(t) || t < cutoff || !r.s || typeof r.s !== "object") continue;
+      records.push({ t, s: r.s });
+    } catch {}
+  }
+
+  records.sort((a, b) => a.t - b.t);
+  return { records, lines };
+}
+
+// Rewrite a tier file with the given records (tmp + rename)
+function writeTierFile(file, records) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, records.map((r) => JSON.stringify(r)).join("\n") + (records.length ? "\n" : ""), "utf8");
+    fs.renameSync(tmp, file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Read the open-bucket snapshot ({ <tier>: { t, acc } }) written on shutdown (best-effort)
+function readOpenBuckets(file) {
+  try {
+    const st = JSON.parse(fs.readFileSync(file, "utf8"));
+    return st && typeof st === "object" ? st : {};
+  } catch {
+    return {};
+  }
+}
+
+/* ============================================================
+   Store
+   - ingest() feeds raw samples; each tier aggregates min/avg/max per bucket
+   - Series keys are dynamic (anything numeric passed to ingest)
+   - Open buckets are saved every saveOpenEveryMs, on compaction and on flush(), and
+     resumed on start, so a restart or crash does not drop the current minute / hour
+============================================================ */
+
+// Create a tiered rollup store; tiers: [{ name, stepMs, retentionMs }] (retention 0 disables a tier)
+export function createRollupStore({ dir = "./data/history", tiers = [], compactEveryMs = 60 * 60 * 1000, saveOpenEveryMs = 60 * 1000 } = {}) {
+  const list = tiers
+    .filter((t) => t && t.name && t.stepMs > 0 && t.retentionMs > 0)
+    .sort((a, b) => a.stepMs - b.stepMs)
+    .map((t) => ({
+      name: String(t.name),
+      stepMs: Math.floor(t.stepMs),
+      retentionMs: Math.floor(t.retentionMs),
+      file: path.join(dir, `${t.name}.jsonl`),
+      records: [],
+      lines: 0,
+      bucket: null,
+    }));
+  const openFile = path.join(dir, "open.json");
+
+  // Load persisted records and compact files that carry expired lines
+  const open = readOpenBuckets(openFile);
+  for (const tier of list) {
+    const { records, lines } = readTierFile(tier.file, nowMs() - tier.retentionMs);
+    tier.records = records;
+    tier.lines = lines;
+    if (lines > records.length) {
+      if (writeTierFile(tier.file, records)) tier.lines = records.length;
+    }
+
+    // Resume the bucket that was open at shutdown (unless it was finalized since)
+    const b = open[tier.name];
+    const last = tier.records[tier.records.length - 1];
+    if (b && Number.isFinite(Number(b.t)) && b.acc && typeof b.acc === "object" && (!last || Number(b.t) > last.t) && Number(b.t) >= nowMs() - tier.retentionMs) {
+      tier.bucket = { t: Number(b.t), acc: b.acc };
+    }
+  }
+
+  let lastCompact = nowMs();
+  let lastOpenSave = 0;
+
+  // Drop expired records from memory
+  function prune(tier, now) {
+    const cutoff = now - tier.retentionMs;
+    let i0 = 0;
+    while (i0 < tier.records.length && tier.records[i0].t < cutoff) i0++;
+    if (i0 > 0) tier.records.splice(0, i0);
+  }
+
+  // Rewrite files whose line count outgrew the retained records, then save the open buckets
+  function compact(now = nowMs()) {
+    lastCompact = now;
+    for (const tier of list) {
+      prune(tier, now);
+      if (tier.lines > tier.records.length * 1.1 + 10) {
+        if (writeTierFile(tier.file, tier.records)) tier.lines = tier.records.length;
+      }
+    }
+    saveOpen(now);
+  }
+
+  // Close a bucket: keep it in memory and append it to the tier file
+  function finalize(tier) {
+    const b = tier.bucket;
+    tier.bucket = null;
+    if (!b) return;
+
+    const s = {};
+    for (const [k, a] of Object.entries(b.acc)) {
+      if (!a.n) continue;
+      s[k] = [round(a.min), round(a.sum / a.n), round(a.max)];
+    }
+    if (!Object.keys(s).length) return;
+
+    const rec = { t: b.t, s };
+    const last = tier.records[tier.records.length - 1];
+    if (last && last.t >= rec.t) return;
+
+    tier.records.push(rec);
+    try {
+      fs.mkdirSync(path.dirname(tier.file), { recursive: true });
+      fs.appendFileSync(tier.file, JSON.stringify(rec) + "\n", "utf8");
+      tier.lines++;
+    } catch {}
+  }
+
+  // Feed one raw sample ({ key: number }) into every tier
+  function ingest(ts, values) {
+    const t = Number(ts);
+    if (!Number.isFinite(t)) return;
+
+    for (const tier of list) {
+      const start = Math.floor(t / tier.stepMs) * tier.stepMs;
+      if (tier.bucket && tier.bucket.t !== start) finalize(tier);
+      if (!tier.bucket) tier.bucket = { t: start, acc: {} };
+
+      const acc = tier.bucket.acc;
+      for (const [k, raw] of Object.entries(values || {})) {
+        const v = Number(raw);
+        if (raw == null || !Number.isFinite(v)) continue;
+        const a = acc[k] || (acc[k] = { min: v, max: v, sum: 0, n: 0 });
+        if (v < a.min) a.min = v;
+        if (v > a.max) a.max = v;
+        a.sum += v;
+        a.n++;
+      }
+    }
+
+    if (t - lastCompact >= compactEveryMs) compact(t);
+    else if (t - lastOpenSave >= saveOpenEveryMs) saveOpen(t);
+  }
+
+  // Pick a tier: finest one that covers the window without exceeding maxPoints
+  function pickTier(windowMs, maxPoints = 1500) {
+    if (!list.length) return null;
+    const pick = list.find((t) => t.retentionMs >= windowMs && windowMs / t.stepMs <= maxPoints) || list[list.length - 1];
+    return { name: pick.name, stepMs: pick.stepMs, retentionMs: pick.retentionMs };
+  }
+
+  // Return records of a tier within [from..to] (inclusive)
+  function range(tierName, from, to = nowMs()) {
+    const tier = list.find((t) => t.name === tierName);
+    if (!tier) return [];
+    return tier.records.filter((r) => r.t >= from && r.t <= to);
+  }
+
+  // Describe configured tiers (for clients)
+  function describe() {
+    return list.map((t) => ({
+      name: t.name,
+      step_ms: t.stepMs,
+      retention_min: Math.floor(t.retentionMs / 60000),
+      records: t.records.length,
+      oldest_ts: t.records[0]?.t ?? null,
+    }));
+  }
+
+  // Save the open buckets (tmp + rename)
+  function saveOpen(now = nowMs()) {
+    lastOpenSave = now;
+    const st = {};
+    for (const tier of list) if (tier.bucket) st[tier.name] = tier.bucket;
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      const tmp = `${openFile}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(st), "utf8");
+      fs.renameSync(tmp, openFile);
+    } catch {}
+  }
+
+  // Prune and compact tier files and save the open buckets now (e.g. on shutdown)
+  function flush() {
+    compact();
+  }
+
+  return { ingest, pickTier, range, describe, flush };
+}
@@ -0,0 +1,232 @@
+import fs from "node:fs";
+import path from "node:path";
+
+/* ============================================================
+   Utils
+   - Small helpers used across the module
+============================================================ */
+
+// Read a file as trimmed text (null when missing/unreadable)
+function readText(p) {
+  try {
+    return fs.readFileSync(p, "utf8").trim();
+  } catch {
+    return null;
+  }
+}
+
+// Parse a plain integer (null for "max", missing or invalid)
+function int(txt) {
+  const n = Number(txt);
+  return txt != null && txt !== "" && Number.isFinite(n) ? n : null;
+}
+
+// Smaller of two optional numbers
+function minOf(a, b) {
+  if (a == null) return b;
+  if (b == null) return a;
+  return Math.min(a, b);
+}
+
+// Count CPUs in a list like "0-3,8,10-11" (null when empty/invalid)
+export function cpuListCount(txt) {
+  let n = 0;
+  for (const part of String(txt || "").split(",")) {
+    const m = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+    if (!m) continue;
+    n += m[2] != null ? Number(m[2]) - Number(m[1]) + 1 : 1;
+  }
+  return n || null;
+}
+
+/* ============================================================
+   Own cgroup
+   - /proc/self/cgroup: "0::/path" (v2) or "N:memory:/path" (v1)
+   - With a private cgroup namespace the path is "/" and the mount root is the own scope;
+     with the host /sys bind-mounted the scope is found by container id instead
+   - Limits set on a parent (systemd slice, pod) apply too: the tightest one wins
+============================================================ */
+
+// v1 "no limit" is reported as a huge page-aligned number
+const V1_UNLIMITED = 2 ** 60;
+
+// Parse /proc/self/cgroup into { v2: path|null, v1: { <controller>: path } }
+export function parseProcCgroup(txt) {
+  const out = { v2: null, v1: {} };
+  for (const line of String(txt || "").split("\n")) {
+    const m = line.match(/^(\d+):([^:]*):(.*)$/);
+    if (!m) continue;
+    if (m[1] === "0" && m[2] === "") out.v2 = m[3] || "/";
+    else for (const c of m[2].split(",")) if (c) out.v1[c] = m[3] || "/";
+  }
+  return out;
+}
+
+// Own container id from mountinfo (Docker/Podman bind-mount /etc/hostname from the container dir)
+function ownContainerId(procRoot) {
+  const m = String(readText(path.join(procRoot, "self", "mountinfo")) || "").match(/\/(?:containers|overlay-containers)\/([0-9a-f]{64})\//);
+  return m ? m[1] : null;
+}
+
+// Resolve the own cgroup directory under a controller mount (null when not visible)
+function ownDir(mount, rel, hasFile, procRoot) {
+  const candidates = [];
+  if (rel === "/" || rel === "") {
+    // The id-based scopes only exist when the mount is the host root, not the own namespace
+    const id = ownContainerId(procRoot);
+    if (id) {
+      candidates.push(
+        path.join(mount, "system.slice", `docker-${id}.scope`),
+        path.join(mount, "docker", id),
+        path.join(mount, "machine.slice", `libpod-${id}.scope`)
+      );
+    }
+  } else {
+    candidates.push(path.join(mount, rel));
+  }
+  candidates.push(mount);
+  return candidates.find((d) => readText(path.join(d, hasFile)) != null) || null;
+}
+
+// Directories from dir up to (and including) the mount root
+function ancestors(dir, mount) {
+  const out = [];
+  let d = dir;
+  while (d && d.startsWith(mount)) {
+    out.push(d);
+    if (d === mount) break;
+    d = path.dirname(d);
+  }
+  return out;
+}
+
+// Parse cpu.max ("max 100000" / "200000 100000") into CPUs (null = no quota)
+function v2Quota(txt) {
+  const [q, p] = String(txt || "").split(/\s+/);
+  const quota = int(q);
+  const period = int(p);
+  return quota != null && period ? quota / period : null;
+}
+
+// cgroup v2 limits of the own scope
+function readV2(root, rel, procRoot) {
+  const dir = ownDir(root, rel, "cgroup.procs", procRoot);
+  if (!dir) return null;
+
+  let cpus = null;
+  let mem = null;
+  let swap = null;
+  for (const d of ancestors(dir, root)) {
+    cpus = minOf(cpus, v2Quota(readText(path.join(d, "cpu.max"))));
+    mem = minOf(mem, int(readText(path.join(d, "memory.max"))));
+    swap = minOf(swap, int(readText(path.join(d, "memory.swap.max"))));
+  }
+  return {
+    version: "v2",
+    path: path.relative(root, dir) ? `/${path.relative(root, dir)}` : "/",
+    cpu_quota: cpus,
+    cpuset: readText(path.join(dir, "cpuset.cpus.effective")) || null,
+    mem_limit_b: mem,
+    mem_used_b: int(readText(path.join(dir, "memory.current"))),
+    swap_limit_b: swap,
+  };
+}
+
+// cgroup v1 limits of the own scope (one hierarchy per controller)
+function readV1(root, paths, procRoot) {
+  const mount = (names) => names.map((n) => path.join(root, n)).find((d) => fs.existsSync(d)) || null;
+  const memMount = mount(["memory"]);
+  const cpuMount = mount(["cpu,cpuacct", "cpuacct,cpu", "cpu"]);
+  const setMount = mount(["cpuset"]);
+  if (!memMount && !cpuMount) return null;
+
+  const memDir = memMount ? ownDir(memMount, paths.memory || "/", "memory.limit_in_bytes", procRoot) : null;
+  const cpuDir = cpuMount ? ownDir(cpuMount, paths.cpu || paths.cpuacct || "/", "cpu.cfs_quota_us", procRoot) : null;
+  const setDir = setMount ? ownDir(setMount, paths.cpuset || "/", "cpuset.cpus", procRoot) : null;
+
+  let cpus = null;
+  for (const d of cpuDir ? ancestors(cpuDir, cpuMount) : []) {
+    const quota = int(readText(path.join(d, "cpu.cfs_quota_us")));
+    const period = int(readText(path.join(d, "cpu.cfs_period_us")));
+    if (quota != null && quota > 0 && period) cpus = minOf(cpus, quota / period);
+  }
+
+  // hierarchical_memory_limit already folds in the parents
+  const stat = String(readText(memDir ? path.join(memDir, "memory.stat") : "") || "").match(/^hierarchical_memory_limit (\d+)$/m);
+  const mem = int(stat ? stat[1] : memDir ? readText(path.join(memDir, "memory.limit_in_bytes")) : null);
+  const swap = memDir ? int(readText(path.join(memDir, "memory.memsw.limit_in_bytes"))) : null;
+
+  return {
+    version: "v1",
+    path: paths.memory || paths.cpu || null,
+    cpu_quota: cpus,
+    cpuset: setDir ? readText(path.join(setDir, "cpuset.cpus")) || null : null,
+    mem_limit_b: mem != null && mem < V1_UNLIMITED ? mem : null,
+    mem_used_b: memDir ? int(readText(path.join(memDir, "memory.usage_in_bytes"))) : null,
+    swap_limit_b: swap != null && swap < V1_UNLIMITED && mem != null ? Math.max(0, swap - mem) : null,
+  };
+}
+
+/* ============================================================
+   Runtime report
+   - Which perspective the CPU, memory and process figures come from ("host" or "container")
+   - Effective CPU / memory available to this process after cgroup limits
+============================================================ */
+
+// Round to two decimals
+function round2(v) {
+  return Math.round(v * 100) / 100;
+}
+
+// Build the runtime block
+// - reportedCpus / reportedMemB: what the rest of the payload uses (os.cpus(), /proc/meminfo)
+// - processRoot: proc root the process list reads ("/host/proc" sees the host)
+export function readRuntimeInfo({
+  procRoot = "/proc",
+  cgroupRoot = "/sys/fs/cgroup",
+  sysRoot = "/sys",
+  inContainer = false,
+  reportedCpus = null,
+  reportedMemB = null,
+  processRoot = "/proc",
+} = {}) {
+  const own = parseProcCgroup(readText(path.join(procRoot, "self", "cgroup")));
+  const cg = own.v2 != null && readText(path.join(cgroupRoot, "cgroup.controllers")) != null ? readV2(cgroupRoot, own.v2, procRoot) : readV1(cgroupRoot, own.v1, procRoot);
+
+  // Host totals: online CPUs from sysfs (not namespaced), MemTotal unless lxcfs virtualizes it
+  const hostCpus = cpuListCount(readText(path.join(sysRoot, "devices", "system", "cpu", "online"))) || reportedCpus;
+  const cpuset = cpuListCount(cg?.cpuset);
+  const quota = minOf(cg?.cpu_quota ?? null, cpuset);
+  const cpuLimit = quota != null && (!hostCpus || quota < hostCpus) ? round2(quota) : null;
+  // A limit above the installed RAM does not limit anything
+  const memLimit = cg?.mem_limit_b != null && (!reportedMemB || cg.mem_limit_b <= reportedMemB) ? cg.mem_limit_b : null;
+
+  // NSpid lists one pid per namespace level: more than one means a private pid namespace
+  const nspid = String(readText(path.join(procRoot, "self", "status")) || "").match(/^NSpid:\s+(.+)$/m);
+  const privatePids = nspid ? nspid[1].trim().split(/\s+/).length > 1 : inContainer;
+
+  const cpuView = reportedCpus && hostCpus && reportedCpus < hostCpus ? "container" : "host";
+  const memView = memLimit != null && reportedMemB && Math.abs(reportedMemB - memLimit) <= reportedMemB * 0.01 ? "container" : "host";
+  const procView = privatePids && processRoot === "/proc" ? "container" : "host";
+
+  return {
+    in_container: !!inContainer,
+    view: inContainer && cpuView === "container" && memView === "container" && procView === "container" ? "container" : "host",
+    views: { cpu: cpuView, memory: memView, processes: procView },
+    cgroup: cg ? { version: cg.version, path: cg.path } : null,
+    cpu: {
+      reported: reportedCpus,
+      host: hostCpus,
+      quota: cg?.cpu_quota != null ? round2(cg.cpu_quota) : null,
+      cpuset: cg?.cpuset ?? null,
+      limit: cpuLimit,
+    },
+    memory: {
+      reported_b: reportedMemB,
+      limit_b: memLimit,
+      used_b: cg?.mem_used_b ?? null,
+      swap_limit_b: cg?.swap_limit_b ?? null,
+    },
+    limited: cpuLimit != null || memLimit != null,
+  };
+}
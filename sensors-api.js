@@ -0,0 +1,247 @@
+import fs from "node:fs";
+import path from "node:path";
+
+/* ============================================================
+   Utils
+   - Small helpers used across the module
+============================================================ */
+
+// Read a sysfs file as trimmed text (null when missing/unreadable)
+async function readText(p) {
+  try {
+    return (await fs.promises.readFile(p, "utf8")).trim();
+  } catch {
+    return null;
+  }
+}
+
+// Read a sysfs file as a number (null when missing/unreadable)
+async function readNum(p) {
+  const s = await readText(p);
+  if (s == null || s === "") return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+// List a directory (empty when missing)
+async function listDir(p) {
+  try {
+    return await fs.promises.readdir(p);
+  } catch {
+    return [];
+  }
+}
+
+// Lowercase [a-z0-9_] key usable in metric names
+function keyify(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+// Round to a fixed number of decimals (null stays null)
+function round(v, digits) {
+  if (v == null || !Number.isFinite(v)) return null;
+  const m = 10 ** digits;
+  return Math.round(v * m) / m;
+}
+
+/* ============================================================
+   Hwmon
+   - <sys>/class/hwmon/hwmon*: name, <type><n>_input, _label, _min, _max, _crit
+   - sysfs units: temp m°C, in mV, curr mA, power µW, fan rpm
+   - Falls back to thermal zones when no hwmon chip reports a temperature
+============================================================ */
+
+const TYPES = {
+  temp: { kind: "temp", unit: "°C", div: 1000, digits: 1, limits: ["min", "max", "crit"] },
+  fan: { kind: "fan", unit: "rpm", div: 1, digits: 0, limits: ["min", "max"] },
+  in: { kind: "voltage", unit: "V", div: 1000, digits: 3, limits: ["min", "max", "crit"] },
+  curr: { kind: "current", unit: "A", div: 1000, digits: 3, limits: ["max", "crit"] },
+  power: { kind: "power", unit: "W", div: 1e6, digits: 2, limits: ["max", "crit", "cap"] },
+};
+
+const INPUT_RE = /^(temp|fan|in|curr|power)(\d+)_(input|average)$/;
+
+// Pick the sysfs root to walk (prefers /host/sys when it has hwmon chips)
+async function pickSysRoot(roots) {
+  for (const r of roots) {
+    if ((await listDir(path.join(r, "class/hwmon"))).length) return r;
+  }
+  return roots[roots.length - 1];
+}
+
+// Read every sensor of one hwmon chip
+async function readChip(dir) {
+  const name = (await readText(path.join(dir, "name"))) || path.basename(dir);
+  let device = null;
+  try {
+    device = path.basename(await fs.promises.realpath(path.join(dir, "device")));
+  } catch {}
+
+  const files = await listDir(dir);
+  const inputs = new Map();
+  for (const f of files) {
+    const m = f.match(INPUT_RE);
+    if (!m) continue;
+    const id = `${m[1]}${m[2]}`;
+    // power<n>_input wins over power<n>_average
+    if (!inputs.has(id) || m[3] === "input") inputs.set(id, { type: m[1], file: f });
+  }
+
+  const sensors = [];
+  for (const [id, { type, file }] of inputs) {
+    const t = TYPES[type];
+    if ((await readNum(path.join(dir, `${id}_fault`))) === 1) continue;
+    if ((await readNum(path.join(dir, `${id}_enable`))) === 0) continue;
+
+    const raw = await readNum(path.join(dir, file));
+    if (raw == null) continue;
+
+    const s = {
+      id,
+      chip: name,
+      device,
+      label: (await readText(path.join(dir, `${id}_label`))) || id,
+      kind: t.kind,
+      unit: t.unit,
+      value: round(raw / t.div, t.digits),
+    };
+    for (const lim of t.limits) {
+      const v = await readNum(path.join(dir, `${id}_${lim}`));
+      if (v != null && v !== 0) s[lim] = round(v / t.div, t.digits);
+    }
+    sensors.push(s);
+  }
+
+  // Same order as TYPES, then by index (temp1, temp2, ..., fan1, ...)
+  const rank = (id) => Object.keys(TYPES).indexOf(id.replace(/\d+$/, "")) * 1000 + Number(id.match(/\d+$/)[0]);
+  sensors.sort((a, b) => rank(a.id) - rank(b.id));
+
+  return { name, device, sensors };
+}
+
+// Read thermal zones as temperature sensors (boards without hwmon temps)
+async function readThermalZones(sysRoot) {
+  const base = path.join(sysRoot, "class/thermal");
+  const zones = (await listDir(base)).filter((n) => n.startsWith("thermal_zone")).sort();
+
+  const out = [];
+  for (const z of zones) {
+    const raw = await readNum(path.join(base, z, "temp"));
+    if (raw == null) continue;
+    out.push({
+      id: z,
+      chip: "thermal",
+      device: z,
+      label: (await readText(path.join(base, z, "type"))) || z,
+      kind: "temp",
+      unit: "°C",
+      value: round(raw / 1000, 1),
+    });
+  }
+  return out;
+}
+
+// Read all hwmon sensors; keys are stable across reboots (chip name + index among same-named chips)
+export async function readSensors({ roots = ["/host/sys", "/sys"] } = {}) {
+  const sysRoot = await pickSysRoot(roots);
+  const base = path.join(sysRoot, "class/hwmon");
+
+  const chips = [];
+  for (const d of await listDir(base)) {
+    chips.push(await readChip(path.join(base, d)));
+  }
+  chips.sort((a, b) => a.name.localeCompare(b.name) || String(a.device).localeCompare(String(b.device)));
+
+  const seen = new Map();
+  const sensors = [];
+  for (const c of chips) {
+    const n = (seen.get(c.name) || 0) + 1;
+    seen.set(c.name, n);
+    const chipKey = n > 1 ? `${keyify(c.name)}_${n}` : keyify(c.name);
+    for (const s of c.sensors) sensors.push({ key: `${chipKey}_${s.id}`, ...s });
+  }
+
+  if (!sensors.some((s) => s.kind === "temp")) {
+    for (const s of await readThermalZones(sysRoot)) sensors.push({ key: `thermal_${keyify(s.label)}_${s.id.slice(12)}`, ...s });
+  }
+
+  return sensors;
+}
+
+/* ============================================================
+   CPU temperature source
+   - Auto: CPU package sensor of a known driver (coretemp, k10temp, ...)
+   - Manual: sensor key chosen in the UI, persisted to the settings file
+============================================================ */
+
+// Guess the CPU package temperature sensor
+export function autoCpuSensor(sensors) {
+  const temps = (sensors || []).filter((s) => s.kind === "temp" && s.value != null);
+  const pick = (chip, re) => temps.find((s) => s.chip === chip && (!re || re.test(s.label)));
+
+  return (
+    pick("coretemp", /^package id/i) ||
+    pick("k10temp", /^tdie$/i) ||
+    pick("k10temp", /^tctl$/i) ||
+    pick("zenpower", /^tdie$/i) ||
+    pick("k10temp") ||
+    pick("zenpower") ||
+    pick("coretemp") ||
+    pick("cpu_thermal") ||
+    pick("thermal", /x86_pkg_temp|cpu|soc/i) ||
+    null
+  );
+}
+
+// Create the sensors controller (CPU temperature sensor choice)
+export function createSensorsController({ settingsFile = "./data/sensors.json", cpuSensor = "" } = {}) {
+  // Read the persisted choice (falls back to the configured default)
+  function readSettings() {
+    try {
+      const j = JSON.parse(fs.readFileSync(settingsFile, "utf8"));
+      if (typeof j?.cpu_sensor === "string") return j.cpu_sensor;
+    } catch {}
+    return String(cpuSensor || "");
+  }
+
+  let selected = readSettings();
+
+  // Choose the CPU temperature sensor ("" = auto) and persist it
+  function setCpuSensor(key) {
+    selected = String(key || "").trim();
+    try {
+      fs.mkdirSync(path.dirname(settingsFile), { recursive: true });
+      fs.writeFileSync(settingsFile, JSON.stringify({ cpu_sensor: selected }, null, 2), "utf8");
+    } catch {}
+    return selected;
+  }
+
+  // Sensor used as CPU temperature: { key, chip, label, value, mode, missing }
+  function cpuTemp(sensors) {
+    const manual = selected ? (sensors || []).find((s) => s.key === selected && s.kind === "temp") : null;
+    const s = manual || autoCpuSensor(sensors);
+    if (!s) return null;
+    return {
+      key: s.key,
+      chip: s.chip,
+      label: s.label,
+      value: s.value,
+      mode: manual ? "manual" : "auto",
+      missing: !!selected && !manual,
+    };
+  }
+
+  // Sensor list plus the CPU temperature choice (for /stats and /api/sensors)
+  function snapshot(sensors) {
+    return {
+      cpu_sensor: selected || null,
+      cpu: cpuTemp(sensors),
+      sensors: sensors || [],
+    };
+  }
+
+  return { cpuTemp, setCpuSensor, snapshot };
+}
@@ -0,0 +1,162 @@
+import path from "node:path";
+import { execFileText } from "./collector-api.js";
+
+/* ============================================================
+   Utils
+   - Small helpers used across the module
+============================================================ */
+
+// Return a finite number or null
+function num(v) {
+  const n = Number(v);
+  return v != null && v !== "" && Number.isFinite(n) ? n : null;
+}
+
+// Raw value of an ATA SMART attribute by id (null when the drive does not report it)
+function ataRaw(table, id) {
+  const a = (table || []).find((x) => Number(x?.id) === id);
+  return num(a?.raw?.value);
+}
+
+// Tell "command not found" apart from a device error
+function isMissingTool(e) {
+  return e?.code === "ENOENT";
+}
+
+/* ============================================================
+   Health
+   - failed:  drive self-assessment failed or NVMe critical warning bits set
+   - warning: reallocated/pending sectors, media errors or NVMe wear >= WEAR_WARN_PCT
+   - ok:      self-assessment passed and no warning signs
+   - unknown: the drive did not report an overall assessment
+============================================================ */
+
+const WEAR_WARN_PCT = 90;
+
+// Numeric level used for alert metrics (ok 0, warning 1, failed 2)
+export const HEALTH_LEVELS = { ok: 0, warning: 1, failed: 2 };
+
+// Derive the overall health from a parsed report
+function healthOf(r) {
+  if (r.passed === false || (r.critical_warning != null && r.critical_warning !== 0)) return "failed";
+  if (
+    r.reallocated_sectors > 0 ||
+    r.pending_sectors > 0 ||
+    r.media_errors > 0 ||
+    (r.percentage_used != null && r.percentage_used >= WEAR_WARN_PCT)
+  ) {
+    return "warning";
+  }
+  return r.passed === true ? "ok" : "unknown";
+}
+
+/* ============================================================
+   Parsing
+   - smartctl --json -a (ATA, SCSI and NVMe devices)
+   - nvme smart-log -o json (NVMe fallback when smartctl is not installed)
+============================================================ */
+
+// Normalize `smartctl --json -a` output
+export function parseSmartctl(j, dev = null) {
+  const nv = j?.nvme_smart_health_information_log || null;
+  const table = j?.ata_smart_attributes?.table;
+
+  const r = {
+    dev: dev || j?.device?.name || null,
+    protocol: j?.device?.protocol || (nv ? "NVMe" : null),
+    model: j?.model_name || j?.scsi_model_name || null,
+    serial: j?.serial_number || null,
+    passed: typeof j?.smart_status?.passed === "boolean" ? j.smart_status.passed : null,
+    temp_c: num(j?.temperature?.current) ?? num(nv?.temperature),
+    power_on_hours: num(j?.power_on_time?.hours) ?? num(nv?.power_on_hours),
+    reallocated_sectors: ataRaw(table, 5) ?? num(j?.scsi_grown_defect_list),
+    pending_sectors: ataRaw(table, 197),
+    percentage_used: num(nv?.percentage_used),
+    available_spare_pct: num(nv?.available_spare),
+    media_errors: num(nv?.media_errors),
+    critical_warning: num(nv?.critical_warning),
+  };
+  r.health = healthOf(r);
+  return r;
+}
+
+// Normalize `nvme smart-log -o json` output (temperature is reported in Kelvin)
+export function parseNvmeSmartLog(j, dev, model = null) {
+  const k = num(j?.temperature);
+  const r = {
+    dev,
+    protocol: "NVMe",
+    model,
+    serial: null,
+    passed: null,
+    temp_c: k != null ? k - 273 : null,
+    power_on_hours: num(j?.power_on_hours),
+    reallocated_sectors: null,
+    pending_sectors: null,
+    percentage_used: num(j?.percent_used ?? j?.percentage_used),
+    available_spare_pct: num(j?.avail_spare ?? j?.available_spare),
+    media_errors: num(j?.media_errors),
+    critical_warning: num(j?.critical_warning),
+  };
+  // No overall assessment in the health log: a clear critical_warning byte counts as passed
+  if (r.critical_warning === 0) r.passed = true;
+  r.health = healthOf(r);
+  return r;
+}
+
+/* ============================================================
+   Collection
+   - One smartctl call per disk; spun-down drives are skipped (-n standby), not woken
+   - NVMe namespaces fall back to `nvme smart-log` when smartctl is missing
+============================================================ */
+
+// Read the health of one device (health "standby" when a spun-down drive was skipped)
+async function readDevice({ dev, model }, { timeoutMs }) {
+  try {
+    const out = await execFileText("smartctl", ["--json", "-a", "-n", "standby", dev], { timeoutMs, allowExitCode: true });
+    const j = JSON.parse(out);
+    const msg = (j?.smartctl?.messages || []).map((m) => m?.string).filter(Boolean).join("; ");
+    // Exit bit 1: device open failed, or skipped because it is in a low-power mode
+    if (Number(j?.smartctl?.exit_status) & 2) {
+      if (/\b(standby|sleep)\b/i.test(msg)) return { dev, model, health: "standby" };
+      return { dev, model, health: "unknown", error: msg || "cannot open device" };
+    }
+    const r = parseSmartctl(j, dev);
+    return { ...r, model: r.model || model };
+  } catch (e) {
+    if (!isMissingTool(e) || !/^\/dev\/nvme/.test(dev)) throw e;
+  }
+
+  const out = await execFileText("nvme", ["smart-log", dev, "-o", "json"], { timeoutMs });
+  return parseNvmeSmartLog(JSON.parse(out), dev, model);
+}
+
+// Read SMART/NVMe health for a list of { dev, model } disks (all devices in parallel)
+// - Returns { available, tool_error, devices: [...] }
+export async function readSmart(disks, { timeoutMs = 15000 } = {}) {
+  const list = disks || [];
+  let toolError = null;
+
+  const results = await Promise.all(
+    list.map(async (d) => {
+      try {
+        return await readDevice(d, { timeoutMs });
+      } catch (e) {
+        if (isMissingTool(e)) {
+          toolError = `${e.path || "smartctl"} not found`;
+          return null;
+        }
+        return { dev: d.dev, model: d.model || null, health: "unknown", error: String(e?.message || e) };
+      }
+    })
+  );
+
+  const devices = results.filter(Boolean);
+  for (const r of devices) r.key = path.basename(r.dev || "");
+
+  return {
+    available: !(list.length && !devices.length && toolError),
+    tool_error: toolError,
+    devices,
+  };
+}
@@ -919,6 +919,22 @@ export function createSpeedtestController({
   let last = null;
   let lastError = null;
 
+  const runListeners = [];
+
+  // Subscribe to finished runs: fn({ ok, error, rate_limited, result })
+  function onRunEnd(fn) {
+    if (typeof fn === "function") runListeners.push(fn);
+  }
+
+  // Notify run listeners (errors are contained)
+  function emitRunEnd(ev) {
+    for (const fn of runListeners) {
+      try {
+        fn(ev);
+      } catch {}
+    }
+  }
+
   // Ensure we detected a runner only once (cached)
   async function ensureRunner() {
     if (runnerInfo) return runnerInfo;
@@ -933,6 +949,7 @@ export function createSpeedtestController({
 
     running = true;
     lastError = null;
+    let outcome = null;
 
     progress = {
       ts: nowMs(),
@@ -1058,13 +1075,16 @@ export function createSpeedtestController({
 
         lastError = `rate_limited: retry in ${fmtMin(backoffMs)}`;
         if (progress) progress = { ...progress, stage: "rate_limited", ts: now };
+        outcome = { ok: false, error: lastError, rate_limited: true, result: null };
         return;
       }
 
       lastError = String(e?.message || e);
       if (progress) progress = { ...progress, stage: "error", ts: now };
+      outcome = { ok: false, error: lastError, rate_limited: false, result: null };
     } finally {
       running = false;
+      emitRunEnd(outcome || { ok: true, error: lastError, rate_limited: false, result: last });
     }
   }
 
@@ -1151,5 +1171,5 @@ export function createSpeedtestController({
     }
   }
 
-  return { tick, runNow, setIntervalMin, snapshot };
+  return { tick, runNow, setIntervalMin, snapshot, onRunEnd };
 }
@@ -5,10 +5,22 @@
 import http from "node:http";
 import { URL } from "node:url";
 import os from "node:os";
-import { execSync } from "node:child_process";
 import fs from "node:fs";
 import path from "node:path";
 import { createSpeedtestController } from "./speedtest-api.js";
+import { createAuthController, roleAtLeast } from "./auth-api.js";
+import { createRollupStore } from "./rollup-api.js";
+import { createAlertsController } from "./alerts-api.js";
+import { createNotifier } from "./notify-api.js";
+import { createBreaker, createCollector, execFileText, failureStatus } from "./collector-api.js";
+import { createSensorsController, readSensors } from "./sensors-api.js";
+import { HEALTH_LEVELS, readSmart } from "./smart-api.js";
+import { readStorageArrays } from "./storage-api.js";
+import { createTrafficAccounting, parseQuotas } from "./traffic-api.js";
+import { createProcessTracker, topProcesses, PROCESS_SORTS } from "./processes-api.js";
+import { createContainerTracker } from "./containers-api.js";
+import { readRuntimeInfo } from "./runtime-api.js";
+import { createGpuReader, parseGpuBackends, NVIDIA_THROTTLE_REASON_NAMES } from "./gpu-api.js";
 
 /* ============================================================================
    Config
@@ -19,11 +31,25 @@ const PORT = Number(process.env.PORT || 3012);
 const NET_IFACE = (process.env.NET_IFACE || "").trim();
 const GPU_POLL_MS = Number(process.env.GPU_POLL_MS || 1000);
 const GPU_TIMEOUT_MS = Number(process.env.GPU_TIMEOUT_MS || 1000);
+const GPU_PROCESSES_INTERVAL_MS = Number(process.env.GPU_PROCESSES_INTERVAL_MS ?? 5000);
+const COLLECTOR_TIMEOUT_MS = Math.max(500, Number(process.env.COLLECTOR_TIMEOUT_MS || 5000));
+const DISK_TIMEOUT_MS = Math.max(250, Number(process.env.DISK_TIMEOUT_MS || 2000));
 const HISTORY_SAMPLE_MS = Number(process.env.HISTORY_SAMPLE_MS || 1000);
 const HISTORY_MAX_MIN = Number(process.env.HISTORY_MAX_MIN || 120);
 const HISTORY_DB_PATH = process.env.HISTORY_DB_PATH || "./data/history_state.json";
-
-const DISK_PATHS = (process.env.DISK_PATHS || "/")
+const HISTORY_FLUSH_MS = Math.max(1000, Number(process.env.HISTORY_FLUSH_MS || 60000));
+const HISTORY_ROLLUP_DIR = process.env.HISTORY_ROLLUP_DIR || "./data/history";
+const HISTORY_1M_RETENTION_DAYS = Number(process.env.HISTORY_1M_RETENTION_DAYS ?? 7);
+const HISTORY_1H_RETENTION_DAYS = Number(process.env.HISTORY_1H_RETENTION_DAYS ?? 365);
+const HISTORY_MAX_POINTS = Math.max(100, Number(process.env.HISTORY_MAX_POINTS || 1500));
+const STREAM_TICK_MS = Math.max(250, Number(process.env.STREAM_TICK_MS || 1000));
+const STREAM_HEARTBEAT_MS = Math.max(1000, Number(process.env.STREAM_HEARTBEAT_MS || 15000));
+const STREAM_RETRY_MS = Math.max(500, Number(process.env.STREAM_RETRY_MS || 3000));
+const STREAM_STALL_MS = Math.max(5000, Number(process.env.STREAM_STALL_MS || 60000));
+const STREAM_AUTH_CHECK_MS = Math.max(1000, Number(process.env.STREAM_AUTH_CHECK_MS || 30000));
+
+const DISK_AUTO = /^(1|true|yes|on)$/i.test(String(process.env.DISK_AUTO || "").trim());
+const DISK_PATHS = (process.env.DISK_PATHS ?? (DISK_AUTO ? "" : "/"))
   .split(",")
   .map((s) => s.trim())
   .filter(Boolean);
@@ -82,18 +108,15 @@ async function fetchLatestReleaseFromAtom(repo) {
    - Small in-memory caches for delta computations and polling
 ============================================================================ */
 
-let lastGpu = null;
-let lastGpuTs = 0;
-let lastGpuErr = null;
-
-let lastNetSample = null;
+let lastNetIfaces = new Map();
 let lastCpuTimes = null;
 let lastDiskIo = new Map();
 
 /* ============================================================================
    Shared History (server-side)
    - Sampled independently from clients
-   - Persisted to a local JSON file (best-effort)
+   - Raw tier: in-memory ring (HISTORY_MAX_MIN), snapshot to a local JSON file every HISTORY_FLUSH_MS
+   - Long tiers: 1m / 1h min/avg/max rollups in append-only JSONL (see rollup-api.js)
 ============================================================================ */
 
 // Ensure directory exists for a file path (best-effort)
@@ -119,6 +142,14 @@ const history = {
   cpu15: [],
   cpu_util: [],
 
+  cpu_user: [],
+  cpu_system: [],
+  cpu_iowait: [],
+  cpu_irq: [],
+  cpu_softirq: [],
+  cpu_steal: [],
+  cpu_guest: [],
+
   gpu_util: [],
   vram_used_b: [],
 
@@ -130,9 +161,54 @@ const history = {
   net_up_bps: [],
 };
 
-// Compute max history length based on sampling interval and max minutes
+// Series exposed to clients (aligned with history.ts)
+const HISTORY_SERIES = [
+  "cpu1",
+  "cpu5",
+  "cpu15",
+  "cpu_util",
+  "cpu_user",
+  "cpu_system",
+  "cpu_iowait",
+  "cpu_irq",
+  "cpu_softirq",
+  "cpu_steal",
+  "cpu_guest",
+  "gpu_util",
+  "vram_used_b",
+  "ram_used_b",
+  "ram_free_b",
+  "swap_used_b",
+  "net_down_bps",
+  "net_up_bps",
+];
+
+// Per-disk series (disk_<key>_<field>), registered when a disk is first sampled
+const DISK_HISTORY_FIELDS = ["read_iops", "write_iops", "await_ms", "queue_depth", "util_pct"];
+const DISK_SERIES_RE = new RegExp(`^disk_.+_(${DISK_HISTORY_FIELDS.join("|")})$`);
+
+// Per-interface series (net_<iface>_<field>), registered when an interface is first sampled
+const NET_HISTORY_FIELDS = ["down_bps", "up_bps"];
+const NET_SERIES_RE = new RegExp(`^net_.+_(${NET_HISTORY_FIELDS.join("|")})$`);
+
+// Per-GPU series (gpu_<index>_util / gpu_<index>_vram_used_b), registered when a GPU is first sampled
+const GPU_SERIES_RE = /^gpu_\d+_(util|vram_used_b)$/;
+
+// Is k a dynamic (per-disk, per-interface or per-GPU) series?
+function isDynamicSeries(k) {
+  return DISK_SERIES_RE.test(k) || NET_SERIES_RE.test(k) || GPU_SERIES_RE.test(k);
+}
+
+// Register a dynamic series, left-padded with nulls so it stays aligned with history.ts
+function ensureHistorySeries(k) {
+  if (Array.isArray(history[k])) return;
+  history[k] = new Array(history.ts.length).fill(null);
+  HISTORY_SERIES.push(k);
+}
+
+// Compute max history length based on sampling interval and max minutes (raw tier, up to 24h)
 function maxHistoryLen() {
-  const maxSec = clamp(history.maxMin * 60, 60, 120 * 60);
+  const maxSec = clamp(history.maxMin * 60, 60, 24 * 60 * 60);
   const per = Math.max(1, Math.floor(history.sampleMs / 1000));
   return Math.ceil(maxSec / per);
 }
@@ -154,6 +230,34 @@ function trimAll(L) {
   }
 }
 
+/* ============================================================================
+   History Annotations
+   - Point-in-time events on the history timeline (alert firings with the top processes)
+   - Kept outside `history` so trimAll never touches them; persisted with the raw ring
+============================================================================ */
+
+const HISTORY_ANNOTATIONS_MAX = 500;
+let historyAnnotations = [];
+
+// Drop annotations beyond the count cap or older than the longest servable window
+function pruneHistoryAnnotations() {
+  const from = Date.now() - historyMaxWindowMin() * 60 * 1000;
+  historyAnnotations = historyAnnotations.filter((a) => a.ts >= from).slice(-HISTORY_ANNOTATIONS_MAX);
+}
+
+// Record an annotation ({ ts, kind, ... })
+function addHistoryAnnotation(a) {
+  if (!a || !Number.isFinite(Number(a.ts))) return;
+  historyAnnotations.push({ ...a, ts: Number(a.ts) });
+  historyAnnotations.sort((x, y) => x.ts - y.ts);
+  pruneHistoryAnnotations();
+}
+
+// Annotations within [from..to]
+function historyAnnotationsBetween(from, to) {
+  return historyAnnotations.filter((a) => a.ts >= from && a.ts <= to);
+}
+
 // Load persisted history from disk (best-effort)
 function loadHistoryFromDisk() {
   try {
@@ -161,12 +265,26 @@ function loadHistoryFromDisk() {
     const st = JSON.parse(raw);
     if (!st || st.v !== 1) return;
 
+    for (const k of Object.keys(st)) {
+      if (isDynamicSeries(k) && Array.isArray(st[k])) ensureHistorySeries(k);
+    }
+
     for (const k of Object.keys(history)) {
       if (Array.isArray(history[k]) && Array.isArray(st[k])) {
         history[k] = st[k].slice();
       }
     }
     if (Array.isArray(st.ts)) history.ts = st.ts.slice();
+    if (Array.isArray(st.annotations)) {
+      historyAnnotations = st.annotations.filter((a) => a && Number.isFinite(Number(a.ts)));
+      pruneHistoryAnnotations();
+    }
+
+    // Series added after the snapshot was written: left-pad so indexes stay aligned with ts
+    for (const k of HISTORY_SERIES) {
+      const missing = history.ts.length - history[k].length;
+      if (missing > 0) history[k].unshift(...new Array(missing).fill(null));
+    }
 
     trimAll(maxHistoryLen());
   } catch {}
@@ -174,10 +292,10 @@ function loadHistoryFromDisk() {
 
 let lastHistoryFlush = 0;
 
-// Persist history to disk (throttled unless forced)
+// Persist raw history snapshot to disk (throttled to HISTORY_FLUSH_MS unless forced)
 function flushHistoryToDisk(force = false) {
   const now = Date.now();
-  if (!force && now - lastHistoryFlush < 100) return;
+  if (!force && now - lastHistoryFlush < HISTORY_FLUSH_MS) return;
   lastHistoryFlush = now;
 
   try {
@@ -187,28 +305,26 @@ function flushHistoryToDisk(force = false) {
       savedAt: now,
       maxMin: history.maxMin,
       sampleMs: history.sampleMs,
-
       ts: history.ts,
-      cpu1: history.cpu1,
-      cpu5: history.cpu5,
-      cpu15: history.cpu15,
-      cpu_util: history.cpu_util,
-
-      gpu_util: history.gpu_util,
-      vram_used_b: history.vram_used_b,
-
-      ram_used_b: history.ram_used_b,
-      ram_free_b: history.ram_free_b,
-      swap_used_b: history.swap_used_b,
-
-      net_down_bps: history.net_down_bps,
-      net_up_bps: history.net_up_bps,
     };
+    for (const k of HISTORY_SERIES) payload[k] = history[k];
+    payload.annotations = historyAnnotations;
 
-    fs.writeFileSync(HISTORY_DB_PATH, JSON.stringify(payload), "utf8");
+    const tmp = `${HISTORY_DB_PATH}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(payload), "utf8");
+    fs.renameSync(tmp, HISTORY_DB_PATH);
   } catch {}
 }
 
+const rollups = createRollupStore({
+  dir: HISTORY_ROLLUP_DIR,
+  tiers: [
+    { name: "1m", stepMs: 60 * 1000, retentionMs: HISTORY_1M_RETENTION_DAYS * 24 * 60 * 60 * 1000 },
+    { name: "1h", stepMs: 60 * 60 * 1000, retentionMs: HISTORY_1H_RETENTION_DAYS * 24 * 60 * 60 * 1000 },
+  ],
+  saveOpenEveryMs: HISTORY_FLUSH_MS,
+});
+
 // Sample current metrics into the shared history ring buffers
 function sampleForHistory() {
   const L = maxHistoryLen();
@@ -232,25 +348,316 @@ function sampleForHistory() {
   const downBps = Number.isFinite(ns.down_bps) ? Math.max(0, ns.down_bps) : 0;
   const upBps = Number.isFinite(ns.up_bps) ? Math.max(0, ns.up_bps) : 0;
 
+  const cb = cpu.breakdown || {};
+
+  const sample = {
+    cpu1: cpu.load1,
+    cpu5: cpu.load5,
+    cpu15: cpu.load15,
+    cpu_util: cpuUtilVal,
+
+    cpu_user: cb.user ?? null,
+    cpu_system: cb.system ?? null,
+    cpu_iowait: cb.iowait ?? null,
+    cpu_irq: cb.irq ?? null,
+    cpu_softirq: cb.softirq ?? null,
+    cpu_steal: cb.steal ?? null,
+    cpu_guest: cb.guest ?? null,
+
+    gpu_util: gpuUtilVal,
+    vram_used_b: vramUsedB,
+
+    ram_used_b: ramUsedB,
+    ram_free_b: ramFreeB,
+    swap_used_b: swapUsedB,
+
+    net_down_bps: downBps,
+    net_up_bps: upBps,
+  };
+
+  const io = diskIoSample();
+  for (const d of Object.values(disksCached() || {})) {
+    if (!d || d.error || !d.key) continue;
+    const r = d.major_minor ? io.get(d.major_minor) : null;
+    for (const f of DISK_HISTORY_FIELDS) {
+      const k = `disk_${d.key}_${f}`;
+      ensureHistorySeries(k);
+      sample[k] = r ? r[f] : null;
+    }
+  }
+
+  for (const n of netIfaceSample().values()) {
+    for (const f of NET_HISTORY_FIELDS) {
+      const k = `net_${n.name}_${f}`;
+      ensureHistorySeries(k);
+      sample[k] = n[f];
+    }
+  }
+
+  for (const g of Array.isArray(gpu?.gpus) ? gpu.gpus : []) {
+    if (!Number.isInteger(g?.index)) continue;
+    ensureHistorySeries(`gpu_${g.index}_util`);
+    ensureHistorySeries(`gpu_${g.index}_vram_used_b`);
+    sample[`gpu_${g.index}_util`] = finiteOrNull(g.util_pct);
+    sample[`gpu_${g.index}_vram_used_b`] = finiteOrNull(g.mem_used_b);
+  }
+
   history.ts.push(ts);
   if (history.ts.length > L) history.ts.splice(0, history.ts.length - L);
 
-  pushHist("cpu1", cpu.load1, L);
-  pushHist("cpu5", cpu.load5, L);
-  pushHist("cpu15", cpu.load15, L);
-  pushHist("cpu_util", cpuUtilVal, L);
+  for (const [k, v] of Object.entries(sample)) pushHist(k, v, L);
 
-  pushHist("gpu_util", gpuUtilVal, L);
-  pushHist("vram_used_b", vramUsedB, L);
+  // Disks / interfaces / GPUs that went away: keep their series aligned, drop them once no data is left
+  for (const k of HISTORY_SERIES.filter((x) => isDynamicSeries(x) && !(x in sample))) {
+    pushHist(k, null, L);
+    if (history[k].every((v) => v == null)) {
+      delete history[k];
+      HISTORY_SERIES.splice(HISTORY_SERIES.indexOf(k), 1);
+    }
+  }
 
-  pushHist("ram_used_b", ramUsedB, L);
-  pushHist("ram_free_b", ramFreeB, L);
-  pushHist("swap_used_b", swapUsedB, L);
+  rollups.ingest(ts, sample);
+  traffic.ingest(netIfaceSample().values(), ts);
+  flushHistoryToDisk(false);
 
-  pushHist("net_down_bps", downBps, L);
-  pushHist("net_up_bps", upBps, L);
+  try {
+    alerts.evaluate(alertMetrics(sample, { cpu, gpu, mem }), ts);
+  } catch {}
+}
 
-  flushHistoryToDisk(false);
+// Find index of an exact timestamp in history.ts (binary search, -1 if missing)
+function historyIndexOfTs(tsVal) {
+  const ts = history.ts;
+  let lo = 0;
+  let hi = ts.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    const v = ts[mid];
+    if (v === tsVal) return mid;
+    if (v < tsVal) lo = mid + 1;
+    else hi = mid - 1;
+  }
+  return -1;
+}
+
+// Build the client history block; with a known `since` cursor only newer samples are returned
+// - full: true  => client must replace its buffers (no/unknown cursor, restart, trimmed past cursor)
+// - full: false => append ts/series to what the client already has
+// - cursor      => ts of the newest sample, pass back as ?since=
+function historySince(since = null) {
+  const ts = history.ts;
+  const cursor = ts.length ? ts[ts.length - 1] : 0;
+
+  const s = since == null || since === "" ? NaN : Number(since);
+  const idx = Number.isFinite(s) && s > 0 ? historyIndexOfTs(s) : -1;
+  const full = idx < 0;
+
+  const out = {
+    v: history.v,
+    sample_ms: history.sampleMs,
+    max_min: history.maxMin,
+    max_window_min: historyMaxWindowMin(),
+    full,
+    since: full ? null : s,
+    cursor,
+  };
+
+  if (full) {
+    out.ts = ts;
+    for (const k of HISTORY_SERIES) out[k] = history[k];
+    return out;
+  }
+
+  const n = ts.length - (idx + 1);
+  const tail = (arr) => (n > 0 ? arr.slice(-n) : []);
+  out.ts = tail(ts);
+  for (const k of HISTORY_SERIES) out[k] = tail(history[k]);
+  return out;
+}
+
+// Longest window any tier can serve (minutes)
+function historyMaxWindowMin() {
+  const longest = rollups.describe().reduce((m, t) => Math.max(m, t.retention_min), 0);
+  return Math.max(history.maxMin, longest);
+}
+
+// Build a history block for the last `minutes`, picking raw or a rollup tier
+// - Same shape as the /stats history block (ts + series averages) plus per-series min/max for rollups
+function historyWindow(minutes) {
+  const m = clamp(Math.floor(Number(minutes) || 0), 1, historyMaxWindowMin());
+  const now = Date.now();
+  const from = now - m * 60 * 1000;
+
+  const base = {
+    v: history.v,
+    window_min: m,
+    max_min: history.maxMin,
+    max_window_min: historyMaxWindowMin(),
+    tiers: rollups.describe(),
+    full: true,
+    annotations: historyAnnotationsBetween(from, now),
+  };
+
+  const tier = m <= history.maxMin ? null : rollups.pickTier(m * 60 * 1000, HISTORY_MAX_POINTS);
+  if (!tier) {
+    let i0 = 0;
+    while (i0 < history.ts.length && history.ts[i0] < from) i0++;
+    const n = history.ts.length - i0;
+    const tail = (arr) => (n > 0 ? arr.slice(-n) : []);
+    const out = { ...base, tier: "raw", sample_ms: history.sampleMs, ts: tail(history.ts) };
+    for (const k of HISTORY_SERIES) out[k] = tail(history[k]);
+    return out;
+  }
+
+  const recs = rollups.range(tier.name, from, now);
+  const out = { ...base, tier: tier.name, sample_ms: tier.stepMs, ts: recs.map((r) => r.t), min: {}, max: {} };
+  for (const k of HISTORY_SERIES) {
+    out[k] = recs.map((r) => r.s[k]?.[1] ?? null);
+    out.min[k] = recs.map((r) => r.s[k]?.[0] ?? null);
+    out.max[k] = recs.map((r) => r.s[k]?.[2] ?? null);
+  }
+  return out;
+}
+
+/* ============================================================================
+   History Query API
+   - /api/history?series=a,b&from=&to=&step=&agg=avg|min|max|p95
+   - Buckets raw samples or rollup records into aligned ts/value arrays
+============================================================================ */
+
+const HISTORY_AGGS = ["avg", "min", "max", "p95"];
+const HISTORY_QUERY_MAX_POINTS = 5000;
+
+// Parse "90", "500ms", "60s", "5m", "1h", "7d" into ms (bare numbers are seconds; null if invalid)
+function parseDurationMs(v) {
+  const m = String(v || "").trim().match(/^(\d+(?:\.\d+)?)(ms|s|m|h|d)?$/i);
+  if (!m) return null;
+  const n = Number(m[1]);
+  const unit = (m[2] || "s").toLowerCase();
+  const mul = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[unit];
+  const ms = Math.floor(n * mul);
+  return ms > 0 ? ms : null;
+}
+
+// Parse a time parameter: epoch ms/s, ISO date, "now" or relative "-6h" (null if invalid)
+function parseTimeParam(v, now) {
+  const s = String(v || "").trim();
+  if (!s || s === "now") return now;
+  if (s.startsWith("-")) {
+    const d = parseDurationMs(s.slice(1));
+    return d == null ? null : now - d;
+  }
+  if (/^\d+(\.\d+)?$/.test(s)) {
+    const n = Number(s);
+    return n < 1e12 ? Math.floor(n * 1000) : Math.floor(n);
+  }
+  const t = Date.parse(s);
+  return Number.isFinite(t) ? t : null;
+}
+
+// 95th percentile of a numeric array (nearest-rank)
+function p95(arr) {
+  if (!arr.length) return null;
+  const a = arr.slice().sort((x, y) => x - y);
+  return a[Math.min(a.length - 1, Math.ceil(0.95 * a.length) - 1)];
+}
+
+// Pick the finest source covering [from..] whose resolution is not coarser than step
+function pickHistorySource(from, stepMs) {
+  const now = Date.now();
+  if (from >= now - history.maxMin * 60 * 1000) return { name: "raw", stepMs: history.sampleMs };
+
+  const tiers = rollups.describe();
+  const covering = tiers.filter((t) => now - t.retention_min * 60 * 1000 <= from);
+  const fine = covering.filter((t) => t.step_ms <= stepMs);
+  const pick = fine[0] || covering[0] || tiers[tiers.length - 1];
+  if (pick) return { name: pick.name, stepMs: pick.step_ms };
+  return { name: "raw", stepMs: history.sampleMs };
+}
+
+// Run a history query; returns { status, body }
+function queryHistory(params) {
+  const now = Date.now();
+
+  const seriesRaw = (params.get("series") || "").trim();
+  const series = seriesRaw ? [...new Set(seriesRaw.split(",").map((x) => x.trim()).filter(Boolean))] : HISTORY_SERIES;
+  const unknown = series.filter((k) => !HISTORY_SERIES.includes(k));
+  if (unknown.length) return { status: 400, body: { error: "unknown_series", unknown, available: HISTORY_SERIES } };
+
+  const to = parseTimeParam(params.get("to"), now);
+  const from = params.get("from") ? parseTimeParam(params.get("from"), now) : to - 60 * 60 * 1000;
+  if (from == null || to == null || from >= to) return { status: 400, body: { error: "bad_range" } };
+
+  const agg = (params.get("agg") || "avg").trim().toLowerCase();
+  if (!HISTORY_AGGS.includes(agg)) return { status: 400, body: { error: "bad_agg", available: HISTORY_AGGS } };
+
+  let stepMs = params.get("step") ? parseDurationMs(params.get("step")) : null;
+  if (params.get("step") && stepMs == null) return { status: 400, body: { error: "bad_step" } };
+  if (stepMs == null) stepMs = Math.max(history.sampleMs, Math.ceil((to - from) / 300 / 1000) * 1000);
+
+  const source = pickHistorySource(from, stepMs);
+  stepMs = Math.max(stepMs, source.stepMs);
+
+  const start = Math.floor(from / stepMs) * stepMs;
+  const count = Math.floor((to - start) / stepMs) + 1;
+  if (count > HISTORY_QUERY_MAX_POINTS) {
+    return { status: 400, body: { error: "too_many_points", points: count, max_points: HISTORY_QUERY_MAX_POINTS } };
+  }
+
+  // Collect per-bucket inputs: raw values, or rollup [min, avg, max] triples
+  const buckets = series.map(() => Array.from({ length: count }, () => []));
+  const valid = source.name === "raw" ? (v) => Number.isFinite(v) : (v) => Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+  const put = (t, si, v) => {
+    if (!valid(v) || t < from || t > to) return;
+    const bi = Math.floor((t - start) / stepMs);
+    if (bi >= 0 && bi < count) buckets[si][bi].push(v);
+  };
+
+  if (source.name === "raw") {
+    const ts = history.ts;
+    series.forEach((k, si) => {
+      const arr = history[k];
+      const off = arr.length - ts.length;
+      for (let i = 0; i < ts.length; i++) put(ts[i], si, arr[i + off]);
+    });
+  } else {
+    for (const r of rollups.range(source.name, from, to)) {
+      series.forEach((k, si) => put(r.t, si, r.s[k]));
+    }
+  }
+
+  // Reduce each bucket with the requested aggregation
+  const reduce = (items) => {
+    if (!items.length) return null;
+    if (source.name === "raw") {
+      if (agg === "min") return Math.min(...items);
+      if (agg === "max") return Math.max(...items);
+      if (agg === "p95") return p95(items);
+      return items.reduce((a, b) => a + b, 0) / items.length;
+    }
+    if (agg === "min") return Math.min(...items.map((x) => x[0]));
+    if (agg === "max") return Math.max(...items.map((x) => x[2]));
+    if (agg === "p95") return p95(items.map((x) => x[1]));
+    return items.reduce((a, x) => a + x[1], 0) / items.length;
+  };
+
+  const body = {
+    from,
+    to,
+    step_ms: stepMs,
+    agg,
+    source: source.name,
+    source_step_ms: source.stepMs,
+    ts: Array.from({ length: count }, (_, i) => start + i * stepMs),
+    series: {},
+    annotations: historyAnnotationsBetween(from, to),
+  };
+  series.forEach((k, si) => {
+    body.series[k] = buckets[si].map(reduce);
+  });
+  if (agg === "p95" && source.name !== "raw") body.approximate = true;
+
+  return { status: 200, body };
 }
 
 loadHistoryFromDisk();
@@ -272,6 +679,204 @@ setInterval(() => {
   } catch {}
 }, 1000);
 
+/* ============================================================================
+   Alerts
+   - Rules from ALERTS_RULES_FILE are evaluated on every history sample (see alerts-api.js)
+   - Metric names: history series (cpu_util, net_down_bps, ...) plus dotted paths
+     such as disk.__system__.free_pct, gpu.0.temp_c, speedtest.down_mbps
+============================================================================ */
+
+const alerts = createAlertsController({
+  rulesFile: process.env.ALERTS_RULES_FILE || "./data/alerts.json",
+  stateFile: process.env.ALERTS_STATE_FILE || "./data/alerts-state.json",
+});
+
+// Return a finite number or null
+function finiteOrNull(v) {
+  const n = Number(v);
+  return v != null && Number.isFinite(n) ? n : null;
+}
+
+// Percentage a/b rounded to 2 decimals (null when not computable)
+function pctOf(a, b) {
+  const x = finiteOrNull(a);
+  const y = finiteOrNull(b);
+  return x != null && y ? Math.round((x / y) * 10000) / 100 : null;
+}
+
+// Flatten the current sample into alert metric names
+function alertMetrics(sample, { cpu, gpu, mem }) {
+  const m = { ...sample };
+
+  m["cpu.temp_c"] = finiteOrNull(cpu?.temp_c);
+  m["mem.used_pct"] = pctOf(mem?.used, mem?.total);
+  m["swap.used_pct"] = pctOf(mem?.swap_used, mem?.swap_total);
+
+  for (const d of Object.values(disksCached() || {})) {
+    if (!d || d.error || !d.key) continue;
+    const k = d.key;
+    m[`disk.${k}.free_pct`] = pctOf(d.free, d.total);
+    m[`disk.${k}.used_pct`] = pctOf(d.used, d.total);
+    m[`disk.${k}.free_b`] = finiteOrNull(d.free);
+    m[`disk.${k}.inodes_used_pct`] = pctOf(d.inodes_used, d.inodes_total);
+    m[`disk.${k}.inodes_free_pct`] = pctOf(d.inodes_free, d.inodes_total);
+    m[`disk.${k}.readonly`] = d.readonly == null ? null : d.readonly ? 1 : 0;
+    m[`disk.${k}.fs_errors`] = finiteOrNull(d.fs_errors);
+
+    const io = d.major_minor ? diskIoSample().get(d.major_minor) : null;
+    for (const f of DISK_HISTORY_FIELDS) m[`disk.${k}.${f}`] = finiteOrNull(io?.[f]);
+  }
+
+  for (const n of netIfaceSample().values()) {
+    m[`net.${n.name}.down_bps`] = n.down_bps;
+    m[`net.${n.name}.up_bps`] = n.up_bps;
+    m[`net.${n.name}.errors_ps`] = n.errors_ps;
+    m[`net.${n.name}.drops_ps`] = n.drops_ps;
+    m[`net.${n.name}.up`] = n.up ? 1 : 0;
+  }
+
+  for (const tr of traffic.snapshot().ifaces) {
+    m[`traffic.${tr.name}.today_b`] = tr.today.rx_b + tr.today.tx_b;
+    m[`traffic.${tr.name}.cycle_used_b`] = tr.cycle.used_b;
+    m[`traffic.${tr.name}.cycle_used_pct`] = tr.cycle.used_pct;
+    m[`traffic.${tr.name}.cycle_projected_pct`] = tr.cycle.projected_pct;
+  }
+
+  const rt = runtimeInfo();
+  m["runtime.cpu_limit"] = finiteOrNull(rt?.cpu?.limit);
+  m["runtime.mem_used_pct"] = pctOf(rt?.memory?.used_b, rt?.memory?.limit_b);
+
+  const proc = processesCached();
+  m["processes.total"] = proc.ts ? proc.total : null;
+  m["processes.running"] = proc.ts ? proc.running : null;
+  m["processes.zombie"] = proc.ts ? proc.zombie : null;
+
+  for (const c of containersCached().containers) {
+    m[`container.${c.name}.cpu_pct`] = finiteOrNull(c.cpu_pct);
+    m[`container.${c.name}.mem_used_b`] = finiteOrNull(c.mem_used_b);
+    m[`container.${c.name}.mem_pct`] = finiteOrNull(c.mem_pct);
+    m[`container.${c.name}.restart_count`] = finiteOrNull(c.restart_count);
+    m[`container.${c.name}.running`] = c.state ? (c.state === "running" ? 1 : 0) : null;
+  }
+
+  for (const g of Array.isArray(gpu?.gpus) ? gpu.gpus : []) {
+    const i = g.index;
+    m[`gpu.${i}.temp_c`] = finiteOrNull(g.temp_c);
+    m[`gpu.${i}.util_pct`] = finiteOrNull(g.util_pct);
+    m[`gpu.${i}.mem_used_pct`] = pctOf(g.mem_used_b, g.mem_total_b);
+    m[`gpu.${i}.power_w`] = finiteOrNull(g.power_w);
+    m[`gpu.${i}.fan_pct`] = finiteOrNull(g.fan_pct);
+    m[`gpu.${i}.freq_mhz`] = finiteOrNull(g.freq_mhz);
+    m[`gpu.${i}.enc_util_pct`] = finiteOrNull(g.enc_util_pct);
+    m[`gpu.${i}.dec_util_pct`] = finiteOrNull(g.dec_util_pct);
+    if (Array.isArray(g.throttle_reasons)) {
+      m[`gpu.${i}.throttled`] = g.throttled ? 1 : 0;
+      m[`gpu.${i}.throttle_power`] = g.throttle_reasons.some((r) => /power/.test(r)) ? 1 : 0;
+      m[`gpu.${i}.throttle_thermal`] = g.throttle_reasons.some((r) => /thermal/.test(r)) ? 1 : 0;
+    }
+  }
+
+  for (const s of sensorsCached()) {
+    m[`sensor.${s.kind}.${s.key}`] = finiteOrNull(s.value);
+  }
+
+  for (const a of storageArraysCached().arrays) {
+    const lvl = { ok: 0, degraded: 1, failed: 2 }[a.health];
+    m[`array.${a.name}.health`] = lvl ?? null;
+    m[`array.${a.name}.degraded`] = lvl == null ? null : lvl > 0 ? 1 : 0;
+    m[`array.${a.name}.errors`] = finiteOrNull(a.errors);
+    m[`array.${a.name}.sync_pct`] = finiteOrNull(a.sync?.state === "running" ? a.sync.progress_pct : null);
+  }
+
+  for (const d of smartCached().devices) {
+    if (!d.key) continue;
+    m[`smart.${d.key}.health`] = HEALTH_LEVELS[d.health] ?? null;
+    m[`smart.${d.key}.temp_c`] = finiteOrNull(d.temp_c);
+    m[`smart.${d.key}.reallocated_sectors`] = finiteOrNull(d.reallocated_sectors);
+    m[`smart.${d.key}.pending_sectors`] = finiteOrNull(d.pending_sectors);
+    m[`smart.${d.key}.percentage_used`] = finiteOrNull(d.percentage_used);
+    m[`smart.${d.key}.media_errors`] = finiteOrNull(d.media_errors);
+  }
+
+  const last = speedtest.snapshot()?.last || null;
+  if (last && !last.error) {
+    m["speedtest.down_mbps"] = finiteOrNull(last.down_mbps);
+    m["speedtest.up_mbps"] = finiteOrNull(last.up_mbps);
+    m["speedtest.ping_ms"] = finiteOrNull(last.ping_ms);
+    m["speedtest.jitter_ms"] = finiteOrNull(last.jitter_ms);
+  }
+
+  return m;
+}
+
+/* ============================================================================
+   Notifications
+   - Webhooks from NOTIFY_CONFIG_FILE (see notify-api.js)
+   - Sent on alert firing/resolved and on failed speedtest runs
+============================================================================ */
+
+const notifier = createNotifier({
+  configFile: process.env.NOTIFY_CONFIG_FILE || "./data/notify.json",
+  logFile: process.env.NOTIFY_LOG_FILE || "./data/notify-log.jsonl",
+  host: os.hostname(),
+});
+
+// Forward alert transitions to webhooks
+alerts.onTransition(({ type, alert }) => {
+  const critical = alert.severity === "critical";
+  const priority = type === "firing" ? (critical ? 5 : 4) : 2;
+  notifier.notify({
+    kind: "alert",
+    state: type,
+    ts: type === "firing" ? alert.fired_at : alert.resolved_at,
+    title: `[${type.toUpperCase()}] ${alert.rule} on ${os.hostname()}`,
+    message: alert.summary,
+    rule: alert.rule,
+    metric: alert.metric,
+    value: alert.value,
+    threshold: alert.threshold,
+    severity: alert.severity,
+    priority,
+    priority_10: priority * 2,
+    tags: type === "firing" ? "rotating_light" : "white_check_mark",
+  });
+});
+
+// Annotate the history timeline with the top processes when an alert fires
+alerts.onTransition(({ type, alert }) => {
+  if (type !== "firing") return;
+  const { processes } = processesCached();
+  addHistoryAnnotation({
+    ts: alert.fired_at || Date.now(),
+    kind: "alert",
+    rule: alert.rule,
+    metric: alert.metric,
+    severity: alert.severity,
+    value: alert.value,
+    summary: alert.summary,
+    processes: {
+      cpu: topProcesses(processes, { sort: "cpu", limit: 5 }).map((p) => ({ pid: p.pid, name: p.name, user: p.user, cpu_pct: p.cpu_pct })),
+      mem: topProcesses(processes, { sort: "mem", limit: 5 }).map((p) => ({ pid: p.pid, name: p.name, user: p.user, rss_b: p.rss_b })),
+    },
+  });
+});
+
+// Forward failed speedtest runs to webhooks
+speedtest.onRunEnd((r) => {
+  if (r.ok) return;
+  notifier.notify({
+    kind: "speedtest",
+    state: r.rate_limited ? "rate_limited" : "failed",
+    title: `Speedtest ${r.rate_limited ? "rate limited" : "failed"} on ${os.hostname()}`,
+    message: r.error || "unknown error",
+    metric: "speedtest",
+    severity: "warning",
+    priority: 3,
+    priority_10: 6,
+    tags: "warning",
+  });
+});
+
 // Sample shared history continuously
 setInterval(() => {
   try {
@@ -342,14 +947,16 @@ function readTextFirst(paths) {
   return null;
 }
 
-// Check if a command exists in PATH
+// Check if a command exists in PATH (no shell)
 function which(cmd) {
-  try {
-    execSync(`command -v ${cmd}`, { stdio: ["ignore", "pipe", "ignore"] });
-    return true;
-  } catch {
-    return false;
+  for (const dir of (process.env.PATH || "").split(":")) {
+    if (!dir) continue;
+    try {
+      fs.accessSync(path.join(dir, cmd), fs.constants.X_OK);
+      return true;
+    } catch {}
   }
+  return false;
 }
 
 // Detect if running inside a container (best-effort)
@@ -362,7 +969,7 @@ function inContainer() {
 ============================================================================ */
 
 // Read BIOS firmware + version/date (container-friendly, best-effort)
-function biosInfo() {
+async function readBiosInfo() {
   const firmware =
     fs.existsSync("/sys/firmware/efi") || fs.existsSync("/host/sys/firmware/efi")
       ? "UEFI"
@@ -370,8 +977,8 @@ function biosInfo() {
 
   if (inContainer() && which("dmidecode")) {
     try {
-      const version = execSync("dmidecode -s bios-version", { encoding: "utf8" }).trim();
-      const date = execSync("dmidecode -s bios-release-date", { encoding: "utf8" }).trim();
+      const version = await execFileText("dmidecode", ["-s", "bios-version"], { timeoutMs: COLLECTOR_TIMEOUT_MS });
+      const date = await execFileText("dmidecode", ["-s", "bios-release-date"], { timeoutMs: COLLECTOR_TIMEOUT_MS });
       if (version || date) return { firmware, version: version || null, date: date || null };
     } catch {}
   }
@@ -485,6 +1092,11 @@ function systemIdentity() {
    - Best-effort detection; useful for UI “System” card
 ============================================================================ */
 
+// Return the sysfs root to inspect (prefers /host/sys when mounted)
+function hostSysRoot() {
+  return exists("/host/sys/fs") ? "/host/sys" : "/sys";
+}
+
 // Return the proc root to inspect (prefers /host/proc when mounted)
 function hostProcRoot() {
   if (exists("/host/proc/1")) return "/host/proc";
@@ -685,7 +1297,7 @@ function systemInfo() {
 
   let kernel = null;
   try {
-    kernel = execSync("uname -r", { encoding: "utf8" }).trim();
+    kernel = os.release() || null;
   } catch {}
 
   const hostSess = pickSessionEnvFromHostProc();
@@ -720,44 +1332,271 @@ function systemInfo() {
 }
 
 /* ============================================================================
-   Light Caching
+   Collectors
+   - Slow sources run in the background on their own interval (see collector-api.js)
+   - Routes only read the latest snapshot, so a slow df / nvidia-smi never blocks them
 ============================================================================ */
 
-let sysCache = null;
-let sysCacheTs = 0;
 const SYS_CACHE_MS = Number(process.env.SYS_CACHE_MS || 10000);
+const DISK_CACHE_MS = Number(process.env.DISK_CACHE_MS || 4000);
+const BLK_META_CACHE_MS = Number(process.env.BLK_META_CACHE_MS || 15000);
+const BIOS_CACHE_MS = 60 * 60 * 1000;
+const SENSORS_CACHE_MS = Number(process.env.SENSORS_CACHE_MS || 2000);
+const SMART_CACHE_MS = Math.max(60 * 1000, Number(process.env.SMART_CACHE_MS || 10 * 60 * 1000));
+const SMART_TIMEOUT_MS = Math.max(1000, Number(process.env.SMART_TIMEOUT_MS || 15000));
+const STORAGE_CACHE_MS = Number(process.env.STORAGE_CACHE_MS || 15000);
+const SMART_ENABLED = !/^(0|false|no|off)$/i.test(String(process.env.SMART_ENABLED || "").trim());
+const PROCESS_INTERVAL_MS = Math.max(1000, Number(process.env.PROCESS_INTERVAL_MS || 5000));
+const PROCESS_TOP_N = clamp(Math.floor(Number(process.env.PROCESS_TOP_N || 15)), 1, 100);
+const PROCESS_CMDLINE = !/^(0|false|no|off)$/i.test(String(process.env.PROCESS_CMDLINE || "").trim());
+const CONTAINERS_INTERVAL_MS = Math.max(1000, Number(process.env.CONTAINERS_INTERVAL_MS || 5000));
+const DOCKER_SOCKET = String(process.env.DOCKER_SOCKET || "").trim();
+const CGROUP_ROOT = String(process.env.CGROUP_ROOT || "").trim();
+
+const diskProbes = new Map();
+
+// Probe one disk path through its own breaker; a dead mount only marks that disk
+// - hostMp: set for discovered filesystems (p is the local path to statfs)
+async function probeDisk(p, hostMp = null) {
+  const id = hostMp ? `host:${hostMp}` : p;
+  let probe = diskProbes.get(id);
+  if (!probe) {
+    probe = { breaker: createBreaker({ name: `disk ${hostMp || p}`, timeoutMs: DISK_TIMEOUT_MS }), last: null, lastTs: 0 };
+    diskProbes.set(id, probe);
+  }
+
+  try {
+    const d = await probe.breaker.call(() => dfBytes(p, hostMp));
+    probe.last = d;
+    probe.lastTs = Date.now();
+    return { ...d, status: "ok", age_ms: 0 };
+  } catch (e) {
+    const error = String(e?.message || e);
+    const { circuit, retry_at } = probe.breaker.state();
+    if (probe.last) {
+      return { ...probe.last, status: "stale", age_ms: Date.now() - probe.lastTs, last_error: error, circuit, retry_at };
+    }
+    const status = e?.code === "ECIRCUITOPEN" ? probe.status || "error" : failureStatus(e);
+    probe.status = status;
+    return { path: hostMp || p, error, status, circuit, retry_at };
+  }
+}
+
+let warnedNoHostRoot = false;
+
+// Disks to probe: DISK_PATHS plus discovered filesystems (DISK_AUTO); explicit paths win on key clashes
+function diskTargets() {
+  const targets = DISK_PATHS.map((p) => ({ key: keyify(p), path: p, hostMp: null }));
+  if (!DISK_AUTO) return targets;
+
+  const taken = new Set(DISK_PATHS.map((p) => (p === "/" || p === "/host" ? "__system__" : keyify(p))));
+  for (const mp of discoverFilesystems()) {
+    const key = mp === "/" ? "__system__" : keyify(mp);
+    if (taken.has(key)) continue;
+
+    const local = hostPathToLocal(mp);
+    if (!local) {
+      if (!warnedNoHostRoot) console.warn("DISK_AUTO: host root is not mounted at /host; only DISK_PATHS are reported");
+      warnedNoHostRoot = true;
+      break;
+    }
+    targets.push({ key, path: local, hostMp: mp });
+  }
+  return targets;
+}
+
+// Collect usage for all disks (each with its own deadline)
+async function collectDisks() {
+  const results = await Promise.all(diskTargets().map(async (t) => [t.key, await probeDisk(t.path, t.hostMp)]));
+  return Object.fromEntries(results);
+}
+
+// Block devices without SMART (RAM disks, loop, network block devices, optical drives)
+const SMART_SKIP_RE = /^\/dev\/(zram|loop|ram|nbd|rbd|sr)\d/;
+
+// Whole disks to query for SMART health (lsblk "disk" entries)
+async function smartTargets() {
+  let meta = lsblkMetaCached();
+  if (!meta.size) meta = await readLsblkMeta();
+  return [...meta.values()]
+    .filter((m) => m.type === "disk" && !SMART_SKIP_RE.test(m.dev))
+    .map((m) => ({ dev: m.dev, model: m.model || null }));
+}
+
+// Collect drive health (see smart-api.js); drives skipped in standby keep their last report
+async function collectSmart() {
+  if (!SMART_ENABLED) return { available: false, disabled: true, tool_error: null, devices: [] };
+
+  const prev = new Map((smartCollector.get()?.devices || []).map((d) => [d.dev, d]));
+  const r = await readSmart(await smartTargets(), { timeoutMs: SMART_TIMEOUT_MS });
+  r.devices = r.devices.map((d) => {
+    const p = prev.get(d.dev);
+    return d.health === "standby" && p && p.health !== "standby" ? { ...p, standby: true } : d;
+  });
+  return r;
+}
+
+const systemCollector = createCollector({
+  name: "system",
+  intervalMs: SYS_CACHE_MS,
+  timeoutMs: COLLECTOR_TIMEOUT_MS,
+  run: () => systemInfo(),
+});
+
+const biosCollector = createCollector({
+  name: "bios",
+  intervalMs: BIOS_CACHE_MS,
+  timeoutMs: COLLECTOR_TIMEOUT_MS * 2,
+  run: () => readBiosInfo(),
+});
+
+const lsblkCollector = createCollector({
+  name: "lsblk",
+  intervalMs: BLK_META_CACHE_MS,
+  timeoutMs: COLLECTOR_TIMEOUT_MS,
+  run: () => readLsblkMeta(),
+  initial: new Map(),
+});
+
+const disksCollector = createCollector({
+  name: "disks",
+  intervalMs: DISK_CACHE_MS,
+  timeoutMs: DISK_TIMEOUT_MS + 1000,
+  run: () => collectDisks(),
+  initial: {},
+});
+
+const gpuCollector = createCollector({
+  name: "gpu",
+  intervalMs: GPU_POLL_MS,
+  timeoutMs: GPU_TIMEOUT_MS * 3 + 500,
+  run: () => collectGpu(),
+});
 
-// Cached wrapper for systemInfo()
+const sensorsCollector = createCollector({
+  name: "sensors",
+  intervalMs: SENSORS_CACHE_MS,
+  timeoutMs: COLLECTOR_TIMEOUT_MS,
+  run: () => readSensors(),
+  initial: [],
+});
+
+const smartCollector = createCollector({
+  name: "smart",
+  intervalMs: SMART_CACHE_MS,
+  timeoutMs: SMART_TIMEOUT_MS + COLLECTOR_TIMEOUT_MS,
+  run: () => collectSmart(),
+  initial: { available: null, tool_error: null, devices: [] },
+});
+
+const storageCollector = createCollector({
+  name: "storage",
+  intervalMs: STORAGE_CACHE_MS,
+  timeoutMs: COLLECTOR_TIMEOUT_MS + 1000,
+  run: () =>
+    readStorageArrays({
+      procRoot: exists("/host/proc/mdstat") ? "/host/proc" : "/proc",
+      sysRoot: hostSysRoot(),
+      timeoutMs: COLLECTOR_TIMEOUT_MS,
+    }),
+  initial: { health: "ok", degraded: 0, arrays: [], errors: {} },
+});
+
+const processTracker = createProcessTracker({
+  procRoot: hostProcRoot,
+  etcDir: () => (hostProcRoot() === "/host/proc" && exists("/host/etc/passwd") ? "/host/etc" : "/etc"),
+  cmdline: PROCESS_CMDLINE,
+});
+
+const processCollector = createCollector({
+  name: "processes",
+  intervalMs: PROCESS_INTERVAL_MS,
+  timeoutMs: COLLECTOR_TIMEOUT_MS,
+  run: () => processTracker.sample(),
+  initial: { ts: 0, interval_s: null, total: 0, running: 0, zombie: 0, threads: 0, processes: [] },
+});
+
+const containerTracker = createContainerTracker({
+  cgroupRoot: () => CGROUP_ROOT || `${hostSysRoot()}/fs/cgroup`,
+  // Only an explicitly configured or mounted socket: the host socket under /host is root-equivalent
+  dockerSocket: () => DOCKER_SOCKET || (exists("/var/run/docker.sock") ? "/var/run/docker.sock" : null),
+  timeoutMs: COLLECTOR_TIMEOUT_MS,
+});
+
+const containersCollector = createCollector({
+  name: "containers",
+  intervalMs: CONTAINERS_INTERVAL_MS,
+  timeoutMs: COLLECTOR_TIMEOUT_MS + 1000,
+  run: () => containerTracker.sample(),
+  initial: { ts: 0, cgroup: null, docker: { socket: null, available: false, error: null }, total: 0, running: 0, containers: [] },
+});
+
+const collectors = [
+  systemCollector,
+  biosCollector,
+  lsblkCollector,
+  disksCollector,
+  gpuCollector,
+  sensorsCollector,
+  smartCollector,
+  storageCollector,
+  processCollector,
+  containersCollector,
+];
+
+// Latest system info snapshot
 function systemInfoCached() {
-  const now = Date.now();
-  if (sysCache && now - sysCacheTs < SYS_CACHE_MS) return sysCache;
-  sysCache = systemInfo();
-  sysCacheTs = now;
-  return sysCache;
+  return systemCollector.get();
 }
 
-let disksCache = null;
-let disksCacheTs = 0;
-const DISK_CACHE_MS = Number(process.env.DISK_CACHE_MS || 4000);
+// Latest BIOS info snapshot
+function biosInfo() {
+  return biosCollector.get();
+}
 
-// Cached dfBytes for configured disk paths
+// Latest disk usage snapshot for configured disk paths
 function disksCached() {
-  const now = Date.now();
-  if (disksCache && now - disksCacheTs < DISK_CACHE_MS) return disksCache;
+  return disksCollector.get() || {};
+}
 
-  const disks = {};
-  for (const p of DISK_PATHS) {
-    try {
-      const d = dfBytes(p);
-      disks[keyify(p)] = d;
-    } catch (e) {
-      disks[keyify(p)] = { path: p, error: String(e) };
-    }
+// Latest hwmon sensor readings
+function sensorsCached() {
+  return sensorsCollector.get() || [];
+}
+
+// Latest SMART/NVMe drive health
+function smartCached() {
+  return smartCollector.get() || { available: null, tool_error: null, devices: [] };
+}
+
+// Latest md RAID / ZFS / btrfs array status
+function storageArraysCached() {
+  return storageCollector.get() || { health: "ok", degraded: 0, arrays: [], errors: {} };
+}
+
+// Latest process list (sorted by CPU%)
+function processesCached() {
+  return processCollector.get() || { ts: 0, interval_s: null, total: 0, running: 0, zombie: 0, threads: 0, processes: [] };
+}
+
+// Process counts plus the top PROCESS_TOP_N by CPU and by memory (for /stats and the card)
+function processesSummary() {
+  const { processes, ...meta } = processesCached();
+  const top = new Map();
+  for (const p of [...topProcesses(processes, { sort: "cpu", limit: PROCESS_TOP_N }), ...topProcesses(processes, { sort: "mem", limit: PROCESS_TOP_N })]) {
+    top.set(p.pid, p);
   }
+  return { ...meta, top_n: PROCESS_TOP_N, top: [...top.values()] };
+}
+
+// Latest container list (sorted by CPU%)
+function containersCached() {
+  return containersCollector.get() || { ts: 0, cgroup: null, docker: { socket: null, available: false, error: null }, total: 0, running: 0, containers: [] };
+}
 
-  disksCache = disks;
-  disksCacheTs = now;
-  return disksCache;
+// Status of every collector (for /stats and the UI "stale data" badges)
+function collectorStatus() {
+  return Object.fromEntries(collectors.map((c) => [c.name, c.status()]));
 }
 
 /* ============================================================================
@@ -778,7 +1617,7 @@ let hostMountMapCache = null;
 let hostMountMapTs = 0;
 const HOST_MOUNT_CACHE_MS = 3000;
 
-// Read host mountpoints into a map: mountpoint -> { fstype, source, major_minor }
+// Read host mountpoints into a map: mountpoint -> { fstype, source, major_minor, root, readonly }
 function readHostMountpointsMap() {
   const now = Date.now();
   if (hostMountMapCache && now - hostMountMapTs < HOST_MOUNT_CACHE_MS) {
@@ -817,12 +1656,17 @@ function readHostMountpointsMap() {
       const right = line.slice(sep + 3).split(" ");
 
       const majorMinor = (left[2] || "").trim();
+      const root = unescapeMountPath(left[3]);
       const mp = unescapeMountPath(left[4]);
       const fstype = (right[0] || "").trim();
       const source = (right[1] || "").trim();
       const normMp = mp ? mp.replace(/\/+$/, "") || "/" : null;
 
-      if (normMp) map.set(normMp, { fstype, source, major_minor: majorMinor || null });
+      // Read-only either per mount or for the whole superblock (e.g. ext4 remounted ro after errors)
+      const readonly =
+        String(left[5] || "").split(",").includes("ro") || String(right[2] || "").split(",").includes("ro");
+
+      if (normMp) map.set(normMp, { fstype, source, major_minor: majorMinor || null, root: root || null, readonly });
     }
   } catch {
     try {
@@ -837,8 +1681,9 @@ function readHostMountpointsMap() {
         const mp = unescapeMountPath(parts[1]);
         const fstype = (parts[2] || "").trim();
         const normMp = mp ? mp.replace(/\/+$/, "") || "/" : null;
+        const readonly = String(parts[3] || "").split(",").includes("ro");
 
-        if (normMp) map.set(normMp, { fstype, source });
+        if (normMp) map.set(normMp, { fstype, source, readonly });
       }
     } catch {}
   }
@@ -861,14 +1706,123 @@ function isMountedOnHost(pathStr) {
   return !!getHostMountInfo(pathStr);
 }
 
+// Find the mountpoint (in our own namespace) that contains a path, like df does
+function localMountPointOf(pathStr) {
+  const txt = safeReadFile("/proc/self/mountinfo");
+  if (!txt) return null;
+
+  const target = path.resolve(pathStr);
+  let best = null;
+
+  for (const line of txt.split("\n")) {
+    const mp = unescapeMountPath(line.split(" ")[4] || "");
+    if (!mp) continue;
+    const inside = mp === "/" || target === mp || target.startsWith(`${mp}/`);
+    if (inside && (!best || mp.length > best.length)) best = mp;
+  }
+
+  return best;
+}
+
+/* ============================================================================
+   Filesystem Discovery
+   - DISK_AUTO=1: report every block-backed filesystem from host mountinfo
+   - DISK_AUTO_INCLUDE / DISK_AUTO_EXCLUDE: comma-separated rules such as
+     "fstype:xfs", "path:/mnt/*", "device:/dev/sd*" (* matches anything, also "/")
+   - Inside containers usage is read through /host/<mountpoint>
+============================================================================ */
+
+// Filesystems that never represent a disk
+const PSEUDO_FSTYPES = new Set([
+  "autofs", "binfmt_misc", "bpf", "cgroup", "cgroup2", "configfs", "debugfs", "devpts", "devtmpfs",
+  "efivarfs", "fusectl", "hugetlbfs", "mqueue", "nsfs", "overlay", "proc", "pstore", "ramfs",
+  "rpc_pipefs", "securityfs", "squashfs", "sysfs", "tmpfs", "tracefs", "fuse.snapfuse",
+]);
+
+// Filesystems whose source is not a /dev node but which still live on local disks
+const POOL_FSTYPES = new Set(["zfs", "bcachefs"]);
+
+const DISK_AUTO_DEFAULT_EXCLUDE = [
+  "path:/boot/efi",
+  "path:/snap/*",
+  "path:/var/snap/*",
+  "path:/var/lib/docker/*",
+  "path:/var/lib/containers/*",
+  "path:/var/lib/kubelet/*",
+  "path:/run/*",
+  "device:/dev/loop*",
+  "device:/dev/zram*",
+  "device:/dev/ram*",
+].join(",");
+
+// Compile a glob ("*" matches anything, "?" one character) into an anchored RegExp
+function globRe(g) {
+  return new RegExp(`^${g.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".")}$`);
+}
+
+// Parse "fstype:x,path:/y/*,device:/dev/z*" into { fstype: [re], path: [re], device: [re] }
+// - Bare entries: "/dev/..." is a device, "/..." a path, anything else an fstype
+function parseDiskRules(str) {
+  const rules = { fstype: [], path: [], device: [] };
+
+  for (const raw of String(str || "").split(",")) {
+    const r = raw.trim();
+    if (!r) continue;
+
+    const m = r.match(/^(fstype|path|device):(.+)$/i);
+    const kind = m ? m[1].toLowerCase() : r.startsWith("/dev/") ? "device" : r.startsWith("/") ? "path" : "fstype";
+    const pat = (m ? m[2] : r).trim();
+    rules[kind].push(globRe(kind === "path" ? pat.replace(/\/+$/, "") || "/" : pat));
+  }
+  return rules;
+}
+
+const DISK_AUTO_INCLUDE = parseDiskRules(process.env.DISK_AUTO_INCLUDE || "");
+const DISK_AUTO_EXCLUDE = parseDiskRules(process.env.DISK_AUTO_EXCLUDE ?? DISK_AUTO_DEFAULT_EXCLUDE);
+
+// Does a mount pass the include/exclude rules? (each include category with rules must match)
+function diskRulesAllow(m) {
+  const hit = (list, v) => list.some((re) => re.test(String(v || "")));
+
+  for (const k of ["fstype", "path", "device"]) {
+    if (DISK_AUTO_INCLUDE[k].length && !hit(DISK_AUTO_INCLUDE[k], m[k])) return false;
+    if (hit(DISK_AUTO_EXCLUDE[k], m[k])) return false;
+  }
+  return true;
+}
+
+// List host mountpoints of real filesystems (one per device; the shortest mountpoint wins over bind mounts)
+function discoverFilesystems() {
+  const byDev = new Map();
+
+  for (const [mp, mi] of readHostMountpointsMap()) {
+    const fstype = String(mi.fstype || "");
+    const source = String(mi.source || "");
+    if (PSEUDO_FSTYPES.has(fstype)) continue;
+    if (!source.startsWith("/dev/") && !POOL_FSTYPES.has(fstype)) continue;
+    if (!diskRulesAllow({ fstype, path: mp, device: source })) continue;
+
+    // zfs datasets share no device number worth merging; everything else dedupes by major:minor
+    const id = POOL_FSTYPES.has(fstype) ? `${fstype}:${source}` : mi.major_minor || source;
+    const prev = byDev.get(id);
+    if (!prev || mp.length < prev.length) byDev.set(id, mp);
+  }
+
+  return [...byDev.values()].sort((a, b) => a.localeCompare(b));
+}
+
+// Path under which a host mountpoint is reachable from here (null when the host root is not mounted)
+function hostPathToLocal(mp) {
+  if (!inContainer()) return mp;
+  if (!exists("/host/proc")) return null;
+  return mp === "/" ? "/host" : `/host${mp}`;
+}
+
 /* ============================================================================
    Disk
-   - df for disk usage + optional lsblk metadata (model/label/uuid)
+   - statfs for disk usage + optional lsblk metadata (model/label/uuid)
 ============================================================================ */
 
-let blkMetaCache = null;
-let blkMetaTs = 0;
-const BLK_META_CACHE_MS = Number(process.env.BLK_META_CACHE_MS || 15000);
 
 // Normalize lsblk "NAME" into /dev/* path
 function toDevPath(name) {
@@ -897,12 +1851,11 @@ function parentDevFromPart(devPath) {
 }
 
 // Query lsblk JSON and build a map from /dev/* -> {type, model, label, uuid}
-function readLsblkMeta() {
+async function readLsblkMeta() {
   try {
-    const out = execSync("lsblk -J -o NAME,TYPE,MODEL,LABEL,PARTLABEL,UUID", {
-      encoding: "utf8",
-      stdio: ["ignore", "pipe", "ignore"],
-    }).trim();
+    const out = await execFileText("lsblk", ["-J", "-o", "NAME,TYPE,MODEL,LABEL,PARTLABEL,UUID"], {
+      timeoutMs: COLLECTOR_TIMEOUT_MS,
+    });
 
     if (!out) return new Map();
     const j = JSON.parse(out);
@@ -936,13 +1889,9 @@ function readLsblkMeta() {
   }
 }
 
-// Cached wrapper for readLsblkMeta()
+// Latest lsblk metadata snapshot
 function lsblkMetaCached() {
-  const now = Date.now();
-  if (blkMetaCache && now - blkMetaTs < BLK_META_CACHE_MS) return blkMetaCache;
-  blkMetaCache = readLsblkMeta();
-  blkMetaTs = now;
-  return blkMetaCache;
+  return lsblkCollector.get() || new Map();
 }
 
 // Make a stable key from a path (used to flatten disk fields)
@@ -950,31 +1899,137 @@ function keyify(p) {
   return p.replace(/^\/+/, "").replace(/\//g, "_").replace(/[^\w]/g, "_");
 }
 
-// Run df and enrich with host mount + lsblk metadata
-function dfBytes(pathStr) {
+/* ----------------------------------------------------------------------------
+   Filesystem health
+   - ext4: /sys/fs/ext4/<dev>/errors_count (+ first/last error time)
+   - btrfs: /sys/fs/btrfs/<fsid>/devinfo/<devid>/error_stats summed over member devices
+---------------------------------------------------------------------------- */
+
+// Resolve the kernel block device name (sda1, nvme0n1p2, dm-0) for a mount
+async function kernelDevName(source, majorMinor) {
+  const sys = hostSysRoot();
+
+  // btrfs and other multi-device filesystems report an anonymous 0:N device
+  if (majorMinor && !majorMinor.startsWith("0:")) {
+    try {
+      return path.basename(await fs.promises.realpath(`${sys}/dev/block/${majorMinor}`));
+    } catch {}
+  }
+
+  const src = String(source || "");
+  if (!src.startsWith("/dev/")) return null;
+
+  if (src.startsWith("/dev/mapper/")) {
+    const want = src.slice(12);
+    for (const n of listDirSafe(`${sys}/block`) || []) {
+      if (n.startsWith("dm-") && (safeReadFile(`${sys}/block/${n}/dm/name`) || "").trim() === want) return n;
+    }
+    return null;
+  }
+
+  return path.basename(src);
+}
+
+// Read a sysfs number (null when missing)
+async function readSysNum(p) {
+  try {
+    const n = Number((await fs.promises.readFile(p, "utf8")).trim());
+    return Number.isFinite(n) ? n : null;
+  } catch {
+    return null;
+  }
+}
+
+// ext4 error counters for a device
+async function ext4Health(kname) {
+  const dir = `${hostSysRoot()}/fs/ext4/${kname}`;
+  const count = await readSysNum(`${dir}/errors_count`);
+  if (count == null) return null;
+
+  const first = await readSysNum(`${dir}/first_error_time`);
+  const last = await readSysNum(`${dir}/last_error_time`);
+  return {
+    errors: count,
+    detail: {
+      first_error_ts: first ? first * 1000 : null,
+      last_error_ts: last ? last * 1000 : null,
+    },
+  };
+}
+
+// btrfs device error stats summed over the filesystem's devices
+async function btrfsHealth(kname) {
+  const base = `${hostSysRoot()}/fs/btrfs`;
+
+  for (const fsid of listDirSafe(base) || []) {
+    if (!(listDirSafe(`${base}/${fsid}/devices`) || []).includes(kname)) continue;
+
+    const detail = {};
+    let found = false;
+    for (const devid of listDirSafe(`${base}/${fsid}/devinfo`) || []) {
+      const txt = safeReadFile(`${base}/${fsid}/devinfo/${devid}/error_stats`);
+      if (!txt) continue;
+      found = true;
+      for (const line of txt.split("\n")) {
+        const [k, v] = line.trim().split(/\s+/);
+        if (k && Number.isFinite(Number(v))) detail[k] = (detail[k] || 0) + Number(v);
+      }
+    }
+
+    // error_stats needs kernel 5.14+
+    if (!found) return null;
+    return { errors: Object.values(detail).reduce((a, b) => a + b, 0), detail };
+  }
+
+  return null;
+}
+
+// Filesystem error counters where the kernel exposes them ({ errors, detail } or null)
+async function fsHealth(fstype, source, majorMinor) {
+  if (fstype !== "ext4" && fstype !== "btrfs") return null;
+  try {
+    const kname = await kernelDevName(source, majorMinor);
+    if (!kname) return null;
+    return fstype === "ext4" ? await ext4Health(kname) : await btrfsHealth(kname);
+  } catch {
+    return null;
+  }
+}
+
+// Read usage with statfs and enrich with host mount + lsblk metadata
+// - hostMp: host mountpoint of a discovered filesystem (pathStr is where we reach it)
+async function dfBytes(pathStr, hostMp = null) {
   const isSpecial = pathStr === "/host" || pathStr === "/";
-  const expectHostMount = !isSpecial;
+  const expectHostMount = !isSpecial && !hostMp;
 
   if (inContainer() && expectHostMount && !isMountedOnHost(pathStr)) {
     throw new Error(`not mounted on host (${pathStr})`);
   }
 
-  const out = execSync(`df -B1 -P -- ${JSON.stringify(pathStr)}`, { encoding: "utf8" }).trim();
-  const line = out.split("\n")[1] || "";
-  if (!line) throw new Error(`df returned no data (${pathStr})`);
-  const parts = line.split(/\s+/);
+  // Without a recursive /host bind the directory exists but statfs would report the parent filesystem
+  if (hostMp && pathStr !== hostMp && localMountPointOf(pathStr) !== pathStr) {
+    throw new Error(`not visible in container (${pathStr})`);
+  }
 
-  const total = Number(parts[1]);
-  const used = Number(parts[2]);
-  const free = Number(parts[3]);
-  const mount = parts[5] || pathStr;
+  const st = await fs.promises.statfs(pathStr);
+  const bsize = Number(st.bsize);
+  const total = Number(st.blocks) * bsize;
+  const used = (Number(st.blocks) - Number(st.bfree)) * bsize;
+  const free = Number(st.bavail) * bsize;
+  // Filesystems without a fixed inode table (btrfs, zfs) report 0
+  const files = Number(st.files);
+  const ffree = Number(st.ffree);
+  const hasInodes = Number.isFinite(files) && files > 0;
+  const mount = hostMp || localMountPointOf(pathStr) || pathStr;
 
-  const hostLookupPath = pathStr === "/host" ? "/" : (pathStr === "/" ? "/" : pathStr);
+  const hostLookupPath = hostMp || (pathStr === "/host" ? "/" : pathStr);
 
   const mi = getHostMountInfo(hostLookupPath);
   const fstype = mi?.fstype || null;
   const source = mi?.source || null;
   const major_minor = mi?.major_minor || null;
+  const readonly = typeof mi?.readonly === "boolean" ? mi.readonly : null;
+  const health = await fsHealth(fstype, source, major_minor);
 
   let blk_model = null;
   let blk_label = null;
@@ -993,20 +2048,27 @@ function dfBytes(pathStr) {
     }
   } catch {}
 
-  const isSystem = pathStr === "/host" || pathStr === "/";
-  const stableKey = isSystem ? "__system__" : keyify(pathStr);
+  const isSystem = hostMp ? hostMp === "/" : isSpecial;
+  const stableKey = isSystem ? "__system__" : keyify(hostMp || pathStr);
   const label_key = isSystem ? "disk.label.system" : null;
   const label = isSystem ? "System Disk" : mount;
 
   return {
     key: stableKey,
-    path: pathStr,
+    path: hostMp || pathStr,
+    discovered: !!hostMp,
     mount,
     label,
     label_key,
     total,
     used,
     free,
+    inodes_total: hasInodes ? files : null,
+    inodes_used: hasInodes ? files - ffree : null,
+    inodes_free: hasInodes ? ffree : null,
+    readonly,
+    fs_errors: health ? health.errors : null,
+    fs_error_detail: health ? health.detail : null,
     fstype,
     source,
     major_minor,
@@ -1017,12 +2079,22 @@ function dfBytes(pathStr) {
 }
 
 /* ============================================================================
-   Disk IO (B/s) via /proc/diskstats
+   Disk IO via /proc/diskstats
+   - Throughput, IOPS, await, queue depth and %util per device (iostat -x style)
+   - One shared sample every DISK_IO_MIN_MS (history sampler and payload reuse it)
 ============================================================================ */
 
 const SECTOR_SIZE = 512;
+const DISK_IO_MIN_MS = 500;
+
+// Rate fields copied onto each disk entry besides read_bps/write_bps
+const DISK_IO_FIELDS = ["read_iops", "write_iops", "read_await_ms", "write_await_ms", "await_ms", "queue_depth", "util_pct"];
+
+let diskIoCache = new Map();
+let diskIoCacheTs = 0;
 
-// Read host diskstats and return map major:minor -> { r_bytes, w_bytes }
+// Read host diskstats and return map major:minor -> raw counters
+// - r_bytes/w_bytes, reads/writes (completed), r_ms/w_ms (time spent), in_flight, io_ms, weighted_ms
 function readHostDiskstats() {
   const p = exists("/host/proc/diskstats") ? "/host/proc/diskstats" : "/proc/diskstats";
   const txt = safeReadFile(p);
@@ -1034,58 +2106,91 @@ function readHostDiskstats() {
     if (!line) continue;
 
     const parts = line.trim().split(/\s+/);
-    if (parts.length < 10) continue;
+    if (parts.length < 14) continue;
 
     const major = parts[0];
     const minor = parts[1];
     const key = `${major}:${minor}`;
 
-    const sectorsRead = Number(parts[5]);
-    const sectorsWritten = Number(parts[9]);
+    const [reads, , sectorsRead, rMs, writes, , sectorsWritten, wMs, inFlight, ioMs, weightedMs] = parts
+      .slice(3, 14)
+      .map(Number);
 
     if (!Number.isFinite(sectorsRead) || !Number.isFinite(sectorsWritten)) continue;
 
     out.set(key, {
       r_bytes: sectorsRead * SECTOR_SIZE,
       w_bytes: sectorsWritten * SECTOR_SIZE,
+      reads,
+      writes,
+      r_ms: rMs,
+      w_ms: wMs,
+      in_flight: inFlight,
+      io_ms: ioMs,
+      weighted_ms: weightedMs,
     });
   }
 
   return out;
 }
 
-// Compute per-device read/write bytes/sec since last call
-function diskIoSpeedsNow() {
-  const now = Date.now();
-  const cur = readHostDiskstats();
-  const speeds = new Map();
+// Rates between two diskstats readings taken dtMs apart
+function diskIoRates(prev, cur, dtMs) {
+  const d = (k) => Math.max(0, cur[k] - prev[k]);
+  const dt = dtMs / 1000;
+  const reads = d("reads");
+  const writes = d("writes");
+  const r2 = (v) => Math.round(v * 100) / 100;
+  const avg = (ms, n) => (n > 0 ? r2(ms / n) : 0);
 
-  for (const [mm, v] of cur.entries()) {
-    const prev = lastDiskIo.get(mm);
-    if (!prev) {
-      speeds.set(mm, { read_bps: 0, write_bps: 0 });
-      lastDiskIo.set(mm, { ts: now, r: v.r_bytes, w: v.w_bytes });
-      continue;
-    }
+  return {
+    read_bps: d("r_bytes") / dt,
+    write_bps: d("w_bytes") / dt,
+    read_iops: r2(reads / dt),
+    write_iops: r2(writes / dt),
+    read_await_ms: avg(d("r_ms"), reads),
+    write_await_ms: avg(d("w_ms"), writes),
+    await_ms: avg(d("r_ms") + d("w_ms"), reads + writes),
+    queue_depth: r2(d("weighted_ms") / dtMs),
+    util_pct: r2(clamp((d("io_ms") / dtMs) * 100, 0, 100)),
+    in_flight: cur.in_flight,
+  };
+}
 
-    const dt = (now - prev.ts) / 1000;
-    if (!Number.isFinite(dt) || dt <= 0) {
-      speeds.set(mm, { read_bps: 0, write_bps: 0 });
-      continue;
-    }
+// Idle rates for a device seen for the first time
+function diskIoIdle(cur) {
+  return {
+    read_bps: 0,
+    write_bps: 0,
+    read_iops: 0,
+    write_iops: 0,
+    read_await_ms: 0,
+    write_await_ms: 0,
+    await_ms: 0,
+    queue_depth: 0,
+    util_pct: 0,
+    in_flight: cur.in_flight,
+  };
+}
 
-    const dr = v.r_bytes - prev.r;
-    const dw = v.w_bytes - prev.w;
+// Shared per-device IO rates: map major:minor -> rates since the previous sample
+function diskIoSample() {
+  const now = Date.now();
+  if (now - diskIoCacheTs < DISK_IO_MIN_MS) return diskIoCache;
 
-    speeds.set(mm, {
-      read_bps: Math.max(0, dr / dt),
-      write_bps: Math.max(0, dw / dt),
-    });
+  const cur = readHostDiskstats();
+  const rates = new Map();
 
-    lastDiskIo.set(mm, { ts: now, r: v.r_bytes, w: v.w_bytes });
+  for (const [mm, v] of cur.entries()) {
+    const prev = lastDiskIo.get(mm);
+    const dtMs = prev ? now - prev.ts : 0;
+    rates.set(mm, prev && dtMs > 0 ? diskIoRates(prev.v, v, dtMs) : diskIoIdle(v));
+    lastDiskIo.set(mm, { ts: now, v });
   }
 
-  return speeds;
+  diskIoCache = rates;
+  diskIoCacheTs = now;
+  return rates;
 }
 
 /* ============================================================================
@@ -1094,7 +2199,7 @@ function diskIoSpeedsNow() {
 
 // Read /proc/meminfo and return bytes for RAM + swap
 function memBytes() {
-  const out = execSync("cat /proc/meminfo", { encoding: "utf8" });
+  const out = fs.readFileSync("/proc/meminfo", "utf8");
   const kv = {};
 
   for (const line of out.split("\n")) {
@@ -1117,6 +2222,35 @@ function memBytes() {
   return { total, available, used, swap_total, swap_free, swap_used };
 }
 
+/* ============================================================================
+   Runtime (own cgroup limits)
+   - os.cpus() and /proc/meminfo show the host inside a container; the cgroup may cap far less
+   - Re-read every RUNTIME_CACHE_MS (limits can change with `docker update`)
+============================================================================ */
+
+const RUNTIME_CACHE_MS = 30 * 1000;
+let runtimeCache = null;
+let runtimeCacheTs = 0;
+
+// Return the runtime block: host vs container view flags and effective CPU / memory limits
+function runtimeInfo() {
+  const now = Date.now();
+  if (runtimeCache && now - runtimeCacheTs < RUNTIME_CACHE_MS) return runtimeCache;
+
+  try {
+    runtimeCache = readRuntimeInfo({
+      inContainer: inContainer(),
+      reportedCpus: os.cpus()?.length || null,
+      reportedMemB: memBytes().total || null,
+      processRoot: hostProcRoot() || "/proc",
+    });
+  } catch {
+    runtimeCache = null;
+  }
+  runtimeCacheTs = now;
+  return runtimeCache;
+}
+
 /* ============================================================================
    Formatting Helpers
 ============================================================================ */
@@ -1162,6 +2296,12 @@ function formatRate(bytesPerSec) {
    CPU
 ============================================================================ */
 
+// CPU temperature sensor choice (SENSORS_SETTINGS_FILE, default CPU_TEMP_SENSOR; see sensors-api.js)
+const sensorsCtl = createSensorsController({
+  settingsFile: process.env.SENSORS_SETTINGS_FILE || "./data/sensors.json",
+  cpuSensor: process.env.CPU_TEMP_SENSOR || "",
+});
+
 // Read CPU temperatures from thermal zones (max temp), best-effort
 function readCpuTempsC() {
   try {
@@ -1184,8 +2324,93 @@ function readCpuTempsC() {
   }
 }
 
-// Compute CPU utilization percent based on deltas of os.cpus().times
-function cpuUtilPct() {
+/* ----------------------------------------------------------------------------
+   /proc/stat breakdown
+   - user/system/iowait/irq/softirq/steal/guest per core and overall
+   - One shared sample every CPU_STAT_MIN_MS (history sampler and payload reuse it)
+---------------------------------------------------------------------------- */
+
+const CPU_MODES = ["user", "system", "iowait", "irq", "softirq", "steal", "guest"];
+const CPU_STAT_MIN_MS = 500;
+
+let lastProcStat = null;
+let cpuStatCache = null;
+
+// Read jiffies per CPU from /proc/stat (host-aware); Map "all" | "<n>" -> counters
+function readProcStat() {
+  const txt = safeReadFile(`${hostProcRoot() || "/proc"}/stat`);
+  if (!txt) return null;
+
+  const out = new Map();
+  for (const line of txt.split("\n")) {
+    if (!line.startsWith("cpu")) continue;
+
+    const parts = line.trim().split(/\s+/);
+    const id = parts[0] === "cpu" ? "all" : parts[0].slice(3);
+    const [user = 0, nice = 0, system = 0, idle = 0, iowait = 0, irq = 0, softirq = 0, steal = 0, guest = 0, guestNice = 0] =
+      parts.slice(1).map((x) => Number(x) || 0);
+
+    // user/nice already include guest time; keep guest separate to avoid counting it twice
+    out.set(id, {
+      user: Math.max(0, user - guest + nice - guestNice),
+      system,
+      idle,
+      iowait,
+      irq,
+      softirq,
+      steal,
+      guest: guest + guestNice,
+      total: user + nice + system + idle + iowait + irq + softirq + steal,
+    });
+  }
+
+  return out.size ? out : null;
+}
+
+// Percentages per mode between two counter snapshots (null when no time passed)
+function cpuModesPct(prev, cur) {
+  const dt = cur.total - prev.total;
+  if (!(dt > 0)) return null;
+
+  const pct = (v) => Math.round(clamp((v / dt) * 100, 0, 100) * 10) / 10;
+  const out = { util_pct: pct(dt - (cur.idle - prev.idle) - (cur.iowait - prev.iowait)) };
+  for (const k of CPU_MODES) out[k] = pct(cur[k] - prev[k]);
+  out.idle = pct(cur.idle - prev.idle);
+  return out;
+}
+
+// Shared /proc/stat sample: { ts, all, per_core } (null until two reads exist)
+function cpuStatSample() {
+  const now = Date.now();
+  if (cpuStatCache && now - cpuStatCache.ts < CPU_STAT_MIN_MS) return cpuStatCache;
+  if (lastProcStat && now - lastProcStat.ts < CPU_STAT_MIN_MS) return cpuStatCache;
+
+  const snap = readProcStat();
+  if (!snap) return null;
+
+  const prev = lastProcStat;
+  lastProcStat = { ts: now, snap };
+  if (!prev) return null;
+
+  const prevAll = prev.snap.get("all");
+  const curAll = snap.get("all");
+  const all = prevAll && curAll ? cpuModesPct(prevAll, curAll) : null;
+
+  const per_core = [];
+  for (const [id, cur] of snap) {
+    if (id === "all") continue;
+    const p = prev.snap.get(id);
+    const m = p ? cpuModesPct(p, cur) : null;
+    if (m) per_core.push({ cpu: Number(id), ...m });
+  }
+  per_core.sort((a, b) => a.cpu - b.cpu);
+
+  cpuStatCache = { ts: now, all, per_core };
+  return cpuStatCache;
+}
+
+// Overall utilization from os.cpus() deltas (fallback when /proc/stat is unreadable)
+function cpuUtilPctFromOs() {
   const cpus = os.cpus() || [];
   if (!cpus.length) return null;
 
@@ -1223,6 +2448,13 @@ function cpuUtilPct() {
   return Math.max(0, Math.min(100, util));
 }
 
+// Overall CPU utilization (%): busy time excluding idle and iowait
+function cpuUtilPct() {
+  const st = cpuStatSample();
+  if (lastProcStat) return st?.all?.util_pct ?? null;
+  return cpuUtilPctFromOs();
+}
+
 // Read CPU max frequency from sysfs (GHz), best-effort
 function readCpuMaxFreqGHz() {
   const candidates = [
@@ -1248,9 +2480,15 @@ function cpuSummary() {
   const model = cpus[0]?.model || null;
   const cores = cpus.length || 0;
   const [l1, l5, l15] = os.loadavg();
-  const temps = readCpuTempsC();
-  const tempMax = temps.length ? Math.max(...temps) : null;
+  // Chosen hwmon sensor first; max of thermal zones when no sensor matches
+  const tempSensor = sensorsCtl.cpuTemp(sensorsCached());
+  let tempC = tempSensor?.value ?? null;
+  if (tempC == null) {
+    const temps = readCpuTempsC();
+    tempC = temps.length ? Math.max(...temps) : null;
+  }
   const baseGHz = readCpuMaxFreqGHz();
+  const st = cpuStatSample();
 
   return {
     model,
@@ -1258,130 +2496,68 @@ function cpuSummary() {
     load1: l1,
     load5: l5,
     load15: l15,
-    temp_c: tempMax,
+    temp_c: tempC,
+    temp_sensor: tempSensor,
     base_ghz: baseGHz,
+    breakdown: st?.all || null,
+    per_core: st?.per_core || [],
   };
 }
 
 /* ============================================================================
-   GPU (NVIDIA via nvidia-smi)
+   GPU
+   - NVIDIA via nvidia-smi, AMD (amdgpu) and Intel (i915 / xe) via DRM sysfs (see gpu-api.js)
+   - GPU_BACKENDS: "auto" (default) or a list such as "amd,intel"
 ============================================================================ */
 
-// Split CSV line into trimmed columns
-function parseCsvLine(line) {
-  return line.split(",").map((s) => s.trim());
-}
-
-// Query nvidia-smi once and return structured GPU info (or null/error)
-function gpuQueryOnce() {
-  try {
-    execSync("nvidia-smi -L", {
-      encoding: "utf8",
-      stdio: ["ignore", "pipe", "ignore"],
-      timeout: GPU_TIMEOUT_MS,
-      killSignal: "SIGKILL",
-    });
-  } catch {
-    return null;
-  }
-
-  try {
-    const q =
-      "nvidia-smi " +
-      "--query-gpu=index,name,temperature.gpu,utilization.gpu,memory.total,memory.used,power.draw,power.limit " +
-      "--format=csv,noheader,nounits";
-
-    const out = execSync(q, {
-      encoding: "utf8",
-      timeout: GPU_TIMEOUT_MS,
-      killSignal: "SIGKILL",
-      stdio: ["ignore", "pipe", "ignore"],
-    }).trim();
-
-    if (!out) return null;
-
-    const gpus = out
-      .split("\n")
-      .filter(Boolean)
-      .map((line) => {
-        const [index, name, tempC, util, memTotal, memUsed, pwrDraw, pwrLimit] = parseCsvLine(line);
-
-        const totalMiB = Number(memTotal);
-        const usedMiB = Number(memUsed);
-
-        const totalB = Number.isFinite(totalMiB) ? totalMiB * 1024 * 1024 : null;
-        const usedB = Number.isFinite(usedMiB) ? usedMiB * 1024 * 1024 : null;
-        const freeB = totalB != null && usedB != null ? totalB - usedB : null;
-
-        return {
-          index: Number(index),
-          name: name || null,
-          temp_c: Number(tempC),
-          util_pct: Number(util),
-          mem_total_b: totalB,
-          mem_used_b: usedB,
-          mem_free_b: freeB,
-          power_w: Number(pwrDraw),
-          power_limit_w: Number(pwrLimit),
-        };
-      });
+const gpuReader = createGpuReader({
+  sysRoot: hostSysRoot,
+  backends: parseGpuBackends(process.env.GPU_BACKENDS),
+  timeoutMs: GPU_TIMEOUT_MS,
+  processesEveryMs: GPU_PROCESSES_INTERVAL_MS,
+});
 
-    const primary = gpus[0] || null;
-    return { count: gpus.length, gpus, primary };
-  } catch (e) {
-    return { error: String(e) };
-  }
+// Poll every GPU backend (GPU collector job); null = no GPU found, throws on nvidia-smi errors
+async function collectGpu() {
+  return gpuReader.read();
 }
 
-// Cached GPU summary; returns stale cached data on errors when possible
+// Latest GPU summary; returns stale cached data on errors when possible
 function gpuSummary() {
-  const now = Date.now();
+  const st = gpuCollector.state();
 
-  if (lastGpu && now - lastGpuTs < GPU_POLL_MS) {
-    return {
-      ...lastGpu,
-      cached: true,
-      age_ms: now - lastGpuTs,
-      last_error: lastGpuErr,
-    };
-  }
-
-  const fresh = gpuQueryOnce();
-
-  if (!fresh) {
-    lastGpu = null;
-    lastGpuTs = now;
-    lastGpuErr = "nvidia-smi unavailable";
-    return null;
-  }
-
-  if (fresh?.error) {
-    lastGpuErr = fresh.error;
-
-    if (lastGpu) {
-      return {
-        ...lastGpu,
-        cached: true,
-        stale: true,
-        age_ms: now - lastGpuTs,
-        last_error: lastGpuErr,
-      };
-    }
-
-    return fresh;
-  }
-
-  lastGpu = fresh;
-  lastGpuTs = now;
-  lastGpuErr = null;
+  if (!st.value) return st.error ? { error: st.error, status: st.status } : null;
 
-  return { ...fresh, cached: false, age_ms: 0, last_error: null };
+  return {
+    ...st.value,
+    cached: true,
+    stale: st.status !== "ok",
+    status: st.status,
+    age_ms: st.age_ms,
+    last_error: st.error,
+  };
 }
 
 /* ============================================================================
    Network
+   - Every interface but loopback, from /sys/class/net/<iface>/statistics
+   - NET_INCLUDE / NET_EXCLUDE: comma-separated name globs such as "eth*,wg0"
+   - One shared sample every NET_SAMPLE_MIN_MS (history sampler and payload reuse it)
 ============================================================================ */
 
+const NET_SAMPLE_MIN_MS = 500;
+const NET_INCLUDE = parseNetRules(process.env.NET_INCLUDE || "");
+const NET_EXCLUDE = parseNetRules(process.env.NET_EXCLUDE ?? "veth*,ifb*,docker*");
+
+// Parse "eth*,wg0" into a list of RegExps
+function parseNetRules(str) {
+  return String(str || "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean)
+    .map(globRe);
+}
+
 // Pick a default outward-facing interface and IP (best-effort)
 function netSummary() {
   const ifaces = os.networkInterfaces();
@@ -1398,21 +2574,41 @@ function netSummary() {
   return { iface: ipv4?.name || null, ip: ipv4?.address || null };
 }
 
-// Read rx/tx byte counters for an interface
-function readIfaceBytes(iface) {
-  const rx = Number(
-    execSync(`cat /sys/class/net/${JSON.stringify(iface)}/statistics/rx_bytes`, {
-      encoding: "utf8",
-    }).trim()
-  );
+// Counters read from /sys/class/net/<iface>/statistics
+const NET_COUNTERS = ["rx_bytes", "tx_bytes", "rx_packets", "tx_packets", "rx_errors", "tx_errors", "rx_dropped", "tx_dropped"];
 
-  const tx = Number(
-    execSync(`cat /sys/class/net/${JSON.stringify(iface)}/statistics/tx_bytes`, {
-      encoding: "utf8",
-    }).trim()
-  );
+let netIfaceCache = new Map();
+let netIfaceCacheTs = 0;
+
+// Read the statistics counters of an interface
+function readIfaceStats(iface) {
+  const name = String(iface || "");
+  if (!name || name.includes("/") || name.startsWith(".")) throw new Error(`bad iface: ${name}`);
+
+  const dir = `/sys/class/net/${name}/statistics`;
+  const c = {};
+  for (const k of NET_COUNTERS) c[k] = Number(fs.readFileSync(`${dir}/${k}`, "utf8").trim());
+  return c;
+}
+
+// Link facts of an interface: operstate, speed, MTU, MAC and addresses
+// - Tunnels (WireGuard, tun, ppp) report operstate "unknown"; the IFF_UP flag decides there
+function readIfaceInfo(name, addrs) {
+  const dir = `/sys/class/net/${name}`;
+  const operstate = readText(`${dir}/operstate`) || null;
+  const flags = parseInt(readText(`${dir}/flags`) || "0", 16);
+  const speed = Number(readText(`${dir}/speed`));
+  const mtu = Number(readText(`${dir}/mtu`));
+  const mac = readText(`${dir}/address`);
 
-  return { rx, tx };
+  return {
+    operstate,
+    up: operstate === "up" || (operstate === "unknown" && (flags & 1) === 1),
+    speed_mbps: Number.isFinite(speed) && speed > 0 ? speed : null,
+    mtu: Number.isFinite(mtu) && mtu > 0 ? mtu : null,
+    mac: mac && mac !== "00:00:00:00:00:00" ? mac : null,
+    addresses: (addrs || []).filter((a) => !a.internal).map((a) => a.cidr || a.address),
+  };
 }
 
 // Select interface: env override wins, else auto
@@ -1422,33 +2618,92 @@ function pickIface() {
   return n.iface;
 }
 
-// Compute instantaneous down/up speed based on rx/tx deltas
-function netSpeedSample() {
-  const iface = pickIface();
-  if (!iface) return { iface: null, down_bps: null, up_bps: null };
+// List tracked interfaces: everything but loopback, filtered by NET_INCLUDE / NET_EXCLUDE
+// - The primary interface (NET_IFACE or auto) is always tracked
+function netIfaceNames(primary) {
+  const hit = (list, n) => list.some((re) => re.test(n));
+  const names = (listDirSafe("/sys/class/net") || []).filter((n) => {
+    if (n === primary) return true;
+    if (n === "lo" || readText(`/sys/class/net/${n}/type`) === "772") return false;
+    if (NET_INCLUDE.length && !hit(NET_INCLUDE, n)) return false;
+    return !hit(NET_EXCLUDE, n);
+  });
+  if (primary && !names.includes(primary)) names.push(primary);
+  return names;
+}
 
+// Per-second rates between two counter snapshots (2 decimals; counter resets read as 0)
+function netIfaceRates(a, b, dtMs) {
+  const rate = (...keys) => {
+    const d = keys.reduce((sum, k) => sum + (b[k] - a[k]), 0);
+    return d > 0 ? Math.round((d / (dtMs / 1000)) * 100) / 100 : 0;
+  };
+  return {
+    down_bps: rate("rx_bytes"),
+    up_bps: rate("tx_bytes"),
+    rx_pps: rate("rx_packets"),
+    tx_pps: rate("tx_packets"),
+    errors_ps: rate("rx_errors", "tx_errors"),
+    drops_ps: rate("rx_dropped", "tx_dropped"),
+  };
+}
+
+// Sample every tracked interface: counters, link facts and rates (Map name -> entry)
+function netIfaceSample() {
   const now = Date.now();
-  let cur;
+  if (now - netIfaceCacheTs < NET_SAMPLE_MIN_MS) return netIfaceCache;
 
-  try {
-    cur = readIfaceBytes(iface);
-  } catch {
-    return { iface, down_bps: null, up_bps: null };
+  const addrs = os.networkInterfaces();
+  const out = new Map();
+
+  for (const name of netIfaceNames(pickIface())) {
+    let c;
+    try {
+      c = readIfaceStats(name);
+    } catch {
+      continue;
+    }
+
+    const prev = lastNetIfaces.get(name);
+    const dtMs = prev ? now - prev.ts : 0;
+    const rates = prev && dtMs > 0 ? netIfaceRates(prev.c, c, dtMs) : netIfaceRates(c, c, 1);
+    lastNetIfaces.set(name, { ts: now, c });
+    out.set(name, { name, ...readIfaceInfo(name, addrs[name]), ...rates, ...c });
   }
 
-  if (!lastNetSample || lastNetSample.iface !== iface) {
-    lastNetSample = { ts: now, iface, rx: cur.rx, tx: cur.tx };
-    return { iface, down_bps: 0, up_bps: 0 };
+  for (const name of lastNetIfaces.keys()) {
+    if (!out.has(name)) lastNetIfaces.delete(name);
   }
 
-  const dt = (now - lastNetSample.ts) / 1000;
-  const down = dt > 0 ? (cur.rx - lastNetSample.rx) / dt : 0;
-  const up = dt > 0 ? (cur.tx - lastNetSample.tx) / dt : 0;
+  netIfaceCache = out;
+  netIfaceCacheTs = now;
+  return out;
+}
+
+// Down/up speed of the primary interface
+function netSpeedSample() {
+  const iface = pickIface();
+  if (!iface) return { iface: null, down_bps: null, up_bps: null };
 
-  lastNetSample = { ts: now, iface, rx: cur.rx, tx: cur.tx };
-  return { iface, down_bps: down, up_bps: up };
+  const s = netIfaceSample().get(iface);
+  return { iface, down_bps: s ? s.down_bps : null, up_bps: s ? s.up_bps : null };
 }
 
+/* ============================================================================
+   Traffic Accounting
+   - Hourly / daily / monthly rx/tx totals per interface, persisted in TRAFFIC_STATE_FILE
+   - TRAFFIC_QUOTA: "1T" (primary interface) or "wan0:1T,lte0:50G"; cycle starts on TRAFFIC_CYCLE_DAY
+   - Fed from the shared interface sample on every history tick (see traffic-api.js)
+============================================================================ */
+
+const traffic = createTrafficAccounting({
+  stateFile: process.env.TRAFFIC_STATE_FILE || "./data/traffic.json",
+  cycleDay: Number(process.env.TRAFFIC_CYCLE_DAY || 1),
+  quotas: parseQuotas(process.env.TRAFFIC_QUOTA || ""),
+  direction: String(process.env.TRAFFIC_QUOTA_DIRECTION || "total").trim().toLowerCase(),
+  primary: pickIface,
+});
+
 /* ============================================================================
    HTTP Response Helpers
 ============================================================================ */
@@ -1528,6 +2783,890 @@ function serveUiAsset(res, pathname) {
   }
 }
 
+/* ============================================================================
+   Stats Payload
+   - One builder shared by /stats and /stats/stream
+============================================================================ */
+
+let lastPayload = null;
+let lastPayloadTs = 0;
+
+// Collect a full stats snapshot (the /stats JSON body)
+function buildStatsPayload() {
+  const mem = memBytes();
+  const cpu_util_pct = cpuUtilPct();
+  const cpu = cpuSummary();
+  const gpu = gpuSummary();
+  const g0 = gpu?.primary || null;
+
+  const netSpeed = netSpeedSample();
+  const ifaces = [...netIfaceSample().values()].sort(
+    (a, b) => (b.name === netSpeed.iface) - (a.name === netSpeed.iface) || a.name.localeCompare(b.name)
+  );
+  const net = { ...netSummary(), primary: netSpeed.iface, ifaces };
+  const uptime_s = os.uptime();
+
+  const system = systemInfoCached();
+  const ident = systemIdentity();
+  const bios = biosInfo();
+  const battery = batteryInfo();
+
+  const disks = disksCached();
+
+  const ioNow = diskIoSample();
+  for (const d of Object.values(disks)) {
+    if (!d || d.error) continue;
+    const mm = d.major_minor;
+    const s = mm ? ioNow.get(mm) : null;
+    d.read_bps = s ? s.read_bps : 0;
+    d.write_bps = s ? s.write_bps : 0;
+    for (const k of DISK_IO_FIELDS) d[k] = s ? s[k] : null;
+    d.in_flight = s ? s.in_flight : null;
+  }
+
+  const flat = {
+    mem_total: mem.total,
+    mem_free: mem.available,
+    mem_used: mem.used,
+    mem_swap_total: mem.swap_total,
+    mem_swap_free: mem.swap_free,
+    mem_swap_used: mem.swap_used,
+
+    cpu_model: cpu.model ?? null,
+    cpu_cores: cpu.cores,
+    cpu_load1: cpu.load1,
+    cpu_load5: cpu.load5,
+    cpu_load15: cpu.load15,
+    cpu_base_ghz: cpu.base_ghz ?? null,
+    cpu_util_pct,
+    cpu_temp_c: cpu.temp_c ?? null,
+
+    uptime_s,
+    net_iface: net.iface,
+    net_ip: net.ip,
+    net_down_bps: netSpeed.down_bps,
+    net_up_bps: netSpeed.up_bps,
+
+    gpu_name: g0?.name ?? null,
+    gpu_temp_c: g0?.temp_c ?? null,
+    gpu_util_pct: g0?.util_pct ?? null,
+    gpu_mem_total: g0?.mem_total_b ?? null,
+    gpu_mem_used: g0?.mem_used_b ?? null,
+    gpu_mem_free: g0?.mem_free_b ?? null,
+    gpu_power_w: g0?.power_w ?? null,
+    gpu_power_limit_w: g0?.power_limit_w ?? null,
+    gpu_count: gpu?.count ?? 0,
+  };
+
+  for (const [k, d] of Object.entries(disks)) {
+    if (d && !d.error) {
+      flat[`disk_${k}_total`] = d.total;
+      flat[`disk_${k}_free`] = d.free;
+      flat[`disk_${k}_used`] = d.used;
+      flat[`disk_${k}_read_bps`] = d.read_bps ?? 0;
+      flat[`disk_${k}_write_bps`] = d.write_bps ?? 0;
+      flat[`disk_${k}_read_iops`] = d.read_iops ?? null;
+      flat[`disk_${k}_write_iops`] = d.write_iops ?? null;
+      flat[`disk_${k}_await_ms`] = d.await_ms ?? null;
+      flat[`disk_${k}_queue_depth`] = d.queue_depth ?? null;
+      flat[`disk_${k}_util_pct`] = d.util_pct ?? null;
+      flat[`disk_${k}_inodes_total`] = d.inodes_total ?? null;
+      flat[`disk_${k}_inodes_used`] = d.inodes_used ?? null;
+      flat[`disk_${k}_inodes_free`] = d.inodes_free ?? null;
+      flat[`disk_${k}_readonly`] = d.readonly ?? null;
+      flat[`disk_${k}_fs_errors`] = d.fs_errors ?? null;
+    } else {
+      flat[`disk_${k}_error`] = d?.error || "unknown";
+    }
+  }
+
+  for (const n of ifaces) {
+    flat[`net_${n.name}_down_bps`] = n.down_bps;
+    flat[`net_${n.name}_up_bps`] = n.up_bps;
+  }
+
+  for (const g of Array.isArray(gpu?.gpus) ? gpu.gpus : []) {
+    const i = g.index;
+    flat[`gpu_${i}_name`] = g.name ?? null;
+    flat[`gpu_${i}_temp_c`] = g.temp_c ?? null;
+    flat[`gpu_${i}_util_pct`] = g.util_pct ?? null;
+    flat[`gpu_${i}_mem_total`] = g.mem_total_b ?? null;
+    flat[`gpu_${i}_mem_used`] = g.mem_used_b ?? null;
+    flat[`gpu_${i}_mem_free`] = g.mem_free_b ?? null;
+    flat[`gpu_${i}_power_w`] = g.power_w ?? null;
+    flat[`gpu_${i}_power_limit_w`] = g.power_limit_w ?? null;
+  }
+
+  const cpuLine =
+    `Cores: ${cpu.cores} | ` +
+    `Load: ${cpu.load1.toFixed(2)} / ${cpu.load5.toFixed(2)} / ${cpu.load15.toFixed(2)}` +
+    (cpu.temp_c != null ? ` | Temp: ${cpu.temp_c.toFixed(1)}°C` : "");
+
+  const gpuLine = (() => {
+    if (!gpu) return "GPU: n/a";
+    if (gpu.error) return `GPU: error (${gpu.error})`;
+    if (!gpu.primary) return "GPU: none";
+
+    const g = gpu.primary;
+    const memUsed = Number.isFinite(g.mem_used_b) ? formatBytes(g.mem_used_b) : "n/a";
+    const memTot = Number.isFinite(g.mem_total_b) ? formatBytes(g.mem_total_b) : "n/a";
+    const util = Number.isFinite(g.util_pct) ? `${g.util_pct.toFixed(0)}%` : "n/a";
+    const temp = Number.isFinite(g.temp_c) ? `${g.temp_c.toFixed(0)}°C` : "n/a";
+    const pwr = Number.isFinite(g.power_w) ? `${g.power_w.toFixed(0)}W` : "n/a";
+    const lim = Number.isFinite(g.power_limit_w) ? `${g.power_limit_w.toFixed(0)}W` : "n/a";
+
+    return `${g.name || "GPU"} | Util: ${util} | VRAM: ${memUsed} / ${memTot} | Temp: ${temp} | Pwr: ${pwr}/${lim}`;
+  })();
+
+  const netLine = `IF: ${net.iface || "n/a"} | IP: ${net.ip || "n/a"}`;
+  const netSpeedLine = `↓ ${formatRate(netSpeed.down_bps)} | ↑ ${formatRate(netSpeed.up_bps)}`;
+  const uptimeLine = formatDuration(uptime_s);
+  const ramLine = `Free: ${formatBytes(mem.available)} | Used: ${formatBytes(mem.used)} | Total: ${formatBytes(mem.total)}`;
+
+  const st = speedtest.snapshot();
+  const diskLines = {};
+  for (const [k, d] of Object.entries(disks)) {
+    diskLines[`disk_${k}_line`] =
+      !d || d.error
+        ? `${d?.path || k}: error`
+        : `Free: ${formatBytes(d.free)} | Used: ${formatBytes(d.used)} | Total: ${formatBytes(d.total)}`;
+  }
+
+  return {
+    ts: Date.now(),
+
+    history: historySince(null),
+
+    system,
+    bios,
+    battery,
+    ident,
+
+    system_distro: system?.distro ?? null,
+    system_kernel: system?.kernel ?? null,
+    system_arch: system?.arch ?? null,
+    system_hostname: system?.hostname ?? null,
+    system_desktop: system?.desktop ?? null,
+    system_session_type: system?.session_type ?? null,
+    system_display_server: system?.display_server ?? null,
+
+    cpu,
+    mem,
+    net,
+    gpu,
+
+    cpu_util_pct,
+    uptime_s,
+    disks,
+    sensors: sensorsCtl.snapshot(sensorsCached()),
+    smart: smartCached(),
+    storage_arrays: storageArraysCached(),
+    traffic: traffic.snapshot(),
+    processes: processesSummary(),
+    runtime: runtimeInfo(),
+    containers: containersCached(),
+    collectors: collectorStatus(),
+
+    ...flat,
+
+    speedtest: st,
+    speedtest_last: st.last,
+    speedtest_last_error: st.last_error,
+    speedtest_interval_min: st.interval_min,
+    speedtest_next_run_ts: st.next_run_ts,
+    speedtest_running: st.running,
+
+    cpu_line: cpuLine,
+    net_line: netLine,
+    net_speed_line: netSpeedLine,
+    uptime_line: uptimeLine,
+    ram_line: ramLine,
+    gpu_line: gpuLine,
+
+    ...diskLines,
+  };
+}
+
+// Return a recent snapshot when one was built within the last tick (shared by all clients)
+function statsPayloadCached() {
+  const now = Date.now();
+  if (lastPayload && now - lastPayloadTs < STREAM_TICK_MS) return lastPayload;
+  lastPayload = buildStatsPayload();
+  lastPayloadTs = now;
+  return lastPayload;
+}
+
+// Strip identifying fields for non-admin principals when auth is enabled
+function payloadForPrincipal(payload, principal) {
+  if (!auth.enabled() || roleAtLeast(principal, "admin")) return payload;
+  return {
+    ...payload,
+    ident: payload.ident ? { ...payload.ident, serial_number: null } : payload.ident,
+    smart: smartForPrincipal(payload.smart, principal),
+    processes: payload.processes ? { ...payload.processes, top: processesForPrincipal(payload.processes.top, principal) } : payload.processes,
+  };
+}
+
+// Hide drive serial numbers from non-admins (same rule as ident.serial_number)
+function smartForPrincipal(smart, principal) {
+  if (!smart || !auth.enabled() || roleAtLeast(principal, "admin")) return smart;
+  return { ...smart, devices: (smart.devices || []).map((d) => ({ ...d, serial: null })) };
+}
+
+// Hide process command lines (may carry tokens/passwords) from non-admins
+function processesForPrincipal(list, principal) {
+  if (!auth.enabled() || roleAtLeast(principal, "admin")) return list;
+  return (list || []).map((p) => ({ ...p, cmd: null }));
+}
+
+// Shared snapshot with history narrowed to samples after `since` (no cursor => full history)
+function statsPayloadSince(since, principal) {
+  const payload = payloadForPrincipal(statsPayloadCached(), principal);
+  if (since == null || since === "") return payload;
+  return { ...payload, history: historySince(since) };
+}
+
+/* ============================================================================
+   Live Stream (SSE)
+   - Samples once per tick and pushes the same snapshot to every subscriber
+   - Idle when nobody is connected
+============================================================================ */
+
+// res -> { req, sentTs, sentAt, cursor, everyMs, principal } (per-client delivery state)
+const streamClients = new Map();
+
+// Write one SSE frame to a client (drops the client if the socket is gone)
+// - A full socket buffer marks the client blocked until 'drain'
+function streamWrite(res, chunk) {
+  try {
+    if (res.write(chunk)) return;
+    const client = streamClients.get(res);
+    if (!client || client.blockedSince) return;
+    client.blockedSince = Date.now();
+    res.once("drain", () => {
+      client.blockedSince = 0;
+    });
+  } catch {
+    streamClients.delete(res);
+  }
+}
+
+// Is a slow client still draining? Skipped ticks cost nothing: the next frame's history delta
+// starts at its cursor. Clients stuck longer than STREAM_STALL_MS are disconnected.
+function streamBlocked(res, client) {
+  if (!client?.blockedSince) return false;
+  if (Date.now() - client.blockedSince > STREAM_STALL_MS) {
+    streamClients.delete(res);
+    res.destroy();
+  }
+  return true;
+}
+
+// Send a snapshot to one client; history is a delta from the client's cursor
+function streamSend(res, client, payload) {
+  const body = { ...payloadForPrincipal(payload, client.principal), history: historySince(client.cursor) };
+  client.sentTs = payload.ts;
+  client.sentAt = Date.now();
+  client.cursor = body.history.cursor;
+  streamWrite(res, `id: ${client.cursor}\ndata: ${JSON.stringify(body)}\n\n`);
+}
+
+// Register a response as SSE subscriber and send the current snapshot right away
+// - Resumes from ?since= or the browser's Last-Event-ID after a reconnect
+// - ?interval=<ms> slows delivery for that client (history deltas still cover every sample)
+function openStatsStream(req, res, since, intervalMs, principal) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-store",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  const everyMs = clamp(Number(intervalMs) || STREAM_TICK_MS, STREAM_TICK_MS, 60000);
+  const client = { req, sentTs: 0, sentAt: 0, cursor: since || req.headers["last-event-id"] || null, everyMs, principal, blockedSince: 0 };
+  streamClients.set(res, client);
+  const drop = () => streamClients.delete(res);
+  req.on("close", drop);
+  res.on("error", drop);
+
+  try {
+    streamSend(res, client, statsPayloadCached());
+  } catch (e) {
+    streamWrite(res, `event: error\ndata: ${JSON.stringify({ error: String(e) })}\n\n`);
+  }
+}
+
+// Build one snapshot and broadcast it to all subscribers
+function streamTick() {
+  if (!streamClients.size) return;
+  let payload;
+  try {
+    payload = statsPayloadCached();
+  } catch (e) {
+    const frame = `event: error\ndata: ${JSON.stringify({ error: String(e) })}\n\n`;
+    for (const [res, client] of streamClients) if (!streamBlocked(res, client)) streamWrite(res, frame);
+    return;
+  }
+  for (const [res, client] of streamClients) {
+    if (streamBlocked(res, client)) continue;
+    if (client.sentTs === payload.ts) continue;
+    if (Date.now() - client.sentAt < client.everyMs - 50) continue;
+    streamSend(res, client, payload);
+  }
+}
+
+// Keep idle proxies from closing the connection
+function streamHeartbeat() {
+  for (const [res, client] of streamClients) if (!streamBlocked(res, client)) streamWrite(res, `: ping ${Date.now()}\n\n`);
+}
+
+// Re-check every subscriber's credentials (logout, expired session, removed token or user)
+// - Clients that no longer pass get an "auth" event and are disconnected; role changes apply
+function streamCheckAuth() {
+  for (const [res, client] of streamClients) {
+    const p = auth.authenticate(client.req);
+    if (p && roleAtLeast(p, requiredRole("/stats/stream"))) {
+      client.principal = p;
+      continue;
+    }
+    streamClients.delete(res);
+    try {
+      res.end(`event: auth\ndata: ${JSON.stringify({ error: "unauthorized" })}\n\n`);
+    } catch {
+      res.destroy();
+    }
+  }
+}
+
+setInterval(streamTick, STREAM_TICK_MS);
+setInterval(streamHeartbeat, STREAM_HEARTBEAT_MS);
+setInterval(streamCheckAuth, STREAM_AUTH_CHECK_MS);
+
+/* ============================================================================
+   Prometheus Exporter
+   - Text exposition (0.0.4) built from the shared stats snapshot
+   - Byte counters come straight from /proc and /sys so rate() works
+============================================================================ */
+
+const PROM_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Escape a label value for the exposition format
+function promEscape(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+// Format a number for the exposition format (null if not finite)
+function promNum(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  if (!Number.isFinite(n)) return null;
+  return String(n);
+}
+
+// Append one metric family; samples are [labels, value] pairs, non-finite values are skipped
+function promMetric(out, name, type, help, samples) {
+  const lines = [];
+  for (const [labels, value] of samples) {
+    const v = promNum(value);
+    if (v == null) continue;
+    const lbl = Object.entries(labels || {})
+      .filter(([, lv]) => lv != null && lv !== "")
+      .map(([lk, lv]) => `${lk}="${promEscape(lv)}"`)
+      .join(",");
+    lines.push(lbl ? `${name}{${lbl}} ${v}` : `${name} ${v}`);
+  }
+  if (!lines.length) return;
+  out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines);
+}
+
+// Render the full /metrics body
+function buildPrometheusMetrics() {
+  const p = statsPayloadCached();
+  const out = [];
+
+  const cpu = p.cpu || {};
+  promMetric(out, "argus_cpu_cores", "gauge", "Number of logical CPU cores.", [[{}, cpu.cores]]);
+  promMetric(out, "argus_cpu_load_average", "gauge", "System load average.", [
+    [{ period: "1m" }, cpu.load1],
+    [{ period: "5m" }, cpu.load5],
+    [{ period: "15m" }, cpu.load15],
+  ]);
+  promMetric(out, "argus_cpu_utilization_ratio", "gauge", "CPU utilization (0-1).", [
+    [{}, Number.isFinite(p.cpu_util_pct) ? p.cpu_util_pct / 100 : null],
+  ]);
+  const cb = cpu.breakdown || null;
+  promMetric(
+    out,
+    "argus_cpu_mode_ratio",
+    "gauge",
+    "Share of CPU time per mode since the previous sample (0-1).",
+    cb ? [...CPU_MODES, "idle"].map((m) => [{ mode: m }, Number.isFinite(cb[m]) ? cb[m] / 100 : null]) : []
+  );
+  promMetric(
+    out,
+    "argus_cpu_core_utilization_ratio",
+    "gauge",
+    "Per-core CPU utilization excluding idle and iowait (0-1).",
+    (cpu.per_core || []).map((c) => [{ cpu: c.cpu }, Number.isFinite(c.util_pct) ? c.util_pct / 100 : null])
+  );
+  promMetric(out, "argus_cpu_temperature_celsius", "gauge", "CPU temperature (chosen sensor, else hottest thermal zone).", [[{}, cpu.temp_c]]);
+  promMetric(out, "argus_uptime_seconds", "gauge", "Host uptime in seconds.", [[{}, p.uptime_s]]);
+
+  const mem = p.mem || {};
+  promMetric(out, "argus_memory_total_bytes", "gauge", "Total memory.", [[{}, mem.total]]);
+  promMetric(out, "argus_memory_available_bytes", "gauge", "Available memory (MemAvailable).", [[{}, mem.available]]);
+  promMetric(out, "argus_memory_used_bytes", "gauge", "Used memory (total - available).", [[{}, mem.used]]);
+  promMetric(out, "argus_swap_total_bytes", "gauge", "Total swap.", [[{}, mem.swap_total]]);
+  promMetric(out, "argus_swap_free_bytes", "gauge", "Free swap.", [[{}, mem.swap_free]]);
+  promMetric(out, "argus_swap_used_bytes", "gauge", "Used swap.", [[{}, mem.swap_used]]);
+
+  const disks = Object.values(p.disks || {}).filter(Boolean);
+  const fsOk = disks.filter((d) => !d.error);
+  const fsLabels = (d) => ({ mountpoint: d.mount || d.path, device: d.source, fstype: d.fstype });
+  const ioLabels = (d) => ({ mountpoint: d.mount || d.path, device: d.source });
+
+  promMetric(out, "argus_filesystem_size_bytes", "gauge", "Filesystem size.", fsOk.map((d) => [fsLabels(d), d.total]));
+  promMetric(out, "argus_filesystem_free_bytes", "gauge", "Filesystem free space.", fsOk.map((d) => [fsLabels(d), d.free]));
+  promMetric(out, "argus_filesystem_used_bytes", "gauge", "Filesystem used space.", fsOk.map((d) => [fsLabels(d), d.used]));
+  promMetric(out, "argus_filesystem_files", "gauge", "Filesystem inodes.", fsOk.map((d) => [fsLabels(d), d.inodes_total]));
+  promMetric(out, "argus_filesystem_files_free", "gauge", "Filesystem free inodes.", fsOk.map((d) => [fsLabels(d), d.inodes_free]));
+  promMetric(
+    out,
+    "argus_filesystem_readonly",
+    "gauge",
+    "1 if the filesystem is mounted read-only.",
+    fsOk.map((d) => [fsLabels(d), d.readonly == null ? null : d.readonly ? 1 : 0])
+  );
+  promMetric(
+    out,
+    "argus_filesystem_errors",
+    "gauge",
+    "Filesystem error count reported by the kernel (ext4 errors_count, btrfs device error stats).",
+    fsOk.map((d) => [fsLabels(d), d.fs_errors])
+  );
+  promMetric(
+    out,
+    "argus_filesystem_up",
+    "gauge",
+    "1 if the configured path could be read, 0 on error or stale data.",
+    disks.map((d) => [{ mountpoint: d.mount || d.path }, d.error || d.status === "stale" ? 0 : 1])
+  );
+
+  const diskstats = readHostDiskstats();
+  const ioDisks = fsOk.filter((d) => d.major_minor && diskstats.has(d.major_minor));
+  promMetric(
+    out,
+    "argus_disk_read_bytes_total",
+    "counter",
+    "Bytes read from the device backing the filesystem.",
+    ioDisks.map((d) => [ioLabels(d), diskstats.get(d.major_minor).r_bytes])
+  );
+  promMetric(
+    out,
+    "argus_disk_written_bytes_total",
+    "counter",
+    "Bytes written to the device backing the filesystem.",
+    ioDisks.map((d) => [ioLabels(d), diskstats.get(d.major_minor).w_bytes])
+  );
+  promMetric(out, "argus_disk_read_bytes_per_second", "gauge", "Current read throughput.", fsOk.map((d) => [ioLabels(d), d.read_bps]));
+  promMetric(out, "argus_disk_write_bytes_per_second", "gauge", "Current write throughput.", fsOk.map((d) => [ioLabels(d), d.write_bps]));
+  promMetric(
+    out,
+    "argus_disk_reads_completed_total",
+    "counter",
+    "Reads completed on the device backing the filesystem.",
+    ioDisks.map((d) => [ioLabels(d), diskstats.get(d.major_minor).reads])
+  );
+  promMetric(
+    out,
+    "argus_disk_writes_completed_total",
+    "counter",
+    "Writes completed on the device backing the filesystem.",
+    ioDisks.map((d) => [ioLabels(d), diskstats.get(d.major_minor).writes])
+  );
+  promMetric(
+    out,
+    "argus_disk_read_time_seconds_total",
+    "counter",
+    "Time spent on reads.",
+    ioDisks.map((d) => [ioLabels(d), diskstats.get(d.major_minor).r_ms / 1000])
+  );
+  promMetric(
+    out,
+    "argus_disk_write_time_seconds_total",
+    "counter",
+    "Time spent on writes.",
+    ioDisks.map((d) => [ioLabels(d), diskstats.get(d.major_minor).w_ms / 1000])
+  );
+  promMetric(
+    out,
+    "argus_disk_io_time_seconds_total",
+    "counter",
+    "Time the device had I/O in flight.",
+    ioDisks.map((d) => [ioLabels(d), diskstats.get(d.major_minor).io_ms / 1000])
+  );
+  promMetric(
+    out,
+    "argus_disk_io_time_weighted_seconds_total",
+    "counter",
+    "Weighted time spent doing I/O (queue depth integral).",
+    ioDisks.map((d) => [ioLabels(d), diskstats.get(d.major_minor).weighted_ms / 1000])
+  );
+  promMetric(out, "argus_disk_io_now", "gauge", "I/O requests in flight.", ioDisks.map((d) => [ioLabels(d), diskstats.get(d.major_minor).in_flight]));
+  promMetric(out, "argus_disk_read_iops", "gauge", "Current read operations per second.", fsOk.map((d) => [ioLabels(d), d.read_iops]));
+  promMetric(out, "argus_disk_write_iops", "gauge", "Current write operations per second.", fsOk.map((d) => [ioLabels(d), d.write_iops]));
+  promMetric(
+    out,
+    "argus_disk_await_seconds",
+    "gauge",
+    "Current average I/O latency (queue + service time).",
+    fsOk.map((d) => [ioLabels(d), d.await_ms == null ? null : d.await_ms / 1000])
+  );
+  promMetric(out, "argus_disk_queue_depth", "gauge", "Current average queue depth.", fsOk.map((d) => [ioLabels(d), d.queue_depth]));
+  promMetric(
+    out,
+    "argus_disk_utilization_ratio",
+    "gauge",
+    "Share of time the device was busy (0..1).",
+    fsOk.map((d) => [ioLabels(d), d.util_pct == null ? null : d.util_pct / 100])
+  );
+
+  const nets = Array.isArray(p.net?.ifaces) ? p.net.ifaces : [];
+  const nl = (n) => ({ iface: n.name });
+  promMetric(
+    out,
+    "argus_network_info",
+    "gauge",
+    "Interface metadata (always 1).",
+    nets.map((n) => [{ iface: n.name, operstate: n.operstate || "", mac: n.mac || "" }, 1])
+  );
+  promMetric(out, "argus_network_up", "gauge", "Whether the interface is up (1) or down (0).", nets.map((n) => [nl(n), n.up ? 1 : 0]));
+  promMetric(
+    out,
+    "argus_network_speed_bytes",
+    "gauge",
+    "Negotiated link speed in bytes per second.",
+    nets.map((n) => [nl(n), n.speed_mbps == null ? null : n.speed_mbps * 125000])
+  );
+  promMetric(out, "argus_network_mtu_bytes", "gauge", "Interface MTU.", nets.map((n) => [nl(n), n.mtu]));
+  promMetric(out, "argus_network_receive_bytes_total", "counter", "Bytes received on the interface.", nets.map((n) => [nl(n), n.rx_bytes]));
+  promMetric(out, "argus_network_transmit_bytes_total", "counter", "Bytes sent on the interface.", nets.map((n) => [nl(n), n.tx_bytes]));
+  promMetric(out, "argus_network_receive_packets_total", "counter", "Packets received on the interface.", nets.map((n) => [nl(n), n.rx_packets]));
+  promMetric(out, "argus_network_transmit_packets_total", "counter", "Packets sent on the interface.", nets.map((n) => [nl(n), n.tx_packets]));
+  promMetric(out, "argus_network_receive_errors_total", "counter", "Receive errors on the interface.", nets.map((n) => [nl(n), n.rx_errors]));
+  promMetric(out, "argus_network_transmit_errors_total", "counter", "Transmit errors on the interface.", nets.map((n) => [nl(n), n.tx_errors]));
+  promMetric(out, "argus_network_receive_drop_total", "counter", "Received packets dropped.", nets.map((n) => [nl(n), n.rx_dropped]));
+  promMetric(out, "argus_network_transmit_drop_total", "counter", "Outgoing packets dropped.", nets.map((n) => [nl(n), n.tx_dropped]));
+  promMetric(out, "argus_network_receive_bytes_per_second", "gauge", "Current download rate.", nets.map((n) => [nl(n), n.down_bps]));
+  promMetric(out, "argus_network_transmit_bytes_per_second", "gauge", "Current upload rate.", nets.map((n) => [nl(n), n.up_bps]));
+
+  const tr = Array.isArray(p.traffic?.ifaces) ? p.traffic.ifaces : [];
+  const trDir = (f) => tr.flatMap((x) => [[{ iface: x.name, direction: "rx" }, x[f].rx_b], [{ iface: x.name, direction: "tx" }, x[f].tx_b]]);
+  promMetric(out, "argus_traffic_today_bytes", "gauge", "Bytes transferred today (local time).", trDir("today"));
+  promMetric(out, "argus_traffic_month_bytes", "gauge", "Bytes transferred this calendar month.", trDir("month"));
+  promMetric(out, "argus_traffic_cycle_bytes", "gauge", "Bytes counted against the billing cycle.", tr.map((x) => [{ iface: x.name }, x.cycle.used_b]));
+  promMetric(out, "argus_traffic_quota_bytes", "gauge", "Billing cycle data cap.", tr.map((x) => [{ iface: x.name }, x.cycle.quota_b]));
+  promMetric(
+    out,
+    "argus_traffic_cycle_projected_bytes",
+    "gauge",
+    "Projected usage at the end of the billing cycle.",
+    tr.map((x) => [{ iface: x.name }, x.cycle.projected_b])
+  );
+
+  const rt = p.runtime || {};
+  promMetric(out, "argus_runtime_in_container", "gauge", "1 when ArgusSyS itself runs in a container.", [[{}, rt.in_container == null ? null : rt.in_container ? 1 : 0]]);
+  promMetric(out, "argus_runtime_cpu_limit", "gauge", "CPUs available to ArgusSyS after cgroup quota / cpuset (absent when unlimited).", [[{}, rt.cpu?.limit]]);
+  promMetric(out, "argus_runtime_memory_limit_bytes", "gauge", "Memory limit of the ArgusSyS cgroup (absent when unlimited).", [[{}, rt.memory?.limit_b]]);
+  promMetric(out, "argus_runtime_memory_usage_bytes", "gauge", "Memory charged to the ArgusSyS cgroup.", [[{}, rt.memory?.used_b]]);
+
+  const pr = p.processes || {};
+  promMetric(out, "argus_processes", "gauge", "Number of processes.", [[{}, pr.total]]);
+  promMetric(out, "argus_processes_running", "gauge", "Processes in the running state.", [[{}, pr.running]]);
+  promMetric(out, "argus_processes_zombie", "gauge", "Zombie processes.", [[{}, pr.zombie]]);
+  promMetric(out, "argus_threads", "gauge", "Number of threads across all processes.", [[{}, pr.threads]]);
+
+  const cts = Array.isArray(p.containers?.containers) ? p.containers.containers : [];
+  const cl = (c) => ({ name: c.name });
+  promMetric(
+    out,
+    "argus_container_info",
+    "gauge",
+    "Container metadata (always 1).",
+    cts.map((c) => [{ name: c.name, id: c.id, image: c.image || "", state: c.state || "" }, 1])
+  );
+  promMetric(out, "argus_container_cpu_usage_ratio", "gauge", "Container CPU usage (1 = one full core).", cts.map((c) => [cl(c), c.cpu_pct == null ? null : c.cpu_pct / 100]));
+  promMetric(out, "argus_container_memory_bytes", "gauge", "Container memory in use (without inactive page cache).", cts.map((c) => [cl(c), c.mem_used_b]));
+  promMetric(out, "argus_container_memory_limit_bytes", "gauge", "Container memory limit (absent when unlimited).", cts.map((c) => [cl(c), c.mem_limit_b]));
+  promMetric(out, "argus_container_pids", "gauge", "Tasks in the container.", cts.map((c) => [cl(c), c.pids]));
+  promMetric(out, "argus_container_read_bytes_total", "counter", "Block device bytes read by the container.", cts.map((c) => [cl(c), c.io_read_b]));
+  promMetric(out, "argus_container_written_bytes_total", "counter", "Block device bytes written by the container.", cts.map((c) => [cl(c), c.io_write_b]));
+  promMetric(out, "argus_container_restarts_total", "counter", "Container restarts reported by Docker.", cts.map((c) => [cl(c), c.restart_count]));
+
+  const gpus = Array.isArray(p.gpu?.gpus) ? p.gpu.gpus : [];
+  const gl = (g) => ({ gpu_index: g.index });
+  promMetric(out, "argus_gpu_count", "gauge", "Number of detected GPUs.", [[{}, p.gpu_count ?? 0]]);
+  promMetric(out, "argus_gpu_info", "gauge", "GPU metadata (always 1).", gpus.map((g) => [{ gpu_index: g.index, name: g.name, vendor: g.vendor }, 1]));
+  promMetric(out, "argus_gpu_temperature_celsius", "gauge", "GPU core temperature.", gpus.map((g) => [gl(g), g.temp_c]));
+  promMetric(
+    out,
+    "argus_gpu_utilization_ratio",
+    "gauge",
+    "GPU utilization (0-1).",
+    gpus.map((g) => [gl(g), Number.isFinite(g.util_pct) ? g.util_pct / 100 : null])
+  );
+  promMetric(out, "argus_gpu_memory_total_bytes", "gauge", "GPU memory size.", gpus.map((g) => [gl(g), g.mem_total_b]));
+  promMetric(out, "argus_gpu_memory_used_bytes", "gauge", "GPU memory in use.", gpus.map((g) => [gl(g), g.mem_used_b]));
+  promMetric(out, "argus_gpu_memory_free_bytes", "gauge", "GPU memory free.", gpus.map((g) => [gl(g), g.mem_free_b]));
+  promMetric(out, "argus_gpu_power_watts", "gauge", "GPU power draw.", gpus.map((g) => [gl(g), g.power_w]));
+  promMetric(out, "argus_gpu_power_limit_watts", "gauge", "GPU power limit.", gpus.map((g) => [gl(g), g.power_limit_w]));
+  const mhz = (v) => (Number.isFinite(v) ? v * 1e6 : null);
+  promMetric(out, "argus_gpu_clock_hertz", "gauge", "GPU clock by domain (sm, mem).", gpus.flatMap((g) => [[{ ...gl(g), clock: "sm" }, mhz(g.freq_mhz)], [{ ...gl(g), clock: "mem" }, mhz(g.mem_freq_mhz)]]));
+  promMetric(out, "argus_gpu_clock_max_hertz", "gauge", "GPU max clock by domain (sm, mem).", gpus.flatMap((g) => [[{ ...gl(g), clock: "sm" }, mhz(g.freq_max_mhz)], [{ ...gl(g), clock: "mem" }, mhz(g.mem_freq_max_mhz)]]));
+  promMetric(out, "argus_gpu_fan_speed_ratio", "gauge", "GPU fan speed (0-1 of max).", gpus.map((g) => [gl(g), Number.isFinite(g.fan_pct) ? g.fan_pct / 100 : null]));
+  promMetric(out, "argus_gpu_encoder_utilization_ratio", "gauge", "GPU video encoder utilization (0-1).", gpus.map((g) => [gl(g), Number.isFinite(g.enc_util_pct) ? g.enc_util_pct / 100 : null]));
+  promMetric(out, "argus_gpu_decoder_utilization_ratio", "gauge", "GPU video decoder utilization (0-1).", gpus.map((g) => [gl(g), Number.isFinite(g.dec_util_pct) ? g.dec_util_pct / 100 : null]));
+  promMetric(out, "argus_gpu_performance_state", "gauge", "GPU performance state (0 = P0, fastest).", gpus.map((g) => [gl(g), g.pstate]));
+  promMetric(out, "argus_gpu_pcie_link_generation", "gauge", "Current PCIe link generation.", gpus.map((g) => [gl(g), g.pcie?.gen ?? null]));
+  promMetric(out, "argus_gpu_pcie_link_width", "gauge", "Current PCIe link width (lanes).", gpus.map((g) => [gl(g), g.pcie?.width ?? null]));
+  promMetric(
+    out,
+    "argus_gpu_throttle_reason",
+    "gauge",
+    "Active clock throttle reasons (1 = active).",
+    gpus.flatMap((g) => (Array.isArray(g.throttle_reasons) ? NVIDIA_THROTTLE_REASON_NAMES.map((r) => [{ ...gl(g), reason: r }, g.throttle_reasons.includes(r) ? 1 : 0]) : []))
+  );
+  // Per GPU only: pid / name labels would add a series for every short-lived process
+  const procs = gpus.filter((g) => Array.isArray(g.processes));
+  promMetric(out, "argus_gpu_processes", "gauge", "Compute processes using the GPU.", procs.map((g) => [gl(g), g.processes.length]));
+  promMetric(
+    out,
+    "argus_gpu_processes_memory_used_bytes",
+    "gauge",
+    "GPU memory used by compute processes in total.",
+    procs.map((g) => [gl(g), g.processes.reduce((sum, pr) => sum + (Number(pr.mem_used_b) || 0), 0)])
+  );
+
+  const sensors = p.sensors?.sensors || [];
+  const sl = (s) => ({ chip: s.chip, sensor: s.key, label: s.label });
+  const byKind = (k) => sensors.filter((s) => s.kind === k).map((s) => [sl(s), s.value]);
+  promMetric(out, "argus_sensor_temperature_celsius", "gauge", "hwmon temperature sensors.", byKind("temp"));
+  promMetric(out, "argus_sensor_fan_rpm", "gauge", "hwmon fan speeds.", byKind("fan"));
+  promMetric(out, "argus_sensor_voltage_volts", "gauge", "hwmon voltages.", byKind("voltage"));
+  promMetric(out, "argus_sensor_current_amperes", "gauge", "hwmon currents.", byKind("current"));
+  promMetric(out, "argus_sensor_power_watts", "gauge", "hwmon power readings.", byKind("power"));
+
+  const arrays = p.storage_arrays?.arrays || [];
+  const al = (a) => ({ type: a.type, name: a.name, level: a.level });
+  const arrayLevel = (a) => ({ ok: 0, degraded: 1, failed: 2 })[a.health];
+  const ratio = (v) => (v != null && Number.isFinite(Number(v)) ? Number(v) / 100 : null);
+  promMetric(
+    out,
+    "argus_array_health_status",
+    "gauge",
+    "Array health: 0 ok, 1 degraded, 2 failed (md RAID, ZFS pools, multi-device btrfs).",
+    arrays.map((a) => [al(a), arrayLevel(a)])
+  );
+  promMetric(out, "argus_array_devices", "gauge", "Member devices the array expects.", arrays.map((a) => [al(a), a.devices_total]));
+  promMetric(
+    out,
+    "argus_array_devices_missing",
+    "gauge",
+    "Member devices missing or failed.",
+    arrays.map((a) => [al(a), a.devices_missing == null ? null : a.devices_missing + (a.devices_failed || 0)])
+  );
+  promMetric(out, "argus_array_errors", "gauge", "I/O and checksum errors reported for array members.", arrays.map((a) => [al(a), a.errors]));
+  promMetric(
+    out,
+    "argus_array_sync_progress_ratio",
+    "gauge",
+    "Progress of a running resync/recovery/scrub/resilver (0..1).",
+    arrays.filter((a) => a.sync?.state === "running").map((a) => [{ ...al(a), action: a.sync.action }, ratio(a.sync.progress_pct)])
+  );
+  promMetric(out, "argus_zfs_pool_size_bytes", "gauge", "ZFS pool size.", arrays.filter((a) => a.type === "zfs").map((a) => [al(a), a.size_b]));
+  promMetric(out, "argus_zfs_pool_allocated_bytes", "gauge", "ZFS pool allocated space.", arrays.filter((a) => a.type === "zfs").map((a) => [al(a), a.alloc_b]));
+  promMetric(
+    out,
+    "argus_zfs_pool_fragmentation_ratio",
+    "gauge",
+    "ZFS pool free space fragmentation (0..1).",
+    arrays.filter((a) => a.type === "zfs").map((a) => [al(a), ratio(a.fragmentation_pct)])
+  );
+
+  const drives = (p.smart?.devices || []).filter((d) => d.dev);
+  const dl = (d) => ({ device: d.dev, model: d.model });
+  const byField = (k) => drives.map((d) => [dl(d), d[k]]);
+  promMetric(
+    out,
+    "argus_smart_health_status",
+    "gauge",
+    "Drive health: 0 ok, 1 warning, 2 failed (missing when unknown).",
+    drives.map((d) => [dl(d), HEALTH_LEVELS[d.health]])
+  );
+  promMetric(out, "argus_smart_temperature_celsius", "gauge", "Drive temperature.", byField("temp_c"));
+  promMetric(out, "argus_smart_power_on_hours_total", "counter", "Drive power-on hours.", byField("power_on_hours"));
+  promMetric(out, "argus_smart_reallocated_sectors", "gauge", "Reallocated sectors (ATA) or grown defects (SCSI).", byField("reallocated_sectors"));
+  promMetric(out, "argus_smart_pending_sectors", "gauge", "Sectors pending reallocation (ATA).", byField("pending_sectors"));
+  promMetric(out, "argus_smart_percentage_used", "gauge", "NVMe endurance used (percent, may exceed 100).", byField("percentage_used"));
+  promMetric(out, "argus_smart_media_errors_total", "counter", "NVMe media and data integrity errors.", byField("media_errors"));
+
+  const st = p.speedtest || {};
+  const last = st.last || null;
+  const mbpsToBps = (v) => (Number.isFinite(Number(v)) && v != null ? Number(v) * 1e6 : null);
+  const msToS = (v) => (Number.isFinite(Number(v)) && v != null ? Number(v) / 1000 : null);
+  promMetric(out, "argus_speedtest_running", "gauge", "1 while a speedtest is running.", [[{}, st.running ? 1 : 0]]);
+  promMetric(out, "argus_speedtest_download_bits_per_second", "gauge", "Last speedtest download.", [[{}, mbpsToBps(last?.down_mbps)]]);
+  promMetric(out, "argus_speedtest_upload_bits_per_second", "gauge", "Last speedtest upload.", [[{}, mbpsToBps(last?.up_mbps)]]);
+  promMetric(out, "argus_speedtest_ping_seconds", "gauge", "Last speedtest latency.", [[{}, msToS(last?.ping_ms)]]);
+  promMetric(out, "argus_speedtest_jitter_seconds", "gauge", "Last speedtest jitter.", [[{}, msToS(last?.jitter_ms)]]);
+  promMetric(out, "argus_speedtest_last_timestamp_seconds", "gauge", "Unix time of the last speedtest.", [[{}, last?.ts ? last.ts / 1000 : null]]);
+
+  return out.join("\n") + "\n";
+}
+
+// Send Prometheus text exposition
+function sendMetrics(res) {
+  const body = buildPrometheusMetrics();
+  res.writeHead(200, {
+    "Content-Type": PROM_CONTENT_TYPE,
+    "Cache-Control": "no-store",
+    "Content-Length": Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+/* ============================================================================
+   Auth
+   - Optional; enabled when AUTH_CONFIG_FILE exists (see auth-api.js)
+   - viewer: dashboard, /stats, history, metrics; admin: mutating routes
+============================================================================ */
+
+const auth = createAuthController({
+  configFile: process.env.AUTH_CONFIG_FILE || "./data/auth.json",
+  sessionsFile: process.env.AUTH_SESSIONS_FILE || "./data/auth-sessions.json",
+});
+
+// Paths reachable without credentials (login page and the assets it needs)
+function isPublicPath(pathname) {
+  return (
+    pathname === "/health" ||
+    pathname === "/favicon.ico" ||
+    pathname === "/login.html" ||
+    pathname === "/login.js" ||
+    pathname === "/styles.css" ||
+    pathname.startsWith("/auth/") ||
+    pathname.startsWith("/img/") ||
+    pathname.startsWith("/locales/") ||
+    pathname.startsWith("/modules/")
+  );
+}
+
+// Minimum role for a path (mutating routes need admin)
+function requiredRole(pathname) {
+  if (
+    pathname === "/speedtest/run" ||
+    pathname === "/stats/speedtest/run" ||
+    pathname === "/speedtest/config" ||
+    pathname === "/stats/speedtest/config" ||
+    pathname.startsWith("/api/notify") ||
+    pathname === "/api/sensors/cpu"
+  ) {
+    return "admin";
+  }
+  return "viewer";
+}
+
+// State-changing routes: POST only, so links and prefetches cannot trigger them
+// (SameSite cookies do not cover bearer-token clients)
+function isPostOnlyPath(pathname) {
+  return [
+    "/speedtest/run",
+    "/stats/speedtest/run",
+    "/speedtest/config",
+    "/stats/speedtest/config",
+    "/api/sensors/cpu",
+    "/api/notify/test",
+  ].includes(pathname);
+}
+
+// Read a small request body as JSON or urlencoded form (null on error)
+function readBody(req, maxBytes = 16 * 1024) {
+  return new Promise((resolve) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > maxBytes) {
+        resolve(null);
+        req.destroy();
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks).toString("utf8");
+      const ct = String(req.headers["content-type"] || "");
+      try {
+        if (ct.includes("application/json")) return resolve(JSON.parse(raw || "{}"));
+        return resolve(Object.fromEntries(new URLSearchParams(raw)));
+      } catch {
+        return resolve(null);
+      }
+    });
+    req.on("error", () => resolve(null));
+  });
+}
+
+// Reject an unauthenticated request (HTML navigations go to the login page)
+function sendUnauthorized(req, res, u) {
+  const accept = String(req.headers.accept || "");
+  if (req.method === "GET" && accept.includes("text/html")) {
+    const next = encodeURIComponent(u.pathname + u.search);
+    res.writeHead(302, { Location: `/login.html?next=${next}`, "Cache-Control": "no-store" });
+    return res.end();
+  }
+  res.setHeader("WWW-Authenticate", 'Bearer realm="argussys"');
+  return sendJson(res, 401, { error: "unauthorized" });
+}
+
+// Handle /auth/* routes (login/logout/me)
+async function handleAuthRoute(req, res, pathname) {
+  if (pathname === "/auth/me") {
+    const p = auth.authenticate(req);
+    return sendJson(res, 200, {
+      enabled: auth.enabled(),
+      authenticated: !!p,
+      user: p?.user ?? null,
+      role: p?.role ?? null,
+      via: p?.via ?? null,
+    });
+  }
+
+  if (pathname === "/auth/login") {
+    if (req.method !== "POST") return sendJson(res, 405, { error: "method_not_allowed" });
+    const body = await readBody(req);
+    if (!body) return sendJson(res, 400, { error: "bad_body" });
+
+    const r = auth.login(body.username, body.password, req.socket?.remoteAddress || "");
+    if (!r.ok) {
+      const code = r.error === "too_many_attempts" ? 429 : r.error === "auth_disabled" ? 400 : 401;
+      return sendJson(res, code, { ok: false, error: r.error });
+    }
+    res.setHeader("Set-Cookie", r.cookie);
+    return sendJson(res, 200, { ok: true, user: r.principal.user, role: r.principal.role });
+  }
+
+  if (pathname === "/auth/logout") {
+    if (req.method !== "POST") return sendJson(res, 405, { error: "method_not_allowed" });
+    res.setHeader("Set-Cookie", auth.logout(req));
+    streamCheckAuth();
+    return sendJson(res, 200, { ok: true });
+  }
+
+  return sendJson(res, 404, { error: "not_found" });
+}
+
 /* ============================================================================
    Routes
 ============================================================================ */
@@ -1536,6 +3675,33 @@ const server = http.createServer(async (req, res) => {
   try {
     const u = new URL(req.url || "/", `http://${req.headers.host || "localhost"}`);
 
+    if (u.pathname.startsWith("/auth/")) {
+      return await handleAuthRoute(req, res, u.pathname);
+    }
+
+    const principal = auth.authenticate(req);
+    if (!isPublicPath(u.pathname)) {
+      if (!principal) {
+        if (auth.basicBlocked(req)) return sendJson(res, 429, { error: "too_many_attempts" });
+        return sendUnauthorized(req, res, u);
+      }
+      const need = requiredRole(u.pathname);
+      if (!roleAtLeast(principal, need)) return sendJson(res, 403, { error: "forbidden", required_role: need });
+    }
+
+    if (isPostOnlyPath(u.pathname)) {
+      if (req.method !== "POST") {
+        res.setHeader("Allow", "POST");
+        return sendJson(res, 405, { error: "method_not_allowed" });
+      }
+      // Parameters come from the query string or the body (form / JSON)
+      const body = await readBody(req);
+      if (!body) return sendJson(res, 400, { error: "bad_body" });
+      for (const [k, v] of Object.entries(body)) {
+        if (v != null && !u.searchParams.has(k)) u.searchParams.set(k, String(v));
+      }
+    }
+
     if (req.method === "GET" && u.pathname === "/stats/speedtest/history") {
       const snap = speedtest.snapshot();
       sendJson(res, 200, {
@@ -1591,186 +3757,84 @@ const server = http.createServer(async (req, res) => {
       }
     }
 
-    if (pathname === "/stats") {
-      const mem = memBytes();
-      const cpu_util_pct = cpuUtilPct();
-      const cpu = cpuSummary();
-      const gpu = gpuSummary();
-      const g0 = gpu?.primary || null;
-
-      const net = netSummary();
-      const netSpeed = netSpeedSample();
-      const uptime_s = os.uptime();
-
-      const system = systemInfoCached();
-      const ident = systemIdentity();
-      const bios = biosInfo();
-      const battery = batteryInfo();
-
-      const disks = disksCached();
-
-      const ioNow = diskIoSpeedsNow();
-      for (const d of Object.values(disks)) {
-        if (!d || d.error) continue;
-        const mm = d.major_minor;
-        const s = mm ? ioNow.get(mm) : null;
-        d.read_bps = s ? s.read_bps : 0;
-        d.write_bps = s ? s.write_bps : 0;
-      }
+    if (pathname === "/metrics") {
+      return sendMetrics(res);
+    }
 
-      const flat = {
-        mem_total: mem.total,
-        mem_free: mem.available,
-        mem_used: mem.used,
-        mem_swap_total: mem.swap_total,
-        mem_swap_free: mem.swap_free,
-        mem_swap_used: mem.swap_used,
-
-        cpu_model: cpu.model ?? null,
-        cpu_cores: cpu.cores,
-        cpu_load1: cpu.load1,
-        cpu_load5: cpu.load5,
-        cpu_load15: cpu.load15,
-        cpu_base_ghz: cpu.base_ghz ?? null,
-        cpu_util_pct,
-        cpu_temp_c: cpu.temp_c ?? null,
-
-        uptime_s,
-        net_iface: net.iface,
-        net_ip: net.ip,
-        net_down_bps: netSpeed.down_bps,
-        net_up_bps: netSpeed.up_bps,
-
-        gpu_name: g0?.name ?? null,
-        gpu_temp_c: g0?.temp_c ?? null,
-        gpu_util_pct: g0?.util_pct ?? null,
-        gpu_mem_total: g0?.mem_total_b ?? null,
-        gpu_mem_used: g0?.mem_used_b ?? null,
-        gpu_mem_free: g0?.mem_free_b ?? null,
-        gpu_power_w: g0?.power_w ?? null,
-        gpu_power_limit_w: g0?.power_limit_w ?? null,
-        gpu_count: gpu?.count ?? 0,
-      };
-
-      for (const [k, d] of Object.entries(disks)) {
-        if (d && !d.error) {
-          flat[`disk_${k}_total`] = d.total;
-          flat[`disk_${k}_free`] = d.free;
-          flat[`disk_${k}_used`] = d.used;
-          flat[`disk_${k}_read_bps`] = d.read_bps ?? 0;
-          flat[`disk_${k}_write_bps`] = d.write_bps ?? 0;
-        } else {
-          flat[`disk_${k}_error`] = d?.error || "unknown";
-        }
-      }
+    if (pathname === "/stats/stream") {
+      return openStatsStream(
+        req,
+        res,
+        (u.searchParams.get("since") || "").trim(),
+        u.searchParams.get("interval"),
+        principal
+      );
+    }
+
+    if (pathname === "/api/history") {
+      const r = queryHistory(u.searchParams);
+      return sendJson(res, r.status, r.body);
+    }
+
+    if (pathname === "/api/alerts") {
+      return sendJson(res, 200, alerts.snapshot());
+    }
+
+    if (pathname === "/api/sensors") {
+      return sendJson(res, 200, { ...sensorsCtl.snapshot(sensorsCached()), collector: sensorsCollector.status() });
+    }
 
-      const cpuLine =
-        `Cores: ${cpu.cores} | ` +
-        `Load: ${cpu.load1.toFixed(2)} / ${cpu.load5.toFixed(2)} / ${cpu.load15.toFixed(2)}` +
-        (cpu.temp_c != null ? ` | Temp: ${cpu.temp_c.toFixed(1)}°C` : "");
-
-      const gpuLine = (() => {
-        if (!gpu) return "GPU: n/a";
-        if (gpu.error) return `GPU: error (${gpu.error})`;
-        if (!gpu.primary) return "GPU: none";
-
-        const g = gpu.primary;
-        const memUsed = Number.isFinite(g.mem_used_b) ? formatBytes(g.mem_used_b) : "n/a";
-        const memTot = Number.isFinite(g.mem_total_b) ? formatBytes(g.mem_total_b) : "n/a";
-        const util = Number.isFinite(g.util_pct) ? `${g.util_pct.toFixed(0)}%` : "n/a";
-        const temp = Number.isFinite(g.temp_c) ? `${g.temp_c.toFixed(0)}°C` : "n/a";
-        const pwr = Number.isFinite(g.power_w) ? `${g.power_w.toFixed(0)}W` : "n/a";
-        const lim = Number.isFinite(g.power_limit_w) ? `${g.power_limit_w.toFixed(0)}W` : "n/a";
-
-        return `${g.name || "GPU"} | Util: ${util} | VRAM: ${memUsed} / ${memTot} | Temp: ${temp} | Pwr: ${pwr}/${lim}`;
-      })();
-
-      const netLine = `IF: ${net.iface || "n/a"} | IP: ${net.ip || "n/a"}`;
-      const netSpeedLine = `↓ ${formatRate(netSpeed.down_bps)} | ↑ ${formatRate(netSpeed.up_bps)}`;
-      const uptimeLine = formatDuration(uptime_s);
-      const ramLine = `Free: ${formatBytes(mem.available)} | Used: ${formatBytes(mem.used)} | Total: ${formatBytes(mem.total)}`;
-
-      const st = speedtest.snapshot();
-      const diskLines = {};
-      for (const p of DISK_PATHS) {
-        const k = keyify(p);
-        const d = disks[k];
-        diskLines[`disk_${k}_line`] =
-          !d || d.error
-            ? `${p}: error`
-            : `Free: ${formatBytes(d.free)} | Used: ${formatBytes(d.used)} | Total: ${formatBytes(d.total)}`;
+    if (pathname === "/api/traffic") {
+      return sendJson(res, 200, traffic.snapshot({ detail: true }));
+    }
+
+    if (pathname === "/api/containers") {
+      return sendJson(res, 200, { ...containersCached(), collector: containersCollector.status() });
+    }
+
+    if (pathname === "/api/processes") {
+      const sort = (u.searchParams.get("sort") || "cpu").trim().toLowerCase();
+      if (!PROCESS_SORTS.includes(sort)) return sendJson(res, 400, { error: "bad_sort", available: PROCESS_SORTS });
+      const limit = clamp(Math.floor(Number(u.searchParams.get("limit") || 20)) || 20, 1, 500);
+      const { processes, ...meta } = processesCached();
+      return sendJson(res, 200, { ...meta, sort, limit, processes: processesForPrincipal(topProcesses(processes, { sort, limit }), principal), collector: processCollector.status() });
+    }
+
+    if (pathname === "/api/smart") {
+      return sendJson(res, 200, { ...smartForPrincipal(smartCached(), principal), collector: smartCollector.status() });
+    }
+
+    if (pathname === "/api/sensors/cpu") {
+      const key = (u.searchParams.get("sensor") || "").trim();
+      if (key && !sensorsCached().some((x) => x.key === key && x.kind === "temp")) {
+        return sendJson(res, 400, { error: "unknown_sensor" });
       }
+      sensorsCtl.setCpuSensor(key);
+      return sendJson(res, 200, sensorsCtl.snapshot(sensorsCached()));
+    }
 
-      return sendJson(res, 200, {
-        ts: Date.now(),
-
-        history: {
-          v: history.v,
-          sample_ms: history.sampleMs,
-          max_min: history.maxMin,
-          ts: history.ts,
-
-          cpu1: history.cpu1,
-          cpu5: history.cpu5,
-          cpu15: history.cpu15,
-          cpu_util: history.cpu_util,
-
-          gpu_util: history.gpu_util,
-          vram_used_b: history.vram_used_b,
-
-          ram_used_b: history.ram_used_b,
-          ram_free_b: history.ram_free_b,
-          swap_used_b: history.swap_used_b,
-
-          net_down_bps: history.net_down_bps,
-          net_up_bps: history.net_up_bps,
-        },
-
-        system,
-        bios,
-        battery,
-        ident,
-
-        system_distro: system?.distro ?? null,
-        system_kernel: system?.kernel ?? null,
-        system_arch: system?.arch ?? null,
-        system_hostname: system?.hostname ?? null,
-        system_desktop: system?.desktop ?? null,
-        system_session_type: system?.session_type ?? null,
-        system_display_server: system?.display_server ?? null,
-
-        cpu,
-        mem,
-        net,
-        gpu,
-
-        cpu_util_pct,
-        uptime_s,
-        disks,
-
-        ...flat,
-
-        speedtest: st,
-        speedtest_last: st.last,
-        speedtest_last_error: st.last_error,
-        speedtest_interval_min: st.interval_min,
-        speedtest_next_run_ts: st.next_run_ts,
-        speedtest_running: st.running,
-
-        cpu_line: cpuLine,
-        net_line: netLine,
-        net_speed_line: netSpeedLine,
-        uptime_line: uptimeLine,
-        ram_line: ramLine,
-        gpu_line: gpuLine,
-
-        ...diskLines,
-      });
+    if (pathname === "/api/notify") {
+      return sendJson(res, 200, notifier.snapshot());
+    }
+
+    if (pathname === "/api/notify/test") {
+      return sendJson(res, 200, await notifier.test((u.searchParams.get("name") || "").trim()));
+    }
+
+    if (pathname === "/stats/history") {
+      const minutes = Number(u.searchParams.get("minutes") || "");
+      if (!Number.isFinite(minutes) || minutes <= 0) return sendJson(res, 400, { error: "bad_minutes" });
+      return sendJson(res, 200, historyWindow(minutes));
+    }
+
+    if (pathname === "/stats") {
+      return sendJson(res, 200, statsPayloadSince((u.searchParams.get("since") || "").trim(), principal));
     }
 
     if (
       pathname === "/" ||
       pathname === "/index.html" ||
+      pathname === "/login.html" ||
       pathname === "/styles.css" ||
       pathname === "/app.js" ||
       pathname.endsWith(".css") ||
@@ -1812,7 +3876,25 @@ const server = http.createServer(async (req, res) => {
    Startup
 ============================================================================ */
 
+// Start collectors and give them a moment so the first /stats is complete (bounded)
+await Promise.race([
+  Promise.allSettled(collectors.map((c) => c.start())),
+  new Promise((r) => setTimeout(r, Math.min(3000, COLLECTOR_TIMEOUT_MS))),
+]);
+
 // Start listening on all interfaces
 server.listen(PORT, "0.0.0.0", () => {
   console.log(`stats-api listening on :${PORT}`);
 });
+
+// Persist history on shutdown (docker stop / Ctrl+C)
+for (const sig of ["SIGTERM", "SIGINT"]) {
+  process.once(sig, () => {
+    try {
+      flushHistoryToDisk(true);
+      rollups.flush();
+      traffic.flush();
+    } catch {}
+    process.exit(0);
+  });
+}
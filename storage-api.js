@@ -0,0 +1,393 @@
+import fs from "node:fs";
+import path from "node:path";
+import { execFileText } from "./collector-api.js";
+
+/* ============================================================
+   Utils
+   - Small helpers used across the module
+============================================================ */
+
+// Read a file as trimmed text (null when missing/unreadable)
+async function readText(p) {
+  try {
+    return (await fs.promises.readFile(p, "utf8")).trim();
+  } catch {
+    return null;
+  }
+}
+
+// List a directory (empty when missing)
+async function listDir(p) {
+  try {
+    return await fs.promises.readdir(p);
+  } catch {
+    return [];
+  }
+}
+
+// Return a finite number or null
+function num(v) {
+  const n = Number(v);
+  return v != null && v !== "" && v !== "-" && Number.isFinite(n) ? n : null;
+}
+
+// Parse a zpool error counter ("0", "12", "1.2K", "3M")
+function parseCount(v) {
+  const m = String(v || "").match(/^(\d+(?:\.\d+)?)([KMGT])?$/i);
+  if (!m) return null;
+  const mul = { K: 1e3, M: 1e6, G: 1e9, T: 1e12 }[String(m[2] || "").toUpperCase()] || 1;
+  return Math.round(Number(m[1]) * mul);
+}
+
+// Worst of several health values (ok < degraded < failed)
+function worstHealth(list) {
+  const rank = { ok: 0, unknown: 1, degraded: 2, failed: 3 };
+  return list.reduce((a, b) => ((rank[b] ?? 1) > (rank[a] ?? 1) ? b : a), "ok");
+}
+
+/* ============================================================
+   md RAID (/proc/mdstat)
+   - Header: "md0 : active raid1 sdb1[1] sda1[0](F)"
+   - Status: "[2/1] [U_]" (expected/working members)
+   - Sync:   "recovery = 12.6% (...) finish=120.5min speed=100000K/sec", "resync=DELAYED"
+============================================================ */
+
+const MD_FLAGS = { F: "failed", S: "spare", W: "write_mostly", R: "replacement", J: "journal" };
+
+// Parse one member token "sda1[0](F)"
+function parseMdMember(tok) {
+  const m = tok.match(/^(.+?)\[(\d+)\]((?:\([A-Z]\))*)$/);
+  if (!m) return null;
+  const flags = [...m[3].matchAll(/\(([A-Z])\)/g)].map((x) => MD_FLAGS[x[1]] || x[1]);
+  const state = flags.includes("failed") ? "failed" : flags.includes("spare") ? "spare" : "active";
+  return { name: m[1], slot: Number(m[2]), state, flags };
+}
+
+// Parse the sync/rebuild line (null when idle)
+function parseMdSync(line) {
+  const pending = line.match(/\b(resync|recovery|check|reshape|repair)\s*=\s*(DELAYED|PENDING)\b/);
+  if (pending) return { action: pending[1], state: pending[2].toLowerCase(), progress_pct: null, eta_min: null, speed_kbps: null };
+
+  const m = line.match(/\b(resync|recovery|check|reshape|repair)\s*=\s*([\d.]+)%/);
+  if (!m) return null;
+  return {
+    action: m[1],
+    state: "running",
+    progress_pct: num(m[2]),
+    eta_min: num(line.match(/finish=([\d.]+)min/)?.[1]),
+    speed_kbps: num(line.match(/speed=(\d+)K\/sec/)?.[1]),
+  };
+}
+
+// Parse /proc/mdstat into arrays
+export function parseMdstat(txt) {
+  const arrays = [];
+  let cur = null;
+
+  for (const raw of String(txt || "").split("\n")) {
+    const line = raw.trim();
+    const head = raw.match(/^(md\S*)\s*:\s*(\S+)\s*(.*)$/);
+
+    if (head) {
+      const toks = head[3].split(/\s+/).filter(Boolean);
+      const readOnly = /^\((auto-)?read-only\)$/.test(toks[0] || "") ? toks.shift().slice(1, -1) : null;
+      const level = toks[0] && !toks[0].includes("[") ? toks.shift() : null;
+      const members = toks.map(parseMdMember).filter(Boolean);
+
+      cur = {
+        type: "md",
+        name: head[1],
+        state: head[2],
+        read_only: readOnly,
+        level,
+        size_b: null,
+        devices_total: null,
+        devices_active: null,
+        members,
+        sync: null,
+      };
+      arrays.push(cur);
+      continue;
+    }
+
+    if (!cur || !line) {
+      if (!line) cur = null;
+      continue;
+    }
+
+    const blocks = line.match(/^(\d+)\s+blocks\b/);
+    if (blocks) cur.size_b = Number(blocks[1]) * 1024;
+
+    const st = line.match(/\[(\d+)\/(\d+)\]\s+\[([U_]+)\]/);
+    if (st) {
+      cur.devices_total = Number(st[1]);
+      cur.devices_active = Number(st[2]);
+    }
+
+    const sync = parseMdSync(line);
+    if (sync) cur.sync = sync;
+  }
+
+  for (const a of arrays) {
+    const failed = a.members.filter((m) => m.state === "failed").length;
+    const missing = a.devices_total != null && a.devices_active != null ? a.devices_total - a.devices_active : 0;
+    a.devices_failed = failed;
+    a.devices_missing = Math.max(0, missing);
+    if (a.state === "inactive") a.health = "failed";
+    else if (failed || missing > 0) a.health = "degraded";
+    else a.health = "ok";
+  }
+
+  return arrays;
+}
+
+/* ============================================================
+   ZFS (zpool list / zpool status)
+   - zpool list -H -p -o name,size,allocated,free,fragmentation,capacity,health
+   - zpool status -p: state, scan line and the vdev tree with READ/WRITE/CKSUM errors
+     (logs / cache / spares / special / dedup vdevs carry their section name)
+============================================================ */
+
+const ZPOOL_LIST_COLS = ["name", "size", "allocated", "free", "fragmentation", "capacity", "health"];
+
+// ZFS state -> health
+function zfsHealth(state) {
+  const s = String(state || "").toUpperCase();
+  if (s === "ONLINE") return "ok";
+  if (s === "DEGRADED" || s === "OFFLINE" || s === "REMOVED") return "degraded";
+  if (s === "FAULTED" || s === "UNAVAIL" || s === "SUSPENDED") return "failed";
+  return "unknown";
+}
+
+// Parse `zpool list -H -p -o ...` (tab-separated, exact numbers)
+export function parseZpoolList(txt) {
+  const out = new Map();
+  for (const line of String(txt || "").split("\n")) {
+    const cols = line.split("\t");
+    if (cols.length < ZPOOL_LIST_COLS.length) continue;
+    const [name, size, alloc, free, frag, cap, health] = cols;
+    out.set(name, {
+      size_b: num(size),
+      alloc_b: num(alloc),
+      free_b: num(free),
+      fragmentation_pct: num(String(frag).replace("%", "")),
+      capacity_pct: num(String(cap).replace("%", "")),
+      state: health,
+    });
+  }
+  return out;
+}
+
+// Parse the "scan:" text of one pool
+function parseZfsScan(txt) {
+  const s = String(txt || "").replace(/\s+/g, " ").trim();
+  if (!s || /^none requested/.test(s)) return null;
+
+  const kind = /resilver/.test(s) ? "resilver" : "scrub";
+  if (/in progress/.test(s)) {
+    return {
+      action: kind,
+      state: "running",
+      progress_pct: num(s.match(/([\d.]+)% done/)?.[1]),
+      eta: s.match(/(\S+) to go/)?.[1] || null,
+      errors: null,
+      finished: null,
+    };
+  }
+  if (/canceled/.test(s)) {
+    return { action: kind, state: "canceled", progress_pct: null, eta: null, errors: null, finished: s.match(/canceled on (.+)$/)?.[1] || null };
+  }
+  return {
+    action: kind,
+    state: "finished",
+    progress_pct: 100,
+    eta: null,
+    errors: num(s.match(/with (\d+) errors/)?.[1]),
+    finished: s.match(/ on (.+)$/)?.[1] || null,
+  };
+}
+
+// Parse `zpool status -p` for all pools
+export function parseZpoolStatus(txt) {
+  const pools = [];
+  const blocks = String(txt || "").split(/^\s*pool:\s*/m).slice(1);
+
+  for (const block of blocks) {
+    const lines = block.split("\n");
+    const pool = { name: lines[0].trim(), state: null, status: null, scan: null, vdevs: [], errors_text: null };
+
+    // "key: value" sections; continuation lines start with whitespace
+    const fields = {};
+    let key = null;
+    let inConfig = false;
+    let section = null;
+    for (const l of lines.slice(1)) {
+      const kv = l.match(/^\s*(state|status|action|scan|see|config|errors):\s?(.*)$/);
+      if (kv) {
+        key = kv[1];
+        inConfig = key === "config";
+        fields[key] = kv[2];
+        continue;
+      }
+      if (inConfig) {
+        const sec = l.match(/^\t(logs|cache|spares|special|dedup)\s*$/);
+        if (sec) {
+          section = sec[1];
+          continue;
+        }
+        // "\t<2 spaces per level>name  STATE  READ WRITE CKSUM  [note]" (spares have no counters)
+        const m = l.match(/^\t( *)(\S+)\s+([A-Z]+)(?:\s+(\d[\d.]*[KMGT]?)\s+(\d[\d.]*[KMGT]?)\s+(\d[\d.]*[KMGT]?))?\s*(.*)$/);
+        if (m && m[2] !== "NAME") {
+          pool.vdevs.push({
+            name: m[2],
+            depth: Math.floor(m[1].length / 2),
+            state: m[3],
+            read: parseCount(m[4]),
+            write: parseCount(m[5]),
+            cksum: parseCount(m[6]),
+            note: m[7].trim() || null,
+            section,
+          });
+        }
+        continue;
+      }
+      if (key && /^\s+\S/.test(l)) fields[key] += ` ${l.trim()}`;
+    }
+
+    pool.state = (fields.state || "").trim() || null;
+    pool.status = (fields.status || "").trim() || null;
+    pool.scan = parseZfsScan(fields.scan);
+    pool.errors_text = (fields.errors || "").trim() || null;
+    pools.push(pool);
+  }
+
+  return pools;
+}
+
+// Merge list + status into array entries
+function zfsArrays(listTxt, statusTxt) {
+  const list = parseZpoolList(listTxt);
+  const status = new Map(parseZpoolStatus(statusTxt).map((p) => [p.name, p]));
+  const names = new Set([...list.keys(), ...status.keys()]);
+
+  return [...names].map((name) => {
+    const l = list.get(name) || {};
+    const s = status.get(name) || { vdevs: [] };
+    const state = s.state || l.state || null;
+    // Row 0 is the pool itself; members are the rest of the tree
+    const members = s.vdevs.slice(1).map((v) => ({ ...v, depth: Math.max(0, v.depth - 1) }));
+    const errors = s.vdevs.reduce((a, v) => a + (v.read || 0) + (v.write || 0) + (v.cksum || 0), 0);
+
+    return {
+      type: "zfs",
+      name,
+      state,
+      health: zfsHealth(state),
+      level: members.find((m) => m.depth === 0 && /^(mirror|raidz\d?|draid)/.test(m.name))?.name.replace(/-\d+$/, "") || null,
+      size_b: l.size_b ?? null,
+      alloc_b: l.alloc_b ?? null,
+      free_b: l.free_b ?? null,
+      capacity_pct: l.capacity_pct ?? null,
+      fragmentation_pct: l.fragmentation_pct ?? null,
+      errors,
+      errors_text: s.errors_text || null,
+      status_text: s.status || null,
+      members,
+      sync: s.scan,
+    };
+  });
+}
+
+/* ============================================================
+   btrfs (multi-device filesystems)
+   - <sys>/fs/btrfs/<fsid>/devinfo/<devid>/missing, error_stats
+   - Profile from allocation/data/<profile> (raid1, raid10, raid5, ...)
+   - Members are labelled "devid N": sysfs does not link a devid to its block device
+     (devices/ name order is not devid order after a replace or add)
+============================================================ */
+
+const BTRFS_PROFILES = ["raid0", "raid1", "raid1c3", "raid1c4", "raid10", "raid5", "raid6", "dup", "single"];
+
+// Read btrfs filesystems spanning more than one device
+async function btrfsArrays(sysRoot) {
+  const base = path.join(sysRoot, "fs/btrfs");
+  const out = [];
+
+  for (const fsid of await listDir(base)) {
+    if (!/^[0-9a-f-]{36}$/.test(fsid)) continue;
+    const dir = path.join(base, fsid);
+    const devIds = await listDir(path.join(dir, "devinfo"));
+    if (devIds.length < 2) continue;
+
+    const profiles = (await listDir(path.join(dir, "allocation/data"))).filter((p) => BTRFS_PROFILES.includes(p));
+
+    let errors = 0;
+    const members = [];
+    for (const id of devIds.sort((a, b) => Number(a) - Number(b))) {
+      const d = path.join(dir, "devinfo", id);
+      const missing = (await readText(path.join(d, "missing"))) === "1";
+      let devErrors = 0;
+      for (const line of ((await readText(path.join(d, "error_stats"))) || "").split("\n")) {
+        const v = num(line.split(/\s+/)[1]);
+        if (v != null) devErrors += v;
+      }
+      errors += devErrors;
+      members.push({ name: `devid ${id}`, state: missing ? "missing" : "active", errors: devErrors });
+    }
+
+    const missing = members.filter((m) => m.state === "missing").length;
+    out.push({
+      type: "btrfs",
+      name: (await readText(path.join(dir, "label"))) || fsid.slice(0, 8),
+      uuid: fsid,
+      state: missing ? "degraded" : "ok",
+      health: missing ? "degraded" : "ok",
+      level: profiles.filter((p) => p !== "single").join("+") || profiles[0] || null,
+      devices_total: members.length,
+      devices_missing: missing,
+      errors,
+      members,
+      sync: null,
+    });
+  }
+
+  return out;
+}
+
+/* ============================================================
+   Collection
+   - zpool is only called when the zfs module is loaded
+   - Returns { arrays, degraded, errors: { md?, zfs?, btrfs? } }
+============================================================ */
+
+// Read md, ZFS and btrfs arrays
+export async function readStorageArrays({ procRoot = "/proc", sysRoot = "/sys", timeoutMs = 5000 } = {}) {
+  const arrays = [];
+  const errors = {};
+
+  const mdstat = await readText(path.join(procRoot, "mdstat"));
+  if (mdstat) arrays.push(...parseMdstat(mdstat));
+
+  const zfsLoaded = fs.existsSync(path.join(sysRoot, "module/zfs")) || fs.existsSync(path.join(procRoot, "spl/kstat/zfs"));
+  if (zfsLoaded) {
+    try {
+      const opts = { timeoutMs };
+      const [listTxt, statusTxt] = await Promise.all([
+        execFileText("zpool", ["list", "-H", "-p", "-o", ZPOOL_LIST_COLS.join(",")], opts),
+        execFileText("zpool", ["status", "-p"], opts),
+      ]);
+      arrays.push(...zfsArrays(listTxt, statusTxt));
+    } catch (e) {
+      errors.zfs = e?.code === "ENOENT" ? "zpool not found" : String(e?.message || e);
+    }
+  }
+
+  try {
+    arrays.push(...(await btrfsArrays(sysRoot)));
+  } catch (e) {
+    errors.btrfs = String(e?.message || e);
+  }
+
+  const degraded = arrays.filter((a) => a.health === "degraded" || a.health === "failed").length;
+  return { health: worstHealth(arrays.map((a) => a.health)), degraded, arrays, errors };
+}
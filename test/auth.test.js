@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { createAuthController, hashPassword } from "../auth-api.js";
+import { tmpDir } from "./helpers.js";
+
+// Minimal request stand-in for authenticate()
+function req(authorization, remoteAddress = "10.0.0.1") {
+  return { headers: authorization ? { authorization } : {}, socket: { remoteAddress } };
+}
+
+// Basic header for username:password
+function basic(user, pass) {
+  return `Basic ${Buffer.from(`${user}:${pass}`).toString("base64")}`;
+}
+
+// Auth controller over a temporary config with one admin user
+function setup() {
+  const tmp = tmpDir();
+  const configFile = path.join(tmp.dir, "auth.json");
+  fs.writeFileSync(configFile, JSON.stringify({ users: [{ username: "admin", password_hash: hashPassword("secret", { N: 1024 }), role: "admin" }] }));
+  const auth = createAuthController({ configFile, sessionsFile: path.join(tmp.dir, "sessions.json") });
+  return { auth, cleanup: tmp.cleanup };
+}
+
+test("Basic auth accepts valid credentials", () => {
+  const { auth, cleanup } = setup();
+  try {
+    assert.deepEqual(auth.authenticate(req(basic("admin", "secret"))), { user: "admin", role: "admin", via: "basic" });
+    assert.equal(auth.basicBlocked(req(basic("admin", "secret"))), false);
+  } finally {
+    cleanup();
+  }
+});
+
+test("failed Basic checks lock the address out like failed logins", () => {
+  const { auth, cleanup } = setup();
+  try {
+    for (let i = 0; i < 10; i++) assert.equal(auth.authenticate(req(basic("admin", `wrong${i}`))), null);
+    assert.equal(auth.basicBlocked(req(basic("admin", "other"))), true);
+    assert.equal(auth.login("admin", "secret", "10.0.0.1").error, "too_many_attempts");
+
+    // Other addresses are not affected
+    assert.equal(auth.basicBlocked(req(basic("admin", "other"), "10.0.0.2")), false);
+    assert.equal(auth.authenticate(req(basic("admin", "secret"), "10.0.0.2"))?.role, "admin");
+  } finally {
+    cleanup();
+  }
+});
+
+test("a repeated wrong Basic header is answered from the cache", () => {
+  const { auth, cleanup } = setup();
+  try {
+    for (let i = 0; i < 20; i++) assert.equal(auth.authenticate(req(basic("admin", "wrong"))), null);
+    assert.equal(auth.basicBlocked(req(basic("admin", "wrong"))), false);
+  } finally {
+    cleanup();
+  }
+});
@@ -0,0 +1,131 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { createContainerTracker, dockerGet, parseBlkio, parseIoStat } from "../containers-api.js";
+import { tmpDir } from "./helpers.js";
+
+const ID = "a".repeat(64);
+const STOPPED = "c".repeat(64);
+
+// Write cgroup v2 counters of one container scope
+function writeScope(dir, { usec, mem, rbytes }) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, "cpu.stat"), `usage_usec ${usec}\nuser_usec 1\nsystem_usec 1\n`);
+  fs.writeFileSync(path.join(dir, "memory.current"), `${mem}\n`);
+  fs.writeFileSync(path.join(dir, "memory.max"), "max\n");
+  fs.writeFileSync(path.join(dir, "memory.stat"), "anon 1000\ninactive_file 1048576\n");
+  fs.writeFileSync(path.join(dir, "io.stat"), `8:0 rbytes=${rbytes} wbytes=4096 rios=10 wios=2 dbytes=0 dios=0\n`);
+  fs.writeFileSync(path.join(dir, "pids.current"), "7\n");
+}
+
+// Docker Engine API stand-in on a unix socket; counts inspect calls
+async function fakeDocker(sock, list) {
+  const calls = { inspect: 0 };
+  const server = http.createServer((req, res) => {
+    if (req.url.startsWith("/containers/json")) return res.end(JSON.stringify(list()));
+    const m = req.url.match(/^\/containers\/([0-9a-f]+)\/json$/);
+    if (m) {
+      calls.inspect++;
+      return res.end(JSON.stringify({ RestartCount: m[1] === STOPPED ? 4 : 1, State: { StartedAt: "2026-10-19T10:00:00Z", Health: { Status: "healthy" } } }));
+    }
+    res.statusCode = 404;
+    res.end("{}");
+  });
+  await new Promise((r) => server.listen(sock, r));
+  return { calls, close: () => new Promise((r) => server.close(r)) };
+}
+
+test("parseIoStat sums every device of io.stat", () => {
+  const txt = "8:0 rbytes=1000 wbytes=2000 rios=3 wios=4 dbytes=0 dios=0\n259:0 rbytes=10 wbytes=20 rios=1 wios=1\n";
+  assert.deepEqual(parseIoStat(txt), { read_b: 1010, write_b: 2020, read_ops: 4, write_ops: 5 });
+  assert.deepEqual(parseIoStat(""), { read_b: 0, write_b: 0, read_ops: 0, write_ops: 0 });
+});
+
+test("parseBlkio sums Read/Write lines and ignores totals", () => {
+  const bytes = "8:0 Read 4096\n8:0 Write 8192\n8:0 Sync 0\n8:0 Async 12288\n8:0 Total 12288\nTotal 12288\n";
+  const ops = "8:0 Read 1\n8:0 Write 2\n8:0 Total 3\nTotal 3\n";
+  assert.deepEqual(parseBlkio(bytes, ops), { read_b: 4096, write_b: 8192, read_ops: 1, write_ops: 2 });
+});
+
+test("dockerGet rejects non-200 answers", async () => {
+  const tmp = tmpDir();
+  const docker = await fakeDocker(path.join(tmp.dir, "docker.sock"), () => []);
+  try {
+    await assert.rejects(dockerGet(path.join(tmp.dir, "docker.sock"), "/nope"), /HTTP 404/);
+  } finally {
+    await docker.close();
+    tmp.cleanup();
+  }
+});
+
+test("createContainerTracker joins cgroup usage with Docker names and caches inspect", async () => {
+  const tmp = tmpDir();
+  const root = path.join(tmp.dir, "cgroup");
+  const scope = path.join(root, "system.slice", `docker-${ID}.scope`);
+  fs.mkdirSync(root, { recursive: true });
+  fs.writeFileSync(path.join(root, "cgroup.controllers"), "cpu io memory pids\n");
+  writeScope(scope, { usec: 1_000_000, mem: 3 * 1048576, rbytes: 0 });
+
+  let uptime = "Up 3 seconds";
+  const sock = path.join(tmp.dir, "docker.sock");
+  const docker = await fakeDocker(sock, () => [
+    { Id: ID, Names: ["/web"], Image: "nginx:1", State: "running", Status: `${uptime} (healthy)` },
+    { Id: STOPPED, Names: ["/old"], Image: "busybox", State: "exited", Status: "Exited (1) 3 hours ago" },
+  ]);
+
+  try {
+    const tracker = createContainerTracker({ cgroupRoot: () => root, dockerSocket: () => sock });
+    const first = await tracker.sample();
+    assert.equal(first.cgroup, "v2");
+    assert.equal(first.docker.available, true);
+    assert.equal(first.total, 2);
+    assert.equal(first.running, 1);
+
+    const web = first.containers.find((c) => c.name === "web");
+    assert.equal(web.image, "nginx:1");
+    assert.equal(web.runtime, "docker");
+    assert.equal(web.mem_used_b, 2 * 1048576);
+    assert.equal(web.mem_limit_b, null);
+    assert.equal(web.pids, 7);
+    assert.equal(web.health, "healthy");
+    assert.equal(web.cpu_pct, null);
+
+    const old = first.containers.find((c) => c.name === "old");
+    assert.equal(old.restart_count, 4);
+    assert.equal(old.mem_used_b, null);
+
+    // Uptime text changes between samples; inspect must not be repeated
+    await new Promise((r) => setTimeout(r, 200));
+    uptime = "Up 5 seconds";
+    writeScope(scope, { usec: 1_100_000, mem: 3 * 1048576, rbytes: 1_000_000 });
+    const second = await tracker.sample();
+    const web2 = second.containers.find((c) => c.name === "web");
+    assert.ok(web2.cpu_pct > 0);
+    assert.ok(web2.io_read_bps > 0);
+    assert.equal(docker.calls.inspect, 2);
+  } finally {
+    await docker.close();
+    tmp.cleanup();
+  }
+});
+
+test("createContainerTracker reports a failing socket without dropping cgroup data", async () => {
+  const tmp = tmpDir();
+  const root = path.join(tmp.dir, "cgroup");
+  fs.mkdirSync(root, { recursive: true });
+  fs.writeFileSync(path.join(root, "cgroup.controllers"), "cpu io memory pids\n");
+  writeScope(path.join(root, "docker", ID), { usec: 5, mem: 1048576, rbytes: 0 });
+
+  try {
+    const s = await createContainerTracker({ cgroupRoot: () => root, dockerSocket: () => path.join(tmp.dir, "missing.sock") }).sample();
+    assert.equal(s.docker.available, false);
+    assert.ok(s.docker.error);
+    assert.equal(s.total, 1);
+    assert.equal(s.containers[0].runtime, "docker");
+    assert.equal(s.containers[0].name, ID.slice(0, 12));
+  } finally {
+    tmp.cleanup();
+  }
+});
@@ -0,0 +1,92 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { decodeThrottleReasons, readNvidiaGpus, readNvidiaProcesses } from "../gpu-api.js";
+import { tmpDir } from "./helpers.js";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+// Fake nvidia-smi on PATH answering from the CSV fixtures
+let tmp;
+let oldPath;
+before(() => {
+  tmp = tmpDir();
+  const bin = path.join(tmp.dir, "nvidia-smi");
+  fs.writeFileSync(
+    bin,
+    `#!/bin/sh
+case "$1" in
+  -L) echo "GPU 0: fake (UUID: GPU-fake)"; exit 0;;
+  --query-compute-apps=*) cat "${FIXTURES}/nvidia-smi-apps.csv"; exit 0;;
+  *uuid*) cat "${FIXTURES}/nvidia-smi-gpus.csv"; exit 0;;
+  *) cat "${FIXTURES}/nvidia-smi-gpus-base.csv"; exit 0;;
+esac
+`,
+    { mode: 0o755 }
+  );
+  oldPath = process.env.PATH;
+  process.env.PATH = `${tmp.dir}:${oldPath}`;
+});
+after(() => {
+  process.env.PATH = oldPath;
+  tmp.cleanup();
+});
+
+test("decodeThrottleReasons maps NVML bits to names", () => {
+  assert.deepEqual(decodeThrottleReasons("0x0000000000000000"), []);
+  assert.deepEqual(decodeThrottleReasons("0x0000000000000004"), ["sw_power_cap"]);
+  assert.deepEqual(decodeThrottleReasons("0x0000000000000041"), ["gpu_idle", "hw_thermal"]);
+  assert.deepEqual(decodeThrottleReasons(" 0x00000000000000A8 "), ["hw_slowdown", "sw_thermal", "hw_power_brake"]);
+  assert.equal(decodeThrottleReasons("[N/A]"), null);
+  assert.equal(decodeThrottleReasons(""), null);
+  assert.equal(decodeThrottleReasons(undefined), null);
+});
+
+test("readNvidiaGpus parses the extended field set", async () => {
+  const [a, b] = await readNvidiaGpus({ extended: true });
+
+  assert.equal(a.index, 0);
+  assert.equal(a.name, "NVIDIA GeForce RTX 4090");
+  assert.equal(a.uuid, "GPU-5c3b6a9e-1f2d-4e5b-9a7c-0123456789ab");
+  assert.equal(a.pci, "0000:01:00.0");
+  assert.equal(a.mem_total_b, 24564 * 1024 * 1024);
+  assert.equal(a.mem_free_b, (24564 - 20100) * 1024 * 1024);
+  assert.equal(a.power_w, 412.35);
+  assert.equal(a.fan_pct, 78);
+  assert.equal(a.freq_mhz, 2520);
+  assert.equal(a.freq_max_mhz, 3105);
+  assert.equal(a.pstate, 2);
+  assert.deepEqual(a.pcie, { gen: 4, gen_max: 4, width: 16, width_max: 16 });
+  assert.deepEqual(a.throttle_reasons, ["sw_power_cap"]);
+  assert.equal(a.throttled, true);
+
+  // Passively cooled / older card: [N/A] columns become null, idle is not throttling
+  assert.equal(b.fan_pct, null);
+  assert.equal(b.enc_util_pct, null);
+  assert.equal(b.pstate, 8);
+  assert.deepEqual(b.pcie, { gen: 1, gen_max: 3, width: 8, width_max: 16 });
+  assert.deepEqual(b.throttle_reasons, ["gpu_idle"]);
+  assert.equal(b.throttled, false);
+});
+
+test("readNvidiaGpus leaves extended fields null on the base set", async () => {
+  const [g] = await readNvidiaGpus();
+  assert.equal(g.name, "Tesla K80");
+  assert.equal(g.power_w, null);
+  assert.equal(g.power_limit_w, 149);
+  assert.equal(g.uuid, null);
+  assert.equal(g.pcie, null);
+  assert.equal(g.throttle_reasons, null);
+  assert.equal(g.throttled, null);
+});
+
+test("readNvidiaProcesses groups by GPU and keeps commas in process names", async () => {
+  const byGpu = await readNvidiaProcesses();
+  assert.deepEqual(byGpu.get("GPU-5c3b6a9e-1f2d-4e5b-9a7c-0123456789ab"), [
+    { pid: 5151, name: "/opt/Acme, Inc/bin/render", mem_used_b: 8192 * 1024 * 1024 },
+    { pid: 4242, name: "/usr/bin/python3", mem_used_b: 1024 * 1024 * 1024 },
+  ]);
+  assert.deepEqual(byGpu.get("GPU-7d4e8f10-2a3b-4c5d-8e9f-fedcba987654"), [{ pid: 777, name: null, mem_used_b: null }]);
+});
@@ -0,0 +1,80 @@
+import fs from "node:fs";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// Read a fixture file from test/fixtures
+export function fixture(name) {
+  return fs.readFileSync(path.join(ROOT, "test", "fixtures", name), "utf8");
+}
+
+// Create a temporary directory (removed by the returned cleanup)
+export function tmpDir(prefix = "argus-test-") {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  return { dir, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+// Ask the OS for a free TCP port
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+// Start stats-api.js in a temporary working directory (./data lands there)
+// - setup(dir) runs before the server starts (seed files)
+// - Resolves once the server listens; stop() ends it and removes the directory
+export async function startServer({ env = {}, setup, timeoutMs = 15000 } = {}) {
+  const { dir, cleanup } = tmpDir();
+  if (setup) await setup(dir);
+
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(ROOT, "stats-api.js")], {
+    cwd: dir,
+    // SPEEDTEST_BIN keeps the bundled binary untouched (it is chmod'ed when found)
+    env: {
+      ...process.env,
+      PORT: String(port),
+      SPEEDTEST_RUN_ON_START: "0",
+      SPEEDTEST_BIN: path.join(dir, "speedtest"),
+      SPEEDTEST_STATE_FILE: path.join(dir, "data", "speedtest-state.json"),
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let log = "";
+  child.stderr.on("data", (d) => (log += d));
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start\n${log}`)), timeoutMs);
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`server exited (${code})\n${log}`));
+    });
+    child.stdout.on("data", (d) => {
+      log += d;
+      if (log.includes("listening")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+  });
+
+  const stop = () =>
+    new Promise((resolve) => {
+      if (child.exitCode != null) return resolve(cleanup());
+      child.once("exit", () => resolve(cleanup()));
+      child.kill("SIGKILL");
+    });
+
+  return { base: `http://127.0.0.1:${port}`, dir, stop };
+}
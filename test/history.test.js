@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { startServer } from "./helpers.js";
+
+test("/api/history returns rollup values for ranges older than the raw ring", async () => {
+  const now = Date.now();
+  const srv = await startServer({
+    env: { HISTORY_MAX_MIN: "10" },
+    setup(dir) {
+      const lines = [];
+      for (let t = Math.floor((now - 3 * 3600 * 1000) / 60000) * 60000; t < now - 60000; t += 60000) {
+        lines.push(JSON.stringify({ t, s: { cpu_util: [10, 20, 30], mem_used_pct: [40, 50, 60] } }));
+      }
+      fs.mkdirSync(path.join(dir, "data", "history"), { recursive: true });
+      fs.writeFileSync(path.join(dir, "data", "history", "1m.jsonl"), lines.join("\n") + "\n");
+    },
+  });
+
+  try {
+    const res = await fetch(`${srv.base}/api/history?from=-3h&step=5m&series=cpu_util`);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.source, "1m");
+    assert.equal(body.step_ms, 5 * 60000);
+
+    const values = body.series.cpu_util.filter((v) => v != null);
+    assert.ok(values.length >= 30, `expected filled buckets, got ${values.length}`);
+    for (const v of values) assert.equal(v, 20);
+
+    const max = await (await fetch(`${srv.base}/api/history?from=-3h&step=5m&series=cpu_util&agg=max`)).json();
+    assert.ok(max.series.cpu_util.filter((v) => v != null).every((v) => v === 30));
+  } finally {
+    await srv.stop();
+  }
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { createProcessTracker, parseProcStat, parseProcStatus } from "../processes-api.js";
+import { fixture, tmpDir } from "./helpers.js";
+
+test("parseProcStat handles spaces and parentheses in comm", () => {
+  assert.deepEqual(parseProcStat(fixture("proc-stat.txt")), {
+    comm: "tmux: server (1)",
+    state: "S",
+    ppid: 1,
+    ticks: 1534 + 877,
+    nice: 0,
+    threads: 1,
+    start: 52341,
+  });
+  assert.equal(parseProcStat("123 ()) R 1 1 1 0 -1 0 0 0 0 0 5 6 0 0 20 -5 3 0 99 0 0").comm, ")");
+  assert.equal(parseProcStat("123 (a) R 1 1 1 0 -1 0 0 0 0 0 5 6 0 0 20 -5 3 0 99 0 0").nice, -5);
+  assert.equal(parseProcStat(""), null);
+  assert.equal(parseProcStat(null), null);
+});
+
+test("parseProcStatus picks name, real uid and VmRSS", () => {
+  assert.deepEqual(parseProcStatus(fixture("proc-status.txt")), { name: "tmux: server", uid: 1000, rss_b: 4088 * 1024 });
+  // Kernel threads have no VmRSS line
+  assert.deepEqual(parseProcStatus("Name:\tkworker/0:1\nUid:\t0\t0\t0\t0\n"), { name: "kworker/0:1", uid: 0, rss_b: 0 });
+});
+
+// Write a fake /proc/<pid> directory
+function fakePid(root, pid, comm = "worker") {
+  const dir = path.join(root, String(pid));
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, "stat"), `${pid} (${comm}) S 1 ${pid} ${pid} 0 -1 4194560 100 0 0 0 12 3 0 0 20 0 1 0 5000 1000000 200 18446744073709551615 0 0 0 0 0 0 0 0 0 0 0 0 17 0 0 0 0 0 0\n`);
+  fs.writeFileSync(path.join(dir, "status"), `Name:\t${comm}\nUid:\t1000\t1000\t1000\t1000\nVmRSS:\t    2048 kB\n`);
+  fs.writeFileSync(path.join(dir, "cmdline"), `/usr/bin/${comm}\0--flag\0`);
+}
+
+test("sample() reads every pid of a large process table", async () => {
+  const tmp = tmpDir();
+  try {
+    const root = path.join(tmp.dir, "proc");
+    for (let pid = 1; pid <= 1500; pid++) fakePid(root, pid);
+    fs.writeFileSync(path.join(root, "meminfo"), "MemTotal:       16384000 kB\n");
+    fs.mkdirSync(path.join(tmp.dir, "etc"));
+    fs.writeFileSync(path.join(tmp.dir, "etc", "passwd"), "app:x:1000:1000::/home/app:/bin/sh\n");
+
+    const tracker = createProcessTracker({ procRoot: () => root, etcDir: () => path.join(tmp.dir, "etc") });
+    const s = await tracker.sample();
+    assert.equal(s.total, 1500);
+    assert.equal(s.processes[0].user, "app");
+    assert.equal(s.processes[0].cmd, "/usr/bin/worker --flag");
+    assert.equal(s.processes[0].rss_b, 2048 * 1024);
+  } finally {
+    tmp.cleanup();
+  }
+});
+
+test("sample() skips processes that exit while being read", async () => {
+  const tmp = tmpDir();
+  try {
+    const root = path.join(tmp.dir, "proc");
+    fakePid(root, 1);
+    fs.mkdirSync(path.join(root, "2"));
+
+    const s = await createProcessTracker({ procRoot: () => root, etcDir: () => tmp.dir }).sample();
+    assert.deepEqual(s.processes.map((p) => p.pid), [1]);
+  } finally {
+    tmp.cleanup();
+  }
+});
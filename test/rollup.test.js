@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRollupStore } from "../rollup-api.js";
+import { tmpDir } from "./helpers.js";
+
+const HOUR = 60 * 60 * 1000;
+
+// Store with a 1m and a 1h tier in dir
+function store(dir, opts = {}) {
+  return createRollupStore({
+    dir,
+    tiers: [
+      { name: "1m", stepMs: 60 * 1000, retentionMs: 24 * HOUR },
+      { name: "1h", stepMs: HOUR, retentionMs: 30 * 24 * HOUR },
+    ],
+    ...opts,
+  });
+}
+
+test("open buckets survive a crash without flush()", () => {
+  const tmp = tmpDir();
+  try {
+    const hour = Math.floor(Date.now() / HOUR) * HOUR;
+
+    const a = store(tmp.dir, { saveOpenEveryMs: 0 });
+    a.ingest(hour + 1000, { cpu_util: 10 });
+    a.ingest(hour + 2000, { cpu_util: 20 });
+    // No flush(): the process dies here
+
+    const b = store(tmp.dir);
+    b.ingest(hour + 3000, { cpu_util: 60 });
+    b.ingest(hour + HOUR + 1000, { cpu_util: 0 });
+
+    const [rec] = b.range("1h", hour, hour);
+    assert.deepEqual(rec.s.cpu_util, [10, 30, 60]);
+  } finally {
+    tmp.cleanup();
+  }
+});
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseNvmeSmartLog, parseSmartctl } from "../smart-api.js";
+import { fixture } from "./helpers.js";
+
+test("parseSmartctl reads ATA attributes and flags reallocated sectors", () => {
+  const r = parseSmartctl(JSON.parse(fixture("smartctl-ata.json")));
+  assert.equal(r.dev, "/dev/sda");
+  assert.equal(r.protocol, "ATA");
+  assert.equal(r.model, "WDC WD40EFRX-68N32N0");
+  assert.equal(r.serial, "WD-WCC7K0000000");
+  assert.equal(r.passed, true);
+  assert.equal(r.temp_c, 36);
+  assert.equal(r.power_on_hours, 43210);
+  assert.equal(r.reallocated_sectors, 8);
+  assert.equal(r.pending_sectors, 0);
+  assert.equal(r.percentage_used, null);
+  assert.equal(r.health, "warning");
+});
+
+test("parseSmartctl reads the NVMe health log and warns on wear", () => {
+  const r = parseSmartctl(JSON.parse(fixture("smartctl-nvme.json")), "/dev/nvme0n1");
+  assert.equal(r.dev, "/dev/nvme0n1");
+  assert.equal(r.protocol, "NVMe");
+  assert.equal(r.temp_c, 41);
+  assert.equal(r.power_on_hours, 12000);
+  assert.equal(r.reallocated_sectors, null);
+  assert.equal(r.percentage_used, 93);
+  assert.equal(r.available_spare_pct, 100);
+  assert.equal(r.media_errors, 0);
+  assert.equal(r.critical_warning, 0);
+  assert.equal(r.health, "warning");
+});
+
+test("parseSmartctl without an overall assessment is unknown", () => {
+  const r = parseSmartctl({ device: { name: "/dev/sdb", protocol: "SCSI" }, scsi_model_name: "ST4000NM", scsi_grown_defect_list: 0 });
+  assert.equal(r.model, "ST4000NM");
+  assert.equal(r.reallocated_sectors, 0);
+  assert.equal(r.passed, null);
+  assert.equal(r.health, "unknown");
+});
+
+test("parseNvmeSmartLog converts Kelvin and fails on critical warning bits", () => {
+  const r = parseNvmeSmartLog(JSON.parse(fixture("nvme-smart-log.json")), "/dev/nvme1n1", "WD Blue SN570");
+  assert.equal(r.model, "WD Blue SN570");
+  assert.equal(r.temp_c, 45);
+  assert.equal(r.power_on_hours, 3456);
+  assert.equal(r.percentage_used, 12);
+  assert.equal(r.available_spare_pct, 97);
+  assert.equal(r.media_errors, 3);
+  assert.equal(r.passed, null);
+  assert.equal(r.health, "failed");
+});
+
+test("parseNvmeSmartLog counts a clear critical_warning as passed", () => {
+  const r = parseNvmeSmartLog({ critical_warning: 0, temperature: 300, percentage_used: 1, available_spare: 100, media_errors: 0 }, "/dev/nvme0n1");
+  assert.equal(r.temp_c, 27);
+  assert.equal(r.percentage_used, 1);
+  assert.equal(r.passed, true);
+  assert.equal(r.health, "ok");
+});
@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { parseMdstat, parseZpoolList, parseZpoolStatus, readStorageArrays } from "../storage-api.js";
+import { fixture, tmpDir } from "./helpers.js";
+
+test("parseMdstat reads levels, members, read-only state and sync", () => {
+  const arrays = parseMdstat(fixture("mdstat.txt"));
+  assert.deepEqual(
+    arrays.map((a) => [a.name, a.state, a.level, a.health]),
+    [
+      ["md127", "active", "raid1", "ok"],
+      ["md1", "active", "raid5", "degraded"],
+      ["md2", "active", "raid10", "ok"],
+      ["md3", "inactive", null, "failed"],
+    ]
+  );
+
+  const [ro, r5, r10, inactive] = arrays;
+  assert.equal(ro.read_only, "auto-read-only");
+  assert.equal(ro.size_b, 976630464 * 1024);
+  assert.deepEqual(ro.members.map((m) => m.name), ["sdb1", "sda1"]);
+
+  assert.equal(r5.read_only, null);
+  assert.equal(r5.devices_total, 3);
+  assert.equal(r5.devices_active, 2);
+  assert.equal(r5.devices_failed, 1);
+  assert.equal(r5.devices_missing, 1);
+  assert.deepEqual(r5.members.map((m) => [m.name, m.slot, m.state]), [
+    ["sde1", 4, "spare"],
+    ["sdd1", 3, "active"],
+    ["sdc1", 1, "active"],
+    ["sdb2", 0, "failed"],
+  ]);
+  assert.deepEqual(r5.sync, { action: "recovery", state: "running", progress_pct: 12.6, eta_min: 120.5, speed_kbps: 100000 });
+
+  assert.deepEqual(r10.sync, { action: "resync", state: "delayed", progress_pct: null, eta_min: null, speed_kbps: null });
+  assert.deepEqual(inactive.members.map((m) => m.state), ["spare"]);
+});
+
+test("parseZpoolList reads exact sizes and treats '-' as unknown", () => {
+  const list = parseZpoolList(fixture("zpool-list.txt"));
+  assert.deepEqual(list.get("tank"), {
+    size_b: 3985729650688,
+    alloc_b: 1202590842880,
+    free_b: 2783138807808,
+    fragmentation_pct: 12,
+    capacity_pct: 30,
+    state: "DEGRADED",
+  });
+  assert.equal(list.get("fast").fragmentation_pct, null);
+});
+
+test("parseZpoolStatus reads the vdev tree including logs, cache and spares", () => {
+  const [tank, fast] = parseZpoolStatus(fixture("zpool-status.txt"));
+  assert.equal(tank.name, "tank");
+  assert.equal(tank.state, "DEGRADED");
+  assert.match(tank.status, /^One or more devices could not be opened\. .*degraded state\.$/);
+  assert.equal(tank.errors_text, "No known data errors");
+  assert.equal(tank.scan.action, "resilver");
+  assert.equal(tank.scan.state, "running");
+  assert.equal(tank.scan.progress_pct, 40);
+  assert.equal(tank.scan.eta, "01:10:00");
+
+  const byName = (name, section = null) => tank.vdevs.find((v) => v.name === name && v.section === section);
+  assert.deepEqual(byName("sdb"), { name: "sdb", depth: 2, state: "UNAVAIL", read: 0, write: 0, cksum: 0, note: "cannot open", section: null });
+  assert.deepEqual(byName("sdc"), { name: "sdc", depth: 3, state: "FAULTED", read: 12, write: 1200, cksum: 0, note: "too many errors", section: null });
+  assert.equal(byName("sda").cksum, 3);
+  assert.equal(byName("mirror-1", "logs").depth, 1);
+  assert.equal(byName("nvme1n1p1", "logs").depth, 2);
+  assert.equal(byName("nvme0n1p2", "cache").state, "ONLINE");
+  assert.deepEqual(byName("sdf", "spares"), { name: "sdf", depth: 1, state: "INUSE", read: null, write: null, cksum: null, note: "currently in use", section: "spares" });
+  assert.equal(byName("sdg", "spares").state, "AVAIL");
+  assert.ok(!tank.vdevs.some((v) => ["logs", "cache", "spares", "NAME"].includes(v.name)));
+
+  assert.equal(fast.state, "ONLINE");
+  assert.equal(fast.scan.state, "finished");
+  assert.equal(fast.scan.errors, 0);
+  assert.deepEqual(fast.vdevs.map((v) => v.name), ["fast", "mirror-0", "sdx", "sdy"]);
+});
+
+test("btrfs members keep their devid labels", async () => {
+  const tmp = tmpDir();
+  try {
+    const fsid = "0a1b2c3d-0000-4000-8000-000000000001";
+    const dir = path.join(tmp.dir, "sys", "fs", "btrfs", fsid);
+    // devid 1 was replaced by sdc: name order (sda, sdc) no longer matches devid order
+    for (const [id, errs] of [["1", 0], ["2", 5]]) {
+      fs.mkdirSync(path.join(dir, "devinfo", id), { recursive: true });
+      fs.writeFileSync(path.join(dir, "devinfo", id, "missing"), "0\n");
+      fs.writeFileSync(path.join(dir, "devinfo", id, "error_stats"), `write_errs 0\nread_errs ${errs}\nflush_errs 0\ncorruption_errs 0\ngeneration_errs 0\n`);
+    }
+    for (const name of ["sda", "sdc"]) fs.mkdirSync(path.join(dir, "devices", name), { recursive: true });
+    fs.mkdirSync(path.join(dir, "allocation", "data", "raid1"), { recursive: true });
+    fs.writeFileSync(path.join(dir, "label"), "pool\n");
+
+    const { arrays } = await readStorageArrays({ procRoot: path.join(tmp.dir, "proc"), sysRoot: path.join(tmp.dir, "sys") });
+    assert.equal(arrays.length, 1);
+    assert.equal(arrays[0].level, "raid1");
+    assert.equal(arrays[0].errors, 5);
+    assert.deepEqual(
+      arrays[0].members.map((m) => [m.name, m.errors]),
+      [
+        ["devid 1", 0],
+        ["devid 2", 5],
+      ]
+    );
+  } finally {
+    tmp.cleanup();
+  }
+});
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { hashPassword } from "../auth-api.js";
+import { startServer } from "./helpers.js";
+
+// Auth config with one viewer user and one viewer token
+function authConfig(tokens = [{ name: "wall", token: "walltok", role: "viewer" }]) {
+  return JSON.stringify({ users: [{ username: "wall", password_hash: hashPassword("pw", { N: 1024 }), role: "viewer" }], tokens });
+}
+
+// Open /stats/stream; resolves once the first snapshot arrived, `ended` resolves with everything received
+function openStream(base, headers) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(`${base}/stats/stream`, { headers }, (res) => {
+      if (res.statusCode !== 200) return reject(new Error(`HTTP ${res.statusCode}`));
+      let text = "";
+      const ended = new Promise((r) => res.on("end", () => r(text)));
+      res.on("data", (d) => {
+        const first = !text.includes("data: ");
+        text += d;
+        if (first && text.includes("data: ")) resolve({ ended, close: () => req.destroy() });
+      });
+    });
+    req.on("error", reject);
+  });
+}
+
+// Fail when p does not settle within ms
+function within(p, ms) {
+  return Promise.race([p, new Promise((_, reject) => setTimeout(() => reject(new Error(`no result within ${ms}ms`)), ms))]);
+}
+
+test("logout closes the session's open stream", async () => {
+  const srv = await startServer({
+    env: { STREAM_AUTH_CHECK_MS: "60000" },
+    setup: (dir) => {
+      fs.mkdirSync(path.join(dir, "data"));
+      fs.writeFileSync(path.join(dir, "data", "auth.json"), authConfig());
+    },
+  });
+  try {
+    const login = await fetch(`${srv.base}/auth/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username: "wall", password: "pw" }),
+    });
+    assert.equal(login.status, 200);
+    const cookie = login.headers.get("set-cookie").split(";")[0];
+
+    const stream = await within(openStream(srv.base, { Cookie: cookie }), 10000);
+    const out = await fetch(`${srv.base}/auth/logout`, { method: "POST", headers: { Cookie: cookie } });
+    assert.equal(out.status, 200);
+    assert.match(await within(stream.ended, 5000), /event: auth/);
+  } finally {
+    await srv.stop();
+  }
+});
+
+test("removing a token closes streams opened with it", async () => {
+  let authFile;
+  const srv = await startServer({
+    env: { STREAM_AUTH_CHECK_MS: "1000" },
+    setup: (dir) => {
+      fs.mkdirSync(path.join(dir, "data"));
+      authFile = path.join(dir, "data", "auth.json");
+      fs.writeFileSync(authFile, authConfig());
+    },
+  });
+  let stream;
+  try {
+    stream = await within(openStream(srv.base, { Authorization: "Bearer walltok" }), 10000);
+    fs.writeFileSync(authFile, authConfig([]));
+    fs.utimesSync(authFile, new Date(), new Date(Date.now() + 5000));
+    assert.match(await within(stream.ended, 8000), /event: auth/);
+  } finally {
+    stream?.close();
+    await srv.stop();
+  }
+});
@@ -0,0 +1,278 @@
+import fs from "node:fs";
+import path from "node:path";
+
+/* ============================================================
+   Utils
+   - Small helpers used across the module
+============================================================ */
+
+// Return current time as milliseconds since epoch
+function nowMs() {
+  return Date.now();
+}
+
+// Zero-pad a number to two digits
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+// Local-time day key ("2026-10-19")
+function dayKey(d) {
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+}
+
+// Local-time hour key ("2026-10-19T14")
+function hourKey(d) {
+  return `${dayKey(d)}T${pad2(d.getHours())}`;
+}
+
+// Local-time month key ("2026-10")
+function monthKey(d) {
+  return dayKey(d).slice(0, 7);
+}
+
+// Number of days in a month (month may be out of range, e.g. -1 for last December)
+function daysInMonth(y, m) {
+  return new Date(y, m + 1, 0).getDate();
+}
+
+// Current kernel boot id (changes on every reboot; null when unavailable)
+function readBootId() {
+  try {
+    return fs.readFileSync("/proc/sys/kernel/random/boot_id", "utf8").trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+// Parse "500G", "1.5TB", "200GiB", "1000000000" into bytes (1024-based like the UI; invalid -> null)
+export function parseSize(v) {
+  const m = String(v ?? "").trim().match(/^(\d+(?:\.\d+)?)\s*([KMGTP])?(?:i?B)?$/i);
+  if (!m) return null;
+  const pow = m[2] ? "KMGTP".indexOf(m[2].toUpperCase()) + 1 : 0;
+  const n = Number(m[1]) * 1024 ** pow;
+  return Number.isFinite(n) && n > 0 ? Math.round(n) : null;
+}
+
+// Parse "1T" or "wan0:1T,lte0:50G" into { default, byIface } quotas (bytes)
+export function parseQuotas(str) {
+  const out = { default: null, byIface: {} };
+  for (const raw of String(str || "").split(",")) {
+    const r = raw.trim();
+    if (!r) continue;
+    const i = r.lastIndexOf(":");
+    const bytes = parseSize(i >= 0 ? r.slice(i + 1) : r);
+    if (bytes == null) continue;
+    if (i >= 0) out.byIface[r.slice(0, i).trim()] = bytes;
+    else out.default = bytes;
+  }
+  return out;
+}
+
+/* ============================================================
+   Billing cycle
+   - Starts on cycleDay at local midnight (clamped to short months)
+   - Projection extrapolates the average rate so far to the cycle end
+============================================================ */
+
+// Start/end Date of the billing cycle containing `now`
+function cycleBounds(now, cycleDay) {
+  const d = new Date(now);
+  const startOf = (y, m) => new Date(y, m, Math.min(cycleDay, daysInMonth(y, m)));
+
+  let start = startOf(d.getFullYear(), d.getMonth());
+  if (start > d) start = startOf(d.getFullYear(), d.getMonth() - 1);
+  const end = startOf(start.getFullYear(), start.getMonth() + 1);
+  return { start, end };
+}
+
+// Used / remaining / projected figures for one interface
+function cycleReport(days, now, cycleDay, quota, direction) {
+  const { start, end } = cycleBounds(now, cycleDay);
+  const from = dayKey(start);
+  const to = dayKey(end);
+
+  let rx = 0;
+  let tx = 0;
+  const list = [];
+  for (const [k, v] of Object.entries(days).sort(([a], [b]) => a.localeCompare(b))) {
+    if (k < from || k >= to) continue;
+    rx += v[0];
+    tx += v[1];
+    list.push({ day: k, rx_b: v[0], tx_b: v[1] });
+  }
+
+  const used = direction === "rx" ? rx : direction === "tx" ? tx : rx + tx;
+  const elapsed = now - start.getTime();
+  const length = end.getTime() - start.getTime();
+  const projected = elapsed > 0 ? Math.round((used / elapsed) * length) : null;
+  const pct = (b) => (quota && b != null ? Math.round((b / quota) * 10000) / 100 : null);
+
+  return {
+    start: start.getTime(),
+    end: end.getTime(),
+    day: Math.min(Math.floor(elapsed / 86400000) + 1, Math.round(length / 86400000)),
+    days_total: Math.round(length / 86400000),
+    direction,
+    rx_b: rx,
+    tx_b: tx,
+    used_b: used,
+    quota_b: quota,
+    remaining_b: quota ? Math.max(0, quota - used) : null,
+    used_pct: pct(used),
+    projected_b: projected,
+    projected_pct: pct(projected),
+    days: list,
+  };
+}
+
+/* ============================================================
+   Store
+   - State file: { v, ifaces: { <name>: { last, hours, days, months, total } } }
+   - Each bucket is [rx_bytes, tx_bytes]; keys are local-time periods
+   - Counter resets (reboot, driver reload, wrap) restart from the new counter value
+============================================================ */
+
+const KEEP_HOURS = 72;
+const KEEP_DAYS = 93;
+const KEEP_MONTHS = 36;
+
+// Keep the newest n keys of a bucket map
+function pruneKeys(obj, n) {
+  const keys = Object.keys(obj).sort();
+  for (const k of keys.slice(0, Math.max(0, keys.length - n))) delete obj[k];
+}
+
+// Add rx/tx bytes to a bucket
+function addTo(obj, k, rx, tx) {
+  const b = obj[k] || (obj[k] = [0, 0]);
+  b[0] += rx;
+  b[1] += tx;
+}
+
+// Create the traffic accounting store
+export function createTrafficAccounting({
+  stateFile = "./data/traffic.json",
+  cycleDay = 1,
+  quotas = { default: null, byIface: {} },
+  direction = "total",
+  primary = () => null,
+  flushEveryMs = 60 * 1000,
+} = {}) {
+  const day = Math.min(31, Math.max(1, Math.floor(Number(cycleDay)) || 1));
+  const dir = ["rx", "tx"].includes(direction) ? direction : "total";
+
+  // Read persisted state (best-effort)
+  function readState() {
+    try {
+      const j = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+      if (j?.v === 1 && j.ifaces && typeof j.ifaces === "object") return j;
+    } catch {}
+    return { v: 1, ifaces: {} };
+  }
+
+  const st = readState();
+  const bootId = readBootId();
+
+  let dirty = false;
+  let flushedAt = nowMs();
+
+  // Persist state (tmp + rename, best-effort)
+  function flush() {
+    if (!dirty) return;
+    try {
+      fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+      const tmp = `${stateFile}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ ...st, saved_at: nowMs() }), "utf8");
+      fs.renameSync(tmp, stateFile);
+      dirty = false;
+    } catch {}
+    flushedAt = nowMs();
+  }
+
+  // Account one counter reading per interface: iterable of { name, rx_bytes, tx_bytes }
+  function ingest(ifaces, now = nowMs()) {
+    const d = new Date(now);
+
+    for (const n of ifaces || []) {
+      const rx = Number(n?.rx_bytes);
+      const tx = Number(n?.tx_bytes);
+      if (!n?.name || !Number.isFinite(rx) || !Number.isFinite(tx)) continue;
+
+      const e = st.ifaces[n.name] || (st.ifaces[n.name] = { last: null, hours: {}, days: {}, months: {}, total: [0, 0] });
+      const last = e.last;
+      e.last = { rx, tx, ts: now, boot: bootId };
+      dirty = true;
+
+      // First reading ever: nothing to attribute yet
+      if (!last) continue;
+
+      // After a reboot the kernel counters restart at 0: the whole reading is new traffic
+      const reset = (bootId && last.boot && last.boot !== bootId) || rx < last.rx || tx < last.tx;
+      const dRx = reset ? rx : rx - last.rx;
+      const dTx = reset ? tx : tx - last.tx;
+      if (!dRx && !dTx) continue;
+
+      addTo(e.hours, hourKey(d), dRx, dTx);
+      addTo(e.days, dayKey(d), dRx, dTx);
+      addTo(e.months, monthKey(d), dRx, dTx);
+      e.total[0] += dRx;
+      e.total[1] += dTx;
+    }
+
+    if (now - flushedAt >= flushEveryMs) {
+      for (const e of Object.values(st.ifaces)) {
+        pruneKeys(e.hours, KEEP_HOURS);
+        pruneKeys(e.days, KEEP_DAYS);
+        pruneKeys(e.months, KEEP_MONTHS);
+      }
+      flush();
+    }
+  }
+
+  // Quota (bytes) of an interface: per-interface entry, else the bare value for the primary interface
+  function quotaOf(name) {
+    if (quotas.byIface[name] != null) return quotas.byIface[name];
+    return quotas.default != null && name === primary() ? quotas.default : null;
+  }
+
+  // Bucket map as a sorted list, newest last
+  function series(obj, n, key) {
+    return Object.entries(obj)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .slice(-n)
+      .map(([k, v]) => ({ [key]: k, rx_b: v[0], tx_b: v[1] }));
+  }
+
+  // Current figures per interface (detail: hourly/daily/monthly series for /api/traffic)
+  function snapshot({ detail = false, now = nowMs() } = {}) {
+    const d = new Date(now);
+    const p = primary();
+
+    const ifaces = Object.entries(st.ifaces)
+      .map(([name, e]) => {
+        const today = e.days[dayKey(d)] || [0, 0];
+        const month = e.months[monthKey(d)] || [0, 0];
+        const out = {
+          name,
+          primary: name === p,
+          seen_at: e.last?.ts ?? null,
+          today: { rx_b: today[0], tx_b: today[1] },
+          month: { rx_b: month[0], tx_b: month[1] },
+          total: { rx_b: e.total[0], tx_b: e.total[1] },
+          cycle: cycleReport(e.days, now, day, quotaOf(name), dir),
+        };
+        if (detail) {
+          out.hours = series(e.hours, 48, "hour");
+          out.days = series(e.days, 62, "day");
+          out.months = series(e.months, 24, "month");
+        }
+        return out;
+      })
+      .sort((a, b) => b.primary - a.primary || a.name.localeCompare(b.name));
+
+    return { cycle_day: day, direction: dir, updated_at: now, ifaces };
+  }
+
+  return { ingest, snapshot, flush };
+}
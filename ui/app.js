@@ -2,7 +2,7 @@ import { $, setText } from "./modules/dom.js";
 import { clamp, getParam } from "./modules/util.js";
 import { KEYS, lsGet, lsSet } from "./modules/storage.js";
 import { I18N, t, resolveInitialLang, loadLang, applyStaticI18n } from "./modules/i18n.js";
-import { resolveInitialPollMs, resolveInitialHistoryMinutes, usingServerHistory as usingSrvHist } from "./modules/history.js";
+import { HISTORY_MINUTES_ALLOWED, resolveInitialPollMs, resolveInitialHistoryMinutes, usingServerHistory as usingSrvHist, isLongHistoryWindow, getLongHistory } from "./modules/history.js";
 import { setupTooltips } from "./modules/tooltips.js";
 import { initTheme, initThemeSync } from "./modules/theme.js";
 import { loadCardsVisibility, applyCardsVisibility, initCardsPanel, applyCardOrder, saveCardOrder, isCoarsePointer, loadLayoutEdit, saveLayoutEdit, applyLayoutEditUI, loadSysRowsVisibility, applySysRowsVisibility, initSysRowsPanel } from "./modules/layout.js";
@@ -11,6 +11,10 @@ import { render, updateRawPanel } from "./modules/render.js";
 import { ST_UI, stFetchSnapshot, stSetInterval, stRun, updateSpeedtestViews, initSpeedtestHistoryModal } from "./modules/speedtest.js";
 import { initSparkModal } from "./modules/sparks.js";
 import { initUpdateChecker, detectAppVersionFromDom, updateUpdateModalI18n } from "./modules/update.js";
+import { initAuthUi, applyAuthToControls, redirectToLogin } from "./modules/auth.js";
+import { initSensorsCard } from "./modules/sensors.js";
+import { initNetCard } from "./modules/net.js";
+import { initProcessesCard } from "./modules/processes.js";
 
 // Detect embed mode
 const EMBED = (getParam("embed") || "").trim() === "1";
@@ -22,9 +26,12 @@ let ONLY_WANTED = null;
 
 const state = {
   lastServerHistory: null,
+  longHistory: null,
   lastStats: null,
   uiTimer: null,
   timer: null,
+  stream: null,
+  historyResync: false,
   paused: false,
   pollMs: resolveInitialPollMs(),
   historyMinutes: resolveInitialHistoryMinutes(),
@@ -182,6 +189,10 @@ async function fetchJsonWithTimeout(url, ms = 4000) {
   const tmo = setTimeout(() => ctrl.abort(), ms);
   try {
     const r = await fetch(url, { cache: "no-store", signal: ctrl.signal });
+    if (r.status === 401) {
+      redirectToLogin();
+      throw new Error(t("auth.required"));
+    }
     if (!r.ok) throw new Error(t("http.errorLine", { code: r.status }));
     return await r.json();
   } catch (e) {
@@ -192,9 +203,16 @@ async function fetchJsonWithTimeout(url, ms = 4000) {
   }
 }
 
+// Append the history cursor so the server only sends new samples
+function withHistoryCursor(api) {
+  const cursor = state.lastServerHistory?.cursor;
+  if (!cursor) return api;
+  return api + (api.includes("?") ? "&" : "?") + "since=" + encodeURIComponent(cursor);
+}
+
 // Fetch stats payload from API
 async function fetchStats(api) {
-  return fetchJsonWithTimeout(api, 4000);
+  return fetchJsonWithTimeout(withHistoryCursor(api), 4000);
 }
 
 // Spark sampling state
@@ -437,10 +455,84 @@ function startUiTickLoop() {
   }, 200);
 }
 
-// Start main polling loop
-function startLoop() {
-  if (state.timer) clearInterval(state.timer);
+// Build SSE URL next to the configured stats endpoint ("/stats" -> "/stats/stream")
+function streamUrlFor(api, intervalMs) {
+  const [base, query] = String(api || "/stats").split("?");
+  const qs = new URLSearchParams(query || "");
+  qs.set("interval", String(intervalMs));
+  const cursor = state.lastServerHistory?.cursor;
+  if (cursor) qs.set("since", String(cursor));
+  return base.replace(/\/+$/, "") + "/stream?" + qs.toString();
+}
+
+let longHistoryTs = 0;
+let longHistoryInFlight = false;
+
+// Fetch rollup history for windows longer than the raw ring (refreshed every 30s)
+async function refreshLongHistory(force = false) {
+  if (!isLongHistoryWindow(state.historyMinutes, state.lastServerHistory)) {
+    state.longHistory = null;
+    return;
+  }
+  if (longHistoryInFlight) return;
+
+  const fresh = state.longHistory?.windowMin === state.historyMinutes && Date.now() - longHistoryTs < 30000;
+  if (fresh && !force) return;
+
+  const api = $("apiUrl")?.value?.trim() || "/stats";
+  const [base, query] = api.split("?");
+  const url = base.replace(/\/+$/, "") + `/history?minutes=${state.historyMinutes}` + (query ? `&${query}` : "");
+
+  longHistoryInFlight = true;
+  try {
+    state.longHistory = getLongHistory(await fetchJsonWithTimeout(url, 8000));
+    longHistoryTs = Date.now();
+    rerenderNow();
+  } catch (e) {
+    console.warn("long history fetch failed:", e);
+  } finally {
+    longHistoryInFlight = false;
+  }
+}
+
+// Apply one stats payload to the UI
+function applyStats(data) {
+  setStatus(true);
+  state.lastStats = data;
+
+  if (!cardDragging) {
+    render(data, state, getRenderCtx());
+    notifyHeight();
+  }
+
+  refreshLongHistory();
+
+  // History delta did not line up: reopen the stream from scratch (polling drops the cursor by itself)
+  if (state.historyResync) {
+    state.historyResync = false;
+    if (state.stream) {
+      stopStream();
+      startStream();
+    }
+  }
+}
+
+// Show a fetch/stream error in the header
+function applyStatsError(e) {
+  setStatus(false);
+  $("subtitle").textContent = t("errorLine", { msg: e?.message || String(e) });
+}
+
+// Close live stream (if any)
+function stopStream() {
+  if (state.stream) {
+    try { state.stream.close(); } catch {}
+    state.stream = null;
+  }
+}
 
+// Start polling fallback loop
+function startPolling() {
   const intervalMs = clamp(Number(state.pollMs) || 1000, 100, 15000);
   let inFlight = false;
 
@@ -451,18 +543,9 @@ function startLoop() {
 
     const api = $("apiUrl")?.value?.trim() || "/stats";
     try {
-      const data = await fetchStats(api);
-      setStatus(true);
-
-      state.lastStats = data;
-
-      if (!cardDragging) {
-        render(data, state, getRenderCtx());
-        notifyHeight();
-      }
+      applyStats(await fetchStats(api));
     } catch (e) {
-      setStatus(false);
-      $("subtitle").textContent = t("errorLine", { msg: e.message });
+      applyStatsError(e);
     } finally {
       inFlight = false;
     }
@@ -472,6 +555,62 @@ function startLoop() {
   state.timer = setInterval(tick, intervalMs);
 }
 
+// Start live stream; server samples once per tick and pushes at our poll interval
+function startStream() {
+  const api = $("apiUrl")?.value?.trim() || "/stats";
+  const intervalMs = clamp(Number(state.pollMs) || 1000, 100, 15000);
+  let opened = false;
+
+  let es;
+  try {
+    es = new EventSource(streamUrlFor(api, intervalMs));
+  } catch {
+    return false;
+  }
+  state.stream = es;
+
+  es.onopen = () => { opened = true; };
+
+  es.onmessage = (ev) => {
+    if (state.paused) return;
+    try {
+      applyStats(JSON.parse(ev.data));
+    } catch (e) {
+      applyStatsError(e);
+    }
+  };
+
+  // Credentials no longer valid (logout, expired session): go to the login page
+  es.addEventListener("auth", () => {
+    if (state.stream !== es) return;
+    stopStream();
+    redirectToLogin();
+  });
+
+  es.onerror = () => {
+    if (state.stream !== es) return;
+    // Never connected or gave up: fall back to plain polling
+    if (!opened || es.readyState === EventSource.CLOSED) {
+      stopStream();
+      startPolling();
+      return;
+    }
+    setStatus(false);
+  };
+
+  return true;
+}
+
+// Start main update loop (SSE when available, polling otherwise)
+function startLoop() {
+  if (state.timer) clearInterval(state.timer);
+  state.timer = null;
+  stopStream();
+
+  if (typeof EventSource === "function" && startStream()) return;
+  startPolling();
+}
+
 // App init
 async function init() {
   const initialLang = resolveInitialLang();
@@ -514,6 +653,7 @@ async function init() {
       await loadLang(sel.value);
 
       applyStaticI18n({ $, iconRefresh, iconPlay, iconPause, paused: () => state.paused });
+      applyAuthToControls();
       initSparkModal();
       setupTooltips(() => state.historyMinutes);
       rerenderNow(state.lastStats);
@@ -547,11 +687,12 @@ async function init() {
       histSel.value = String(state.historyMinutes);
       histSel.addEventListener("change", () => {
         const v = Number(histSel.value);
-        if (![1, 5, 10, 15, 30, 60, 90, 120].includes(v)) return;
+        if (!HISTORY_MINUTES_ALLOWED.includes(v)) return;
         state.historyMinutes = v;
         lsSet(KEYS.HISTORY_CFG_KEY, String(state.historyMinutes));
         computeSampling();
         rerenderNow();
+        refreshLongHistory(true);
         notifyHeightSoon();
       });
     }
@@ -573,7 +714,8 @@ async function init() {
   $("pauseBtn").onclick = () => {
     state.paused = !state.paused;
     applyStaticI18n({ $, iconRefresh, iconPlay, iconPause, paused: () => state.paused });
-    if (!state.paused) startLoop();
+    if (state.paused) stopStream();
+    else startLoop();
   };
 
   const stSel = $("stInterval");
@@ -604,6 +746,10 @@ async function init() {
     });
   }
 
+  initSensorsCard(() => $("apiUrl").value.trim() || "/stats");
+  initNetCard(() => rerenderNow());
+  initProcessesCard(() => rerenderNow());
+
   const stBtn = $("stRunBtn");
   if (stBtn) {
     stBtn.addEventListener("click", async () => {
@@ -622,6 +768,8 @@ async function init() {
 
   setupTooltips(() => state.historyMinutes);
 
+  await initAuthUi();
+
   window.addEventListener("stats-ui:disk-cols", () => {
     state.diskCols = resolveDiskCols();
     state.DISK_GROUP = resolveDiskGroup();
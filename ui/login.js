@@ -0,0 +1,79 @@
+import { $ } from "./modules/dom.js";
+import { getParam } from "./modules/util.js";
+import { t, resolveInitialLang, loadLang, applyStaticI18n } from "./modules/i18n.js";
+import { initTheme } from "./modules/theme.js";
+
+// Only allow same-origin relative redirect targets
+function safeNext() {
+  const n = (getParam("next") || "").trim();
+  if (!n.startsWith("/") || n.startsWith("//") || n.startsWith("/login.html")) return "/";
+  return n;
+}
+
+// Show (or clear) the login error line
+function setError(msg) {
+  const el = $("loginError");
+  if (!el) return;
+  el.textContent = msg || "";
+  el.classList.toggle("is-hidden", !msg);
+}
+
+// Map server error codes to localized text
+function errorText(code) {
+  if (code === "invalid_credentials") return t("login.error.invalid");
+  if (code === "too_many_attempts") return t("login.error.tooMany");
+  if (code === "auth_disabled") return t("login.error.disabled");
+  return t("login.error.generic");
+}
+
+// Submit credentials and follow `next` on success
+async function submit(ev) {
+  ev.preventDefault();
+  setError("");
+
+  const btn = $("loginBtn");
+  if (btn) btn.disabled = true;
+  try {
+    const r = await fetch("/auth/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "same-origin",
+      body: JSON.stringify({ username: $("loginUser").value, password: $("loginPass").value }),
+    });
+    const j = await r.json().catch(() => ({}));
+    if (!r.ok || !j.ok) {
+      setError(errorText(j.error));
+      return;
+    }
+    location.replace(safeNext());
+  } catch {
+    setError(t("login.error.generic"));
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+}
+
+// Page init
+async function init() {
+  initTheme();
+
+  await loadLang(resolveInitialLang());
+  applyStaticI18n({ $, iconRefresh: () => "", iconPlay: () => "", iconPause: () => "", paused: () => false });
+  document.body.classList.remove("i18n-loading");
+
+  // Already signed in (or auth disabled): skip the form
+  try {
+    const r = await fetch("/auth/me", { cache: "no-store", credentials: "same-origin" });
+    const me = await r.json();
+    if (!me.enabled || me.authenticated) {
+      location.replace(safeNext());
+      return;
+    }
+  } catch {}
+
+  $("loginForm")?.addEventListener("submit", submit);
+  $("loginUser")?.focus();
+}
+
+// Boot
+document.addEventListener("DOMContentLoaded", init);
@@ -0,0 +1,129 @@
+import { $ } from "./dom.js";
+import { clamp, escHtml, formatBytes } from "./util.js";
+import { t } from "./i18n.js";
+
+const HEALTH_BADGE = { ok: "badge-success", degraded: "badge-warning", failed: "badge-danger" };
+const MEMBER_BAD = new Set(["failed", "missing", "FAULTED", "UNAVAIL", "REMOVED", "OFFLINE", "DEGRADED"]);
+
+// Format minutes as "2h 05m" / "12m"
+function fmtEta(min) {
+  const m = Math.round(Number(min));
+  if (!Number.isFinite(m)) return null;
+  return m >= 60 ? `${Math.floor(m / 60)}h ${String(m % 60).padStart(2, "0")}m` : `${m}m`;
+}
+
+// Resync / recovery / scrub line with a progress bar (running) or the last result
+function syncHtml(s) {
+  if (!s) return "";
+  const action = t(`arrays.sync.${s.action}`);
+
+  if (s.state === "running") {
+    const pct = clamp(Number(s.progress_pct) || 0, 0, 100);
+    const eta = s.eta || fmtEta(s.eta_min);
+    const extra = [
+      eta ? t("arrays.eta", { eta }) : null,
+      s.speed_kbps != null ? `${formatBytes(s.speed_kbps * 1024)}/s` : null,
+    ].filter(Boolean);
+    return `
+      <div class="array-sync mono">
+        <span>${escHtml(`${action} ${pct.toFixed(1)}%`)}</span>
+        <span class="text-muted">${escHtml(extra.join(" · "))}</span>
+      </div>
+      <div class="progress array-sync-bar"><div class="progress-bar" style="width:${pct.toFixed(1)}%"></div></div>`;
+  }
+
+  const txt =
+    s.state === "finished"
+      ? t("arrays.syncDone", { action, when: s.finished || "—", errors: s.errors ?? 0 })
+      : t(`arrays.syncState.${s.state}`, { action });
+  return `<div class="array-sync mono text-muted">${escHtml(txt)}</div>`;
+}
+
+// Member chips (failed/missing members in red)
+function membersHtml(a) {
+  const list = (a.members || []).filter((m) => !(a.type === "zfs" && /^(mirror|raidz|draid|spare|logs|cache)/.test(m.name)));
+  if (!list.length) return "";
+  return `<div class="array-members">${list
+    .map((m) => {
+      const bad = MEMBER_BAD.has(m.state);
+      const errs = (m.read || 0) + (m.write || 0) + (m.cksum || 0) + (m.errors || 0);
+      const title = [m.state, m.note, errs ? t("arrays.errors", { n: errs }) : null].filter(Boolean).join(" · ");
+      const cls = bad ? "badge-danger" : m.state === "spare" || m.section === "spares" ? "badge-soft" : errs ? "badge-warning" : "";
+      return `<span class="badge mono ${cls}" title="${escHtml(title)}">${escHtml(m.name)}</span>`;
+    })
+    .join("")}</div>`;
+}
+
+// One-line facts: size, members, ZFS capacity/fragmentation, error count
+function factsLine(a) {
+  const parts = [];
+  if (a.size_b != null) parts.push(formatBytes(a.size_b));
+  if (a.devices_total != null) {
+    const ok = a.devices_active ?? a.devices_total - (a.devices_missing || 0);
+    parts.push(t("arrays.devices", { ok, total: a.devices_total }));
+  }
+  if (a.capacity_pct != null) parts.push(t("arrays.capacity", { pct: a.capacity_pct }));
+  if (a.fragmentation_pct != null) parts.push(t("arrays.frag", { pct: a.fragmentation_pct }));
+  if (a.errors) parts.push(t("arrays.errors", { n: a.errors }));
+  return parts.join(" · ");
+}
+
+// Summary-card badge naming the degraded arrays
+function renderSummaryBadge(bad) {
+  const el = $("arraysAlertBadge");
+  if (!el) return;
+  el.classList.toggle("is-hidden", !bad.length);
+  if (bad.length) el.textContent = t("arrays.alertBadge", { names: bad.map((a) => a.name).join(", ") });
+}
+
+// Render the Storage arrays card (md RAID, ZFS pools, multi-device btrfs)
+export function renderStorageArrays(data) {
+  const snap = data?.storage_arrays || null;
+  const arrays = Array.isArray(snap?.arrays) ? snap.arrays : [];
+  const bad = arrays.filter((a) => a.health === "degraded" || a.health === "failed");
+
+  renderSummaryBadge(bad);
+
+  const badge = $("arraysBadge");
+  if (badge) {
+    badge.textContent = bad.length
+      ? t("arrays.degradedCount", { n: bad.length })
+      : arrays.length
+        ? t("arrays.count", { n: arrays.length })
+        : "—";
+    badge.classList.toggle("badge-danger", bad.length > 0);
+  }
+
+  const box = $("arraysList");
+  if (!box) return;
+
+  const errs = Object.values(snap?.errors || {}).filter(Boolean);
+  const errHtml = errs.length ? `<div class="arrays-note text-muted">${escHtml(errs.join(" · "))}</div>` : "";
+
+  if (!arrays.length) {
+    box.innerHTML = `<div class="arrays-note text-muted">${escHtml(t("arrays.none"))}</div>${errHtml}`;
+    return;
+  }
+
+  box.innerHTML =
+    arrays
+      .map((a) => {
+        const facts = factsLine(a);
+        const status = a.health !== "ok" && a.status_text ? `<div class="array-status">${escHtml(a.status_text)}</div>` : "";
+        return `
+        <div class="array-item is-${escHtml(a.health || "unknown")}">
+          <div class="array-head">
+            <span class="array-name">${escHtml(a.name)}</span>
+            <span class="badge mono badge-soft">${escHtml([a.type, a.level].filter(Boolean).join(" · "))}</span>
+            <span class="badge mono ${HEALTH_BADGE[a.health] || ""}" title="${escHtml(a.state || "")}">${escHtml(
+              t(`arrays.health.${a.health || "unknown"}`)
+            )}</span>
+          </div>
+          ${facts ? `<div class="array-facts mono text-muted">${escHtml(facts)}</div>` : ""}
+          ${status}
+          ${membersHtml(a)}
+          ${syncHtml(a.sync)}
+        </div>`;
+      })
+      .join("") + errHtml;
+}
@@ -0,0 +1,61 @@
+import { $ } from "./dom.js";
+import { t } from "./i18n.js";
+
+// Last /auth/me answer (null until loaded or when the server is unreachable)
+export const AUTH = { me: null };
+
+// Go to the login page and come back here afterwards
+export function redirectToLogin() {
+  const next = encodeURIComponent(location.pathname + location.search);
+  location.replace(`./login.html?next=${next}`);
+}
+
+// Check whether the current user may use admin-only controls
+export function isAdmin() {
+  const me = AUTH.me;
+  return !me || !me.enabled || me.role === "admin";
+}
+
+// Disable admin-only controls for viewers
+export function applyAuthToControls() {
+  const admin = isAdmin();
+  for (const id of ["stRunBtn", "stInterval", "sensorsCpuSelect"]) {
+    const el = $(id);
+    if (!el) continue;
+    el.disabled = !admin;
+    if (admin) el.removeAttribute("data-auth-locked");
+    else {
+      el.setAttribute("data-auth-locked", "1");
+      el.title = t("auth.adminOnly");
+    }
+  }
+
+  const btn = $("logoutBtn");
+  if (btn) btn.classList.toggle("is-hidden", !(AUTH.me?.enabled && AUTH.me?.via === "session"));
+}
+
+// Load session info and wire the logout button
+export async function initAuthUi() {
+  try {
+    const r = await fetch("/auth/me", { cache: "no-store", credentials: "same-origin" });
+    if (r.ok) AUTH.me = await r.json();
+  } catch {}
+
+  if (AUTH.me?.enabled && !AUTH.me?.authenticated) {
+    redirectToLogin();
+    return;
+  }
+
+  const btn = $("logoutBtn");
+  if (btn && !btn._authBound) {
+    btn._authBound = true;
+    btn.addEventListener("click", async () => {
+      try {
+        await fetch("/auth/logout", { method: "POST", credentials: "same-origin" });
+      } catch {}
+      redirectToLogin();
+    });
+  }
+
+  applyAuthToControls();
+}
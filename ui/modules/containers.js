@@ -0,0 +1,70 @@
+import { $ } from "./dom.js";
+import { clamp, escHtml, formatBytes, formatRate, pctColorCss } from "./util.js";
+import { t } from "./i18n.js";
+
+const STATE_BADGE = { running: "badge-success", restarting: "badge-warning", paused: "badge-soft", exited: "badge-danger", dead: "badge-danger" };
+
+// Memory line: "512.0 MB / 1.0 GB (50.0%)" with a bar, or "512.0 MB (no limit)"
+function memHtml(c) {
+  if (c.mem_used_b == null) return "";
+  if (!c.mem_limit_b) {
+    return `<div class="container-line mono"><span class="text-muted">${escHtml(t("containers.mem"))}</span> ${escHtml(
+      t("containers.memNoLimit", { used: formatBytes(c.mem_used_b) })
+    )}</div>`;
+  }
+  const pct = clamp(Number(c.mem_pct) || 0, 0, 100);
+  return `
+    <div class="container-line mono"><span class="text-muted">${escHtml(t("containers.mem"))}</span> ${escHtml(
+      t("containers.memOf", { used: formatBytes(c.mem_used_b), limit: formatBytes(c.mem_limit_b), pct: (c.mem_pct ?? 0).toFixed(1) })
+    )}</div>
+    <div class="progress container-bar"><div class="progress-bar" style="width:${pct.toFixed(1)}%;background:${pctColorCss(pct)}"></div></div>`;
+}
+
+// One container: name, state, image, CPU / memory / block I/O / pids / restarts
+function itemHtml(c) {
+  const running = c.state === "running";
+  const stats = running
+    ? [
+        `${t("containers.cpu")} ${c.cpu_pct == null ? "—" : `${c.cpu_pct.toFixed(1)}%`}`,
+        c.io_read_bps != null || c.io_write_bps != null ? `${t("containers.io")} R ${formatRate(c.io_read_bps)} · W ${formatRate(c.io_write_bps)}` : null,
+        c.pids != null ? t("containers.pids", { n: c.pids }) : null,
+      ].filter(Boolean)
+    : [];
+  const restarts = Number(c.restart_count) || 0;
+
+  return `
+    <div class="container-item ${running ? "" : "is-stopped"}">
+      <div class="container-head">
+        <span class="container-name mono" title="${escHtml(c.id)}">${escHtml(c.name)}</span>
+        ${restarts ? `<span class="badge mono badge-warning">${escHtml(t("containers.restarts", { n: restarts }))}</span>` : ""}
+        ${c.health ? `<span class="badge mono ${c.health === "healthy" ? "badge-success" : "badge-warning"}">${escHtml(c.health)}</span>` : ""}
+        <span class="badge mono ${STATE_BADGE[c.state] || ""}" title="${escHtml(c.status || "")}">${escHtml(c.state || "?")}</span>
+      </div>
+      ${c.image ? `<div class="container-line mono text-muted">${escHtml(c.image)}</div>` : ""}
+      ${stats.length ? `<div class="container-line mono">${escHtml(stats.join(" · "))}</div>` : ""}
+      ${running ? memHtml(c) : c.status ? `<div class="container-line mono text-muted">${escHtml(c.status)}</div>` : ""}
+    </div>`;
+}
+
+// Render the Containers card
+export function renderContainers(data) {
+  const snap = data?.containers || null;
+  const list = Array.isArray(snap?.containers) ? snap.containers : [];
+
+  const badge = $("containersBadge");
+  if (badge) {
+    badge.textContent = list.length ? t("containers.badge", { running: snap.running, total: snap.total }) : "—";
+    badge.classList.toggle("badge-warning", list.some((c) => c.state === "restarting"));
+  }
+
+  const box = $("containersList");
+  if (!box) return;
+
+  if (!list.length) {
+    const why = snap?.docker?.error ? t("containers.dockerError", { error: snap.docker.error }) : !snap?.cgroup ? t("containers.noCgroup") : t("containers.none");
+    box.innerHTML = `<div class="container-note text-muted">${escHtml(why)}</div>`;
+    return;
+  }
+
+  box.innerHTML = list.map(itemHtml).join("");
+}
@@ -0,0 +1,148 @@
+import { $ } from "./dom.js";
+import { clamp, escHtml, pctColorCss } from "./util.js";
+import { t } from "./i18n.js";
+import { CPU_MODE_KEYS, isLongHistoryWindow } from "./history.js";
+import { maxSparkLen, downsample, sliceServerHistoryToMinutes } from "./sparks.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const CHART_H = 44;
+
+// Breakdown samples collected client-side when the server sends no history
+const local = { ts: [], ...Object.fromEntries(CPU_MODE_KEYS.map((k) => [k, []])) };
+
+// Mode name without the "cpu_" prefix (user, system, ...)
+function modeName(key) {
+  return key.slice(4);
+}
+
+// Format a percentage with one decimal ("—" when missing)
+function fmtPct(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? `${n.toFixed(1)}%` : "—";
+}
+
+// Push the current breakdown into the local buffer
+function pushLocal(b, maxLen) {
+  local.ts.push(Date.now());
+  for (const k of CPU_MODE_KEYS) local[k].push(Number(b[modeName(k)]) || 0);
+  for (const k of Object.keys(local)) {
+    if (local[k].length > maxLen) local[k].splice(0, local[k].length - maxLen);
+  }
+}
+
+// Pick the history the breakdown chart is drawn from (rollups, raw ring or local buffer)
+function breakdownSeries(state) {
+  const h = state.lastServerHistory;
+  if (h) {
+    if (isLongHistoryWindow(state.historyMinutes, h)) {
+      return state.longHistory?.windowMin === state.historyMinutes ? state.longHistory : null;
+    }
+    return sliceServerHistoryToMinutes(h, state.historyMinutes);
+  }
+  return local;
+}
+
+// Render the per-core heat strip (cells are reused while the core count is stable)
+function renderCoreStrip(perCore) {
+  const wrap = $("cpuCoresWrap");
+  const strip = $("cpuCoreStrip");
+  if (!wrap || !strip) return;
+
+  wrap.hidden = !perCore.length;
+  if (!perCore.length) return;
+
+  if (strip.children.length !== perCore.length) {
+    strip.innerHTML = perCore.map(() => `<span class="cpu-core-cell"></span>`).join("");
+  }
+
+  let hottest = perCore[0];
+  perCore.forEach((c, i) => {
+    const u = clamp(Number(c.util_pct) || 0, 0, 100);
+    const cell = strip.children[i];
+    cell.style.background = pctColorCss(u);
+    cell.style.opacity = (0.2 + (u / 100) * 0.8).toFixed(2);
+    cell.title = t("cpu.coreTitle", {
+      cpu: c.cpu,
+      util: u.toFixed(0),
+      iowait: fmtPct(c.iowait),
+      steal: fmtPct(c.steal),
+    });
+    if (u > (Number(hottest.util_pct) || 0)) hottest = c;
+  });
+
+  const val = $("cpuCoresVal");
+  if (val) {
+    val.textContent = t("cpu.coresLine", {
+      max: (Number(hottest.util_pct) || 0).toFixed(0),
+      cpu: hottest.cpu,
+    });
+  }
+}
+
+// Build stacked-area paths (one per mode) from percent series
+function stackedPaths(series) {
+  const n = Math.min(...CPU_MODE_KEYS.map((k) => series[k].length));
+  if (n < 2) return CPU_MODE_KEYS.map(() => "");
+
+  const x = (i) => ((i / (n - 1)) * 100).toFixed(2);
+  const y = (v) => (CHART_H - (clamp(v, 0, 100) / 100) * CHART_H).toFixed(2);
+
+  let base = new Array(n).fill(0);
+  return CPU_MODE_KEYS.map((k) => {
+    const top = base.map((b, i) => b + (Number(series[k][i]) || 0));
+    let d = `M${x(0)} ${y(top[0])}`;
+    for (let i = 1; i < n; i++) d += ` L${x(i)} ${y(top[i])}`;
+    for (let i = n - 1; i >= 0; i--) d += ` L${x(i)} ${y(base[i])}`;
+    base = top;
+    return d + " Z";
+  });
+}
+
+// Render the stacked breakdown chart and its legend
+function renderModesChart(b, state) {
+  const wrap = $("cpuModesWrap");
+  const svg = $("cpuModesChart");
+  if (!wrap || !svg) return;
+
+  wrap.hidden = !b;
+  if (!b) return;
+
+  if (svg.children.length !== CPU_MODE_KEYS.length) {
+    svg.replaceChildren(
+      ...CPU_MODE_KEYS.map((k) => {
+        const p = document.createElementNS(SVG_NS, "path");
+        p.setAttribute("class", `cpu-mode cpu-mode--${modeName(k)}`);
+        return p;
+      })
+    );
+  }
+
+  const src = breakdownSeries(state);
+  const series = {};
+  for (const k of CPU_MODE_KEYS) series[k] = downsample(Array.isArray(src?.[k]) ? src[k] : [], 140);
+
+  stackedPaths(series).forEach((d, i) => svg.children[i].setAttribute("d", d));
+
+  const legend = $("cpuModesLegend");
+  if (legend) {
+    legend.innerHTML = CPU_MODE_KEYS.map((k) => {
+      const m = modeName(k);
+      return `<span class="cpu-mode-key"><i class="cpu-mode-dot cpu-mode--${m}"></i>${escHtml(
+        t(`cpu.mode.${m}`)
+      )} <span class="mono">${fmtPct(b[m])}</span></span>`;
+    }).join("");
+  }
+
+  const val = $("cpuModesVal");
+  if (val) val.textContent = t("cpu.breakdownLine", { iowait: fmtPct(b.iowait), steal: fmtPct(b.steal) });
+}
+
+// Per-core heat strip and user/system/iowait/... breakdown for the CPU card
+// - sample: push into the local buffer (only when no server history is available)
+export function renderCpuBreakdown(data, state, { sample = false } = {}) {
+  const b = data.cpu?.breakdown || null;
+  if (b && sample) pushLocal(b, maxSparkLen(state.historyMinutes));
+
+  renderCoreStrip(Array.isArray(data.cpu?.per_core) ? data.cpu.per_core : []);
+  renderModesChart(b, state);
+}
@@ -3,6 +3,7 @@ import { clamp, formatBytes, formatRate, pctColorCss, setBar, escHtml, getParam
 import { KEYS, lsGetJson, lsSetJson, lsSet } from "./storage.js";
 import { t } from "./i18n.js";
 import { isCoarsePointer, loadLayoutEdit } from "./layout.js";
+import { staleText, staleTitle } from "./stale.js";
 
 // Calculate used percentage
 export function calcDiskPct(d) {
@@ -28,6 +29,93 @@ function fmtDiskIo(d) {
   return t("disk.ioLine", { read: rr, write: ww });
 }
 
+// Format the iostat-style line (IOPS, await, %util); null when the server sends no IO stats
+function fmtDiskIops(d) {
+  const r = Number(d?.read_iops);
+  const w = Number(d?.write_iops);
+  if (d?.read_iops == null || !Number.isFinite(r) || !Number.isFinite(w)) return null;
+  return t("disk.iopsLine", {
+    read: r.toFixed(r < 10 ? 1 : 0),
+    write: w.toFixed(w < 10 ? 1 : 0),
+    await: (Number(d.await_ms) || 0).toFixed(1),
+    util: (Number(d.util_pct) || 0).toFixed(0),
+  });
+}
+
+// Tooltip with the full iostat breakdown
+function fmtDiskIopsTitle(d) {
+  return t("disk.iopsTitle", {
+    rAwait: (Number(d.read_await_ms) || 0).toFixed(1),
+    wAwait: (Number(d.write_await_ms) || 0).toFixed(1),
+    queue: (Number(d.queue_depth) || 0).toFixed(2),
+    inflight: d.in_flight ?? "—",
+  });
+}
+
+// Format an inode count (1.2M, 350K, 812)
+function fmtCount(n) {
+  const v = Number(n);
+  if (!Number.isFinite(v)) return "—";
+  if (v >= 1e9) return `${(v / 1e9).toFixed(1)}G`;
+  if (v >= 1e6) return `${(v / 1e6).toFixed(1)}M`;
+  if (v >= 1e3) return `${(v / 1e3).toFixed(0)}K`;
+  return String(v);
+}
+
+// Calculate inode used percentage (null when the filesystem has no fixed inode table)
+function calcInodePct(d) {
+  const used = Number(d?.inodes_used), total = Number(d?.inodes_total);
+  if (!Number.isFinite(used) || !Number.isFinite(total) || total <= 0) return null;
+  return (used / total) * 100;
+}
+
+// Health badges: read-only mount and kernel-reported filesystem errors
+function fmtDiskHealth(d) {
+  let html = "";
+  if (d?.readonly) {
+    html += `<span class="badge mono badge-warning" title="${escHtml(t("disk.readonlyTitle"))}">${escHtml(t("disk.readonly"))}</span>`;
+  }
+  const errs = Number(d?.fs_errors);
+  if (Number.isFinite(errs) && errs > 0) {
+    const det = d?.fs_error_detail || {};
+    const title = Object.entries(det)
+      .filter(([, v]) => v != null)
+      .map(([k, v]) => `${k}: ${v}`)
+      .join("\n");
+    html += `<span class="badge mono badge-danger" title="${escHtml(title)}">${escHtml(t("disk.fsErrors", { n: errs }))}</span>`;
+  }
+  return html;
+}
+
+// SMART health ordering: identical drive models show the worst report
+const SMART_RANK = { failed: 3, warning: 2, unknown: 1, ok: 0, standby: 0 };
+const SMART_BADGE = { ok: "badge-success", warning: "badge-warning", failed: "badge-danger" };
+const SMART_FIELDS = ["temp_c", "power_on_hours", "reallocated_sectors", "pending_sectors", "percentage_used", "media_errors"];
+
+// Index SMART reports by drive model (disks carry the model of their parent drive as blk_model)
+function smartByModel(smart) {
+  const map = new Map();
+  for (const r of Array.isArray(smart?.devices) ? smart.devices : []) {
+    const model = String(r?.model || "").trim();
+    if (!model) continue;
+    const cur = map.get(model);
+    if (!cur || (SMART_RANK[r.health] ?? 0) > (SMART_RANK[cur.health] ?? 0)) map.set(model, r);
+  }
+  return map;
+}
+
+// SMART health chip with the drive details in its tooltip
+function fmtSmartChip(r) {
+  if (!r) return "";
+  const lines = [r.dev, ...SMART_FIELDS.filter((k) => r[k] != null).map((k) => t(`disk.smart.${k}`, { val: r[k] }))];
+  if (r.standby) lines.push(t("disk.smart.standbyKept"));
+  if (r.error) lines.push(r.error);
+  const cls = SMART_BADGE[r.health] || "badge-soft";
+  return `<span class="badge mono ${cls}" title="${escHtml(lines.filter(Boolean).join("\n"))}">${escHtml(
+    t(`disk.smart.health.${r.health}`)
+  )}</span>`;
+}
+
 // Format disk metadata line
 function fmtDiskMeta(d) {
   const model = (d?.blk_model || "").trim();
@@ -394,6 +482,7 @@ export function renderDisks(data, ctx) {
   } = ctx;
 
   const disks = data.disks || {};
+  const smart = smartByModel(data.smart);
   const entriesAll = Object.entries(disks);
   const entries = entriesAll.filter(([_, d]) => {
     const total = Number(d?.total);
@@ -497,16 +586,22 @@ export function renderDisks(data, ctx) {
     const meta = fmtDiskMeta(d);
     const metaHtml = meta ? `<div class="disk-meta-row mono">${escHtml(meta)}</div>` : "";
     const pct = calcDiskPct(d);
+    const inodePct = calcInodePct(d);
+    const iops = fmtDiskIops(d);
+    const stale = staleText(d);
+    const staleHtml = stale
+      ? `<span class="badge mono badge-warning stale-badge" title="${escHtml(staleTitle(d))}">${escHtml(stale)}</span>`
+      : "";
 
     if (pct != null) if (!fullest || pct > fullest.pct) fullest = { mount, pct, d };
 
     const row = document.createElement("div");
     row.className = "disk-item";
     row.setAttribute("data-disk-key", String(d.key || key));
-    if (pct != null) {
-      if (pct >= 90) row.classList.add("disk-hot");
-      else if (pct >= 70) row.classList.add("disk-warn");
-    }
+    // Running out of inodes fills a disk just as well as running out of space
+    const worst = Math.max(pct ?? 0, inodePct ?? 0);
+    if (worst >= 90) row.classList.add("disk-hot");
+    else if (worst >= 70) row.classList.add("disk-warn");
 
     row.innerHTML = `
       <div class="disk-header">
@@ -514,8 +609,14 @@ export function renderDisks(data, ctx) {
         <div class="disk-name">
           ${escHtml(mount)}
           ${d?.fstype ? `<span class="badge mono badge-soft">${escHtml(d.fstype)}</span>` : ""}
+          ${fmtSmartChip(smart.get((d?.blk_model || "").trim()))}
+          ${fmtDiskHealth(d)}
+          ${staleHtml}
+        </div>
+        <div class="disk-io-row mono">
+          <span>${escHtml(fmtDiskIo(d))}</span>
+          ${iops ? `<span class="disk-iops" title="${escHtml(fmtDiskIopsTitle(d))}">${escHtml(iops)}</span>` : ""}
         </div>
-        <div class="disk-io-row mono">${escHtml(fmtDiskIo(d))}</div>
       </div>
       ${metaHtml}
     `;
@@ -534,6 +635,11 @@ export function renderDisks(data, ctx) {
         </div>
       </div>
       <div class="progress"><div class="progress-bar"></div></div>
+      ${inodePct != null ? `
+      <div class="disk-inodes mono">
+        <span class="disk-inodes__pct">${t("disk.inodesLine", { pct: inodePct.toFixed(1) })}</span>
+        <span>${t("disk.inodesFree", { val: fmtCount(d.inodes_free), total: fmtCount(d.inodes_total) })}</span>
+      </div>` : ""}
     `;
 
     const bar = progress.querySelector(".progress-bar");
@@ -542,6 +648,9 @@ export function renderDisks(data, ctx) {
     setBar(bar, pct ?? 0, color);
     if (pctEl) pctEl.style.color = color;
 
+    const inodeEl = progress.querySelector(".disk-inodes__pct");
+    if (inodeEl) inodeEl.style.color = pctColorCss(inodePct);
+
     row.appendChild(progress);
     c.listEl.appendChild(row);
   };
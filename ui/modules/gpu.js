@@ -0,0 +1,157 @@
+import { $ } from "./dom.js";
+import { clamp, escHtml, formatBytes, pctColorCss } from "./util.js";
+import { t } from "./i18n.js";
+import { gpuHistoryKey, isLongHistoryWindow } from "./history.js";
+import { maxSparkLen, downsample, normalize01, sparkPathScaled, sliceServerHistoryToMinutes } from "./sparks.js";
+
+// Per-GPU usage collected client-side when the server sends no history
+const local = new Map();
+
+// Throttle reasons that hold the card back (idle / clock settings are left out)
+const LIMITING_REASONS = ["sw_power_cap", "hw_slowdown", "sw_thermal", "hw_thermal", "hw_power_brake"];
+
+// Compute processes listed per GPU
+const PROCS_SHOWN = 3;
+
+// GPUs from the payload (index order)
+function gpuList(data) {
+  return Array.isArray(data?.gpu?.gpus) ? data.gpu.gpus : [];
+}
+
+// Push the current usage of every GPU into the local buffer
+function pushLocal(gpus, maxLen) {
+  for (const g of gpus) {
+    if (!local.has(g.index)) local.set(g.index, { util: [], vram: [] });
+    const s = local.get(g.index);
+    s.util.push(Number.isFinite(Number(g.util_pct)) ? Number(g.util_pct) : 0);
+    s.vram.push(Number.isFinite(Number(g.mem_used_b)) ? Number(g.mem_used_b) : 0);
+    for (const k of ["util", "vram"]) {
+      if (s[k].length > maxLen) s[k].splice(0, s[k].length - maxLen);
+    }
+  }
+}
+
+// Util / VRAM history of one GPU (rollups, raw ring or local buffer)
+function gpuSeries(state, index) {
+  const h = state.lastServerHistory;
+  if (!h) return local.get(index) || { util: [], vram: [] };
+
+  const src = isLongHistoryWindow(state.historyMinutes, h)
+    ? state.longHistory?.windowMin === state.historyMinutes
+      ? state.longHistory
+      : null
+    : sliceServerHistoryToMinutes(h, state.historyMinutes);
+
+  const pick = (field) => (src?.[gpuHistoryKey(index, field)] || []).map((v) => Math.max(0, Number(v) || 0));
+  return { util: pick("util"), vram: pick("vram_used_b") };
+}
+
+// PCIe link as "PCIe 4 x16", with the maximum when the link runs below it
+function pcieText(p) {
+  if (!p || (p.gen == null && p.width == null)) return null;
+  const cur = `PCIe ${p.gen ?? "?"} x${p.width ?? "?"}`;
+  const degraded = (p.gen_max != null && p.gen < p.gen_max) || (p.width_max != null && p.width < p.width_max);
+  return degraded ? `${cur} (${t("gpu.pcieMax", { gen: p.gen_max ?? "?", width: p.width_max ?? "?" })})` : cur;
+}
+
+// Extended lines (NVIDIA): clocks / fan / P-state / PCIe, encoder / decoder, throttling and top processes
+function gpuDetailsHtml(g) {
+  if (!g) return "";
+  const lines = [];
+
+  const facts = [
+    g.freq_mhz != null ? `${g.vendor === "nvidia" ? "SM" : "GPU"} ${g.freq_mhz}${g.freq_max_mhz != null ? ` / ${g.freq_max_mhz}` : ""} MHz` : null,
+    g.mem_freq_mhz != null ? `Mem ${g.mem_freq_mhz} MHz` : null,
+    g.fan_pct != null ? t("gpu.fan", { pct: Number(g.fan_pct).toFixed(0) }) : null,
+    g.pstate != null ? `P${g.pstate}` : null,
+    pcieText(g.pcie),
+  ].filter(Boolean);
+  if (facts.length) lines.push(`<div class="gpu-detail mono text-muted">${escHtml(facts.join(" · "))}</div>`);
+
+  if (g.enc_util_pct != null || g.dec_util_pct != null) {
+    const busy = Number(g.enc_util_pct) >= 90 || Number(g.dec_util_pct) >= 90;
+    const txt = t("gpu.encDec", { enc: g.enc_util_pct ?? "—", dec: g.dec_util_pct ?? "—" });
+    lines.push(`<div class="gpu-detail mono ${busy ? "is-warning" : ""}">${escHtml(txt)}</div>`);
+  }
+
+  const limiting = (g.throttle_reasons || []).filter((r) => LIMITING_REASONS.includes(r));
+  if (limiting.length) {
+    const txt = t("gpu.throttled", { reasons: limiting.map((r) => t(`gpu.throttle.${r}`)).join(", ") });
+    lines.push(`<div class="gpu-detail mono is-warning">${escHtml(txt)}</div>`);
+  }
+
+  const procs = Array.isArray(g.processes) ? g.processes : [];
+  if (procs.length) {
+    const shown = procs.slice(0, PROCS_SHOWN).map((p) => {
+      const name = String(p.name || `pid ${p.pid}`).split("/").pop();
+      return `${name}${p.mem_used_b != null ? ` ${formatBytes(p.mem_used_b)}` : ""}`;
+    });
+    const more = procs.length > PROCS_SHOWN ? ` ${t("gpu.procsMore", { n: procs.length - PROCS_SHOWN })}` : "";
+    const title = procs.map((p) => `${p.pid} ${p.name || "?"}${p.mem_used_b != null ? ` ${formatBytes(p.mem_used_b)}` : ""}`).join("\n");
+    lines.push(`<div class="gpu-detail mono" title="${escHtml(title)}"><span class="text-muted">${escHtml(t("gpu.procs"))}</span> ${escHtml(shown.join(" · ") + more)}</div>`);
+  }
+
+  return lines.join("");
+}
+
+// One GPU mini-panel: name, usage, temperature / power, VRAM bar, extended lines and a small chart
+function panelHtml(g, state) {
+  const util = Number(g.util_pct);
+  const mu = Number(g.mem_used_b);
+  const mt = Number(g.mem_total_b);
+  const memPct = Number.isFinite(mu) && mt > 0 ? clamp((mu / mt) * 100, 0, 100) : null;
+
+  const facts = [
+    g.temp_c != null ? `${Number(g.temp_c).toFixed(0)}°C` : null,
+    g.power_w != null ? (g.power_limit_w != null ? `${Number(g.power_w).toFixed(0)}W / ${Number(g.power_limit_w).toFixed(0)}W` : `${Number(g.power_w).toFixed(0)}W`) : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  const s = gpuSeries(state, g.index);
+  const vramDS = downsample(s.vram, 140);
+  const utilPath = sparkPathScaled(downsample(s.util, 140), 24, 100);
+  const vramPath = mt > 0 ? sparkPathScaled(vramDS, 24, mt) : sparkPathScaled(normalize01(vramDS), 24, 1);
+
+  return `
+    <div class="gpu-panel ${g.throttled ? "is-throttled" : ""}">
+      <div class="gpu-panel-head">
+        <span class="badge mono">${escHtml(`#${g.index}`)}</span>
+        <span class="gpu-panel-name mono" title="${escHtml([g.name, g.vendor, g.driver, g.pci].filter(Boolean).join(" · "))}">${escHtml(g.name || "GPU")}</span>
+        <span class="gpu-panel-util mono" style="color:${Number.isFinite(util) ? pctColorCss(util) : "inherit"}">${
+          Number.isFinite(util) ? `${util.toFixed(0)}%` : "—"
+        }</span>
+      </div>
+      ${facts ? `<div class="gpu-panel-meta mono text-muted">${escHtml(facts)}</div>` : ""}
+      ${
+        memPct != null
+          ? `<div class="gpu-panel-meta mono"><span class="text-muted">${escHtml(t("gpu.vram"))}</span> ${escHtml(`${formatBytes(mu)} / ${formatBytes(mt)}`)}</div>
+      <div class="progress gpu-panel-bar"><div class="progress-bar" style="width:${memPct.toFixed(1)}%;background:${pctColorCss(memPct)}"></div></div>`
+          : ""
+      }
+      ${gpuDetailsHtml(g)}
+      <svg class="gpu-panel-spark" viewBox="0 0 100 24" preserveAspectRatio="none" aria-hidden="true">
+        <path d="${utilPath}" fill="none" stroke="var(--chart-gpu)" stroke-width="1.5" opacity="0.95"></path>
+        <path d="${vramPath}" fill="none" stroke="var(--chart-vram)" stroke-width="1.5" opacity="0.85"></path>
+      </svg>
+    </div>`;
+}
+
+// Render the per-GPU grid
+// - Returns true when more than one GPU is present (the single view is hidden)
+export function renderGpus(data, state, { sample = false } = {}) {
+  const gpus = gpuList(data);
+  if (sample) pushLocal(gpus, maxSparkLen(state.historyMinutes));
+
+  const grid = gpus.length > 1;
+  $("gpuSingle")?.classList.toggle("is-hidden", grid);
+
+  const details = $("gpuDetails");
+  if (details) details.innerHTML = grid ? "" : gpuDetailsHtml(gpus[0]);
+
+  const box = $("gpuGrid");
+  if (!box) return grid;
+  box.classList.toggle("is-hidden", !grid);
+  if (grid) box.innerHTML = gpus.map((g) => panelHtml(g, state)).join("");
+  return grid;
+}
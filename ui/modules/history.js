@@ -1,7 +1,7 @@
 import { KEYS, lsGet, lsSet, lsGetJson, lsSetJson } from "./storage.js";
 import { getParam } from "./util.js";
 
-export const HISTORY_MINUTES_ALLOWED = [1, 5, 10, 15, 30, 60, 90, 120];
+export const HISTORY_MINUTES_ALLOWED = [1, 5, 10, 15, 30, 60, 90, 120, 360, 1440, 10080, 43200];
 
 // Resolve poll interval (ms) from query or storage
 export function resolveInitialPollMs() {
@@ -32,28 +32,113 @@ export function saveHistoryCfg(minutes) {
   lsSet(KEYS.HISTORY_CFG_KEY, String(minutes));
 }
 
+// CPU time breakdown series (percent of total CPU time, same key on server and client)
+export const CPU_MODE_KEYS = ["cpu_user", "cpu_system", "cpu_iowait", "cpu_irq", "cpu_softirq", "cpu_steal", "cpu_guest"];
+
+// Server history key -> client series key
+const SERVER_HISTORY_KEYS = {
+  cpu1: "cpu1",
+  cpu5: "cpu5",
+  cpu15: "cpu15",
+  cpu_util: "cpu_util",
+  ...Object.fromEntries(CPU_MODE_KEYS.map((k) => [k, k])),
+  gpu_util: "gpu",
+  vram_used_b: "vram",
+  ram_used_b: "ram_used",
+  ram_free_b: "ram_free",
+  swap_used_b: "swap_used",
+  net_down_bps: "down",
+  net_up_bps: "up",
+};
+
+export const HISTORY_SERIES_KEYS = Object.values(SERVER_HISTORY_KEYS);
+
+// Per-interface network series, mirrored under their server keys (net_<iface>_down_bps / net_<iface>_up_bps)
+const NET_IFACE_SERIES_RE = /^net_.+_(down|up)_bps$/;
+
+// History key of one interface's down/up series
+export function netIfaceHistoryKey(iface, dir) {
+  return `net_${iface}_${dir}_bps`;
+}
+
+// Per-GPU series, mirrored under their server keys (gpu_<index>_util / gpu_<index>_vram_used_b)
+const GPU_SERIES_RE = /^gpu_\d+_(util|vram_used_b)$/;
+
+// History key of one GPU's util / vram_used_b series
+export function gpuHistoryKey(index, field) {
+  return `gpu_${index}_${field}`;
+}
+
+// Per-interface and per-GPU series keys present in a history block
+export function dynamicHistoryKeys(h) {
+  return Object.keys(h || {}).filter((k) => (NET_IFACE_SERIES_RE.test(k) || GPU_SERIES_RE.test(k)) && Array.isArray(h[k]));
+}
+
 // Extract server history payload into normalized shape
+// - full: false means ts/series only hold samples after `since` (delta)
 export function getServerHistory(data) {
   const h = data?.history;
   if (!h || typeof h !== "object") return null;
   const ts = Array.isArray(h.ts) ? h.ts : [];
-  if (!ts.length) return null;
-  return {
+  const full = h.full !== false;
+  if (full && !ts.length) return null;
+
+  const out = {
     sampleMs: Number(h.sample_ms || h.sampleMs || 1000) || 1000,
     maxMin: Number(h.max_min || h.maxMin || 60) || 60,
+    maxWindowMin: Number(h.max_window_min || h.max_min || 60) || 60,
+    full,
+    since: full ? null : Number(h.since),
+    cursor: Number(h.cursor) || Number(ts[ts.length - 1]) || 0,
     ts,
-    cpu1: Array.isArray(h.cpu1) ? h.cpu1 : [],
-    cpu5: Array.isArray(h.cpu5) ? h.cpu5 : [],
-    cpu15: Array.isArray(h.cpu15) ? h.cpu15 : [],
-    cpu_util: Array.isArray(h.cpu_util) ? h.cpu_util : [],
-    gpu: Array.isArray(h.gpu_util) ? h.gpu_util : [],
-    vram: Array.isArray(h.vram_used_b) ? h.vram_used_b : [],
-    ram_used: Array.isArray(h.ram_used_b) ? h.ram_used_b : [],
-    ram_free: Array.isArray(h.ram_free_b) ? h.ram_free_b : [],
-    swap_used: Array.isArray(h.swap_used_b) ? h.swap_used_b : [],
-    down: Array.isArray(h.net_down_bps) ? h.net_down_bps : [],
-    up: Array.isArray(h.net_up_bps) ? h.net_up_bps : [],
   };
+  for (const [srvKey, key] of Object.entries(SERVER_HISTORY_KEYS)) {
+    out[key] = Array.isArray(h[srvKey]) ? h[srvKey] : [];
+  }
+  for (const k of dynamicHistoryKeys(h)) out[k] = h[k];
+  return out;
+}
+
+// Merge a history block into the client-side mirror of the server ring buffer
+// - Returns the updated mirror, or null when a delta does not continue our cursor (resync needed)
+export function mergeServerHistory(prev, h) {
+  if (!h) return prev || null;
+  if (h.full) return h;
+  if (!prev) return null;
+  if (h.cursor === prev.cursor) return prev;
+  if (h.since !== prev.cursor) return null;
+
+  prev.sampleMs = h.sampleMs;
+  prev.maxMin = h.maxMin;
+  prev.maxWindowMin = h.maxWindowMin;
+  prev.cursor = h.cursor;
+
+  const n = h.ts.length;
+  prev.ts.push(...h.ts);
+  for (const k of HISTORY_SERIES_KEYS) {
+    const add = h[k].length ? h[k] : new Array(n).fill(0);
+    prev[k].push(...add);
+  }
+
+  // Interfaces / GPUs that appeared are left-padded, ones missing from the delta get gaps
+  const dynKeys = [...new Set([...dynamicHistoryKeys(prev), ...dynamicHistoryKeys(h)])];
+  for (const k of dynKeys) {
+    if (!prev[k]) prev[k] = new Array(prev.ts.length - n).fill(null);
+    prev[k].push(...(h[k]?.length ? h[k] : new Array(n).fill(null)));
+  }
+
+  // Drop samples that fell out of the server window
+  const cutoff = prev.cursor - prev.maxMin * 60 * 1000;
+  let i0 = 0;
+  while (i0 < prev.ts.length && Number(prev.ts[i0]) < cutoff) i0++;
+  if (i0 > 0) {
+    prev.ts.splice(0, i0);
+    for (const k of [...HISTORY_SERIES_KEYS, ...dynKeys]) {
+      const extra = prev[k].length - prev.ts.length;
+      if (extra > 0) prev[k].splice(0, extra);
+    }
+  }
+  return prev;
 }
 
 // Check if server history is active
@@ -73,9 +158,24 @@ export function saveHistoryState(payload) {
   lsSetJson(KEYS.HISTORY_STATE_KEY, payload);
 }
 
-// Clamp UI history minutes by server max if needed
+// Check whether a window needs the long-term (rollup) history endpoint
+export function isLongHistoryWindow(minutes, h) {
+  const raw = Number(h?.maxMin);
+  return Number.isFinite(raw) && raw > 0 && Number(minutes) > raw;
+}
+
+// Parse a /stats/history response into the normalized history shape
+export function getLongHistory(json) {
+  const h = getServerHistory({ history: json });
+  if (!h) return null;
+  h.tier = String(json?.tier || "");
+  h.windowMin = Number(json?.window_min) || 0;
+  return h;
+}
+
+// Clamp UI history minutes by server max if needed (raw ring + rollup tiers)
 export function setHistoryMinutesFromServerIfNeeded(h, state, onChange) {
-  const mm = Number(h?.maxMin);
+  const mm = Number(h?.maxWindowMin ?? h?.maxMin);
   if (!Number.isFinite(mm) || mm <= 0) return;
 
   if (Number(state.historyMinutes) > mm) {
@@ -21,6 +21,7 @@ export function getDefaultSysRowsVisibility() {
     arch: true,
     desktop: true,
     session: true,
+    runtime: true,
   };
 }
 
@@ -143,7 +144,7 @@ export function isCoarsePointer() {
 
 // Default visibility map for dashboard cards
 export function getDefaultCardsVisibility() {
-  return { summary:true, system:true, cpu:true, gpu:true, ram:true, net:true, speedtest:true, disks:true, raw:true };
+  return { summary:true, system:true, cpu:true, gpu:true, ram:true, net:true, traffic:true, speedtest:true, sensors:true, arrays:true, processes:true, containers:true, disks:true, raw:true };
 }
 
 // Load card visibility map from storage
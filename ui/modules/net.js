@@ -0,0 +1,167 @@
+import { $ } from "./dom.js";
+import { escHtml, formatRate } from "./util.js";
+import { t } from "./i18n.js";
+import { KEYS, lsGet, lsSet } from "./storage.js";
+import { isLongHistoryWindow, netIfaceHistoryKey } from "./history.js";
+import { maxSparkLen, downsample, sparkPath, sliceServerHistoryToMinutes } from "./sparks.js";
+
+// View value that stacks every interface
+export const NET_VIEW_ALL = "*";
+
+// Per-interface rates collected client-side when the server sends no history
+const local = new Map();
+// Option list the view <select> was last built from
+let selectSig = "";
+
+// Saved view: "" (primary interface), an interface name or NET_VIEW_ALL
+function netView() {
+  return lsGet(KEYS.NET_VIEW_KEY, "") || "";
+}
+
+// Interfaces from the payload (primary first)
+function ifaceList(data) {
+  return Array.isArray(data?.net?.ifaces) ? data.net.ifaces : [];
+}
+
+// Link speed as "1 Gbit/s" / "100 Mbit/s"
+function fmtLinkSpeed(mbps) {
+  const n = Number(mbps);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  return n >= 1000 ? `${+(n / 1000).toFixed(1)} Gbit/s` : `${n} Mbit/s`;
+}
+
+// Address without the prefix length
+function shortAddr(a) {
+  return String(a || "").split("/")[0];
+}
+
+// Push the current rates of every interface into the local buffer
+function pushLocal(ifaces, maxLen) {
+  for (const n of ifaces) {
+    if (!local.has(n.name)) local.set(n.name, { down: [], up: [] });
+    const s = local.get(n.name);
+    s.down.push(Math.max(0, Number(n.down_bps) || 0));
+    s.up.push(Math.max(0, Number(n.up_bps) || 0));
+    for (const k of ["down", "up"]) {
+      if (s[k].length > maxLen) s[k].splice(0, s[k].length - maxLen);
+    }
+  }
+}
+
+// Interface the single view shows (null: the primary, drawn from the shared sparks)
+export function selectedIface(data) {
+  const v = netView();
+  if (!v || v === NET_VIEW_ALL) return null;
+  return ifaceList(data).find((n) => n.name === v) || null;
+}
+
+// Down/up history of one interface (rollups, raw ring or local buffer)
+export function ifaceSeries(state, name) {
+  const h = state.lastServerHistory;
+  if (!h) return local.get(name) || { down: [], up: [] };
+
+  const src = isLongHistoryWindow(state.historyMinutes, h)
+    ? state.longHistory?.windowMin === state.historyMinutes
+      ? state.longHistory
+      : null
+    : sliceServerHistoryToMinutes(h, state.historyMinutes);
+
+  const pick = (dir) => (src?.[netIfaceHistoryKey(name, dir)] || []).map((v) => Math.max(0, Number(v) || 0));
+  return { down: pick("down"), up: pick("up") };
+}
+
+// Down/up sparkline paths on a shared scale
+export function netSparkPaths(series, H) {
+  const downDS = downsample(series.down, 140);
+  const upDS = downsample(series.up, 140);
+  const max = Math.max(...downDS, ...upDS, 1e-9);
+  return {
+    max,
+    down: sparkPath(downDS.map((x) => x / max), H),
+    up: sparkPath(upDS.map((x) => x / max), H),
+  };
+}
+
+// Rebuild the view options when the set of interfaces changes
+function renderViewSelect(data, ifaces) {
+  const sel = $("netViewSelect");
+  if (!sel) return;
+
+  const primary = data?.net?.primary || data?.net_iface || "";
+  const auto = primary ? t("net.viewAutoWith", { iface: primary }) : t("net.viewAuto");
+  const sig = JSON.stringify([auto, ifaces.map((n) => n.name), t("net.viewAll")]);
+  if (sig !== selectSig) {
+    selectSig = sig;
+    sel.innerHTML = [
+      `<option value="">${escHtml(auto)}</option>`,
+      ...ifaces.map((n) => `<option value="${escHtml(n.name)}">${escHtml(n.name)}</option>`),
+      `<option value="${NET_VIEW_ALL}">${escHtml(t("net.viewAll"))}</option>`,
+    ].join("");
+  }
+
+  const v = netView();
+  if (document.activeElement !== sel) sel.value = v === NET_VIEW_ALL || ifaces.some((n) => n.name === v) ? v : "";
+  sel.closest(".net-view")?.classList.toggle("is-hidden", ifaces.length < 2);
+}
+
+// One stacked interface row: state, link facts, rates, packets/errors and a small chart
+function ifaceRowHtml(n, state) {
+  const facts = [fmtLinkSpeed(n.speed_mbps), n.mtu ? `MTU ${n.mtu}` : null, n.mac].filter(Boolean).join(" · ");
+  const addrs = (n.addresses || []).map(shortAddr).join(" · ");
+  const bad = Number(n.errors_ps) > 0 || Number(n.drops_ps) > 0;
+  const pkts = t("net.pktLine", {
+    rx: Math.round(Number(n.rx_pps) || 0),
+    tx: Math.round(Number(n.tx_pps) || 0),
+    errors: n.rx_errors + n.tx_errors || 0,
+    drops: n.rx_dropped + n.tx_dropped || 0,
+  });
+  const p = netSparkPaths(ifaceSeries(state, n.name), 24);
+
+  return `
+    <div class="net-iface ${n.up ? "" : "is-down"}">
+      <div class="net-iface-head">
+        <span class="net-iface-name mono">${escHtml(n.name)}</span>
+        <span class="badge mono ${n.up ? "badge-success" : "badge-danger"}" title="${escHtml(n.operstate || "")}">${escHtml(
+          t(n.up ? "net.stateUp" : "net.stateDown")
+        )}</span>
+        <span class="net-iface-rates mono">↓ ${escHtml(formatRate(n.down_bps))} · ↑ ${escHtml(formatRate(n.up_bps))}</span>
+      </div>
+      ${facts ? `<div class="net-iface-meta mono text-muted">${escHtml(facts)}</div>` : ""}
+      ${addrs ? `<div class="net-iface-meta mono text-muted" title="${escHtml(addrs)}">${escHtml(addrs)}</div>` : ""}
+      <div class="net-iface-meta mono ${bad ? "is-warning" : "text-muted"}" title="${escHtml(t("net.pktTitle"))}">${escHtml(pkts)}</div>
+      <svg class="net-iface-spark" viewBox="0 0 100 24" preserveAspectRatio="none" aria-hidden="true">
+        <path d="${p.down}" fill="none" stroke="var(--chart-net-down)" stroke-width="1.5" opacity="0.95"></path>
+        <path d="${p.up}" fill="none" stroke="var(--chart-net-up)" stroke-width="1.5" opacity="0.85"></path>
+      </svg>
+    </div>`;
+}
+
+// Render the interface picker and the stacked interface list
+// - Returns true when the stacked view is active (the single view is hidden)
+export function renderNetIfaces(data, state, { sample = false } = {}) {
+  const ifaces = ifaceList(data);
+  if (sample) pushLocal(ifaces, maxSparkLen(state.historyMinutes));
+
+  renderViewSelect(data, ifaces);
+
+  const stacked = netView() === NET_VIEW_ALL && ifaces.length > 1;
+  $("netSingle")?.classList.toggle("is-hidden", stacked);
+
+  const box = $("netIfaceList");
+  if (!box) return stacked;
+  box.classList.toggle("is-hidden", !stacked);
+  if (stacked) box.innerHTML = ifaces.map((n) => ifaceRowHtml(n, state)).join("");
+  return stacked;
+}
+
+// Wire the interface view picker (saved per browser)
+export function initNetCard(onChange) {
+  const sel = $("netViewSelect");
+  if (!sel || sel._netBound) return;
+  sel._netBound = true;
+
+  sel.addEventListener("change", () => {
+    lsSet(KEYS.NET_VIEW_KEY, sel.value);
+    onChange?.();
+  });
+}
@@ -0,0 +1,125 @@
+import { $ } from "./dom.js";
+import { escHtml, formatBytes } from "./util.js";
+import { t } from "./i18n.js";
+import { KEYS, lsGetJson, lsSetJson } from "./storage.js";
+
+// Sortable columns: value getter and the direction a first click sorts in
+const COLUMNS = {
+  pid: { get: (p) => p.pid, dir: "asc" },
+  name: { get: (p) => String(p.name || "").toLowerCase(), dir: "asc" },
+  user: { get: (p) => String(p.user || "").toLowerCase(), dir: "asc" },
+  state: { get: (p) => p.state || "", dir: "asc" },
+  cpu: { get: (p) => p.cpu_pct ?? -1, dir: "desc" },
+  mem: { get: (p) => p.rss_b ?? 0, dir: "desc" },
+  threads: { get: (p) => p.threads ?? 0, dir: "desc" },
+};
+
+// Known /proc states (others are shown as-is)
+const STATES = ["R", "S", "D", "Z", "T", "I"];
+
+// Saved sort: { key, dir }
+function procSort() {
+  const s = lsGetJson(KEYS.PROC_SORT_KEY, null);
+  return s && COLUMNS[s.key] && (s.dir === "asc" || s.dir === "desc") ? s : { key: "cpu", dir: "desc" };
+}
+
+// Sort the process list by the saved column (ties: CPU%, then pid)
+function sortProcesses(list, { key, dir }) {
+  const get = COLUMNS[key].get;
+  const sign = dir === "asc" ? 1 : -1;
+  return [...list].sort((a, b) => {
+    const x = get(a);
+    const y = get(b);
+    const c = typeof x === "string" ? x.localeCompare(y) : x - y;
+    return c * sign || (b.cpu_pct ?? -1) - (a.cpu_pct ?? -1) || a.pid - b.pid;
+  });
+}
+
+// Header cell with the sort arrow on the active column
+function thHtml(key, label, sort, cls = "") {
+  const active = sort.key === key;
+  const arrow = active ? (sort.dir === "asc" ? " ▲" : " ▼") : "";
+  return `<th class="${[cls, active ? "is-sorted" : ""].filter(Boolean).join(" ")}" data-proc-sort="${key}" aria-sort="${
+    active ? (sort.dir === "asc" ? "ascending" : "descending") : "none"
+  }">${escHtml(label)}${arrow}</th>`;
+}
+
+// One process row
+function rowHtml(p) {
+  const state = STATES.includes(p.state) ? t(`processes.state.${p.state}`) : p.state || "";
+  const cpu = p.cpu_pct == null ? "—" : `${p.cpu_pct.toFixed(1)}%`;
+  const mem = p.mem_pct == null ? formatBytes(p.rss_b) : `${formatBytes(p.rss_b)} · ${p.mem_pct.toFixed(1)}%`;
+  return `
+    <tr class="${p.state === "Z" ? "is-zombie" : ""}">
+      <td class="mono">${p.pid}</td>
+      <td class="proc-name" title="${escHtml(p.cmd || p.name || "")}">
+        <span class="mono">${escHtml(p.name || "?")}</span>
+        ${p.cmd ? `<span class="proc-cmd mono text-muted">${escHtml(p.cmd)}</span>` : ""}
+      </td>
+      <td class="mono">${escHtml(p.user ?? "—")}</td>
+      <td class="mono" title="${escHtml(state)}">${escHtml(p.state || "")}</td>
+      <td class="mono num">${cpu}</td>
+      <td class="mono num">${escHtml(mem)}</td>
+      <td class="mono num">${p.threads ?? "—"}</td>
+    </tr>`;
+}
+
+// Render the Top processes card
+export function renderProcesses(data) {
+  const snap = data?.processes || null;
+  const list = Array.isArray(snap?.top) ? snap.top : [];
+
+  const badge = $("processesBadge");
+  if (badge) {
+    badge.textContent = snap?.ts ? t("processes.badge", { n: snap.total }) : "—";
+    badge.classList.toggle("badge-warning", Number(snap?.zombie) > 0);
+    badge.title = snap?.zombie ? t("processes.zombies", { n: snap.zombie }) : "";
+  }
+
+  const meta = $("processesMeta");
+  if (meta) {
+    meta.textContent = snap?.ts ? t("processes.meta", { running: snap.running, threads: snap.threads, zombie: snap.zombie }) : "";
+  }
+
+  const box = $("processesTable");
+  if (!box) return;
+
+  if (!list.length) {
+    box.innerHTML = `<div class="proc-note text-muted">${escHtml(t("processes.none"))}</div>`;
+    return;
+  }
+
+  const sort = procSort();
+  box.innerHTML = `
+    <table class="proc-table">
+      <thead>
+        <tr>
+          ${thHtml("pid", t("processes.col.pid"), sort)}
+          ${thHtml("name", t("processes.col.name"), sort)}
+          ${thHtml("user", t("processes.col.user"), sort)}
+          ${thHtml("state", t("processes.col.state"), sort)}
+          ${thHtml("cpu", t("processes.col.cpu"), sort, "num")}
+          ${thHtml("mem", t("processes.col.mem"), sort, "num")}
+          ${thHtml("threads", t("processes.col.threads"), sort, "num")}
+        </tr>
+      </thead>
+      <tbody>${sortProcesses(list, sort).map(rowHtml).join("")}</tbody>
+    </table>`;
+}
+
+// Wire column sorting (click a header; click again to reverse; saved per browser)
+export function initProcessesCard(onChange) {
+  const box = $("processesTable");
+  if (!box || box._procBound) return;
+  box._procBound = true;
+
+  box.addEventListener("click", (e) => {
+    const th = e.target.closest?.("[data-proc-sort]");
+    if (!th) return;
+    const key = th.dataset.procSort;
+    const cur = procSort();
+    const dir = cur.key === key ? (cur.dir === "asc" ? "desc" : "asc") : COLUMNS[key].dir;
+    lsSetJson(KEYS.PROC_SORT_KEY, { key, dir });
+    onChange?.();
+  });
+}
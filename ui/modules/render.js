@@ -1,10 +1,19 @@
 import { $, setText } from "./dom.js";
 import { clamp, formatRate, formatBytes, setBar, toGiB, escHtml } from "./util.js";
 import { I18N, t, formatUptimeI18n, formatDateTime } from "./i18n.js";
-import { getServerHistory, setHistoryMinutesFromServerIfNeeded } from "./history.js";
+import { getServerHistory, mergeServerHistory, setHistoryMinutesFromServerIfNeeded, isLongHistoryWindow } from "./history.js";
 import { spark, sparkTs, maxSparkLen, pushSparkPair, normalize01, downsample, sparkPath, sparkPathScaled, applyServerHistoryToSparks, swapPctFromBytes } from "./sparks.js";
 import { renderDisks, setHeroDisk, heroDisk } from "./disks.js";
 import { updateSpeedtestViews, fmtMs, fmtMbps, fmtTs } from "./speedtest.js";
+import { applyStaleBadges } from "./stale.js";
+import { renderCpuBreakdown } from "./cpu.js";
+import { renderSensors } from "./sensors.js";
+import { renderStorageArrays } from "./arrays.js";
+import { renderNetIfaces, selectedIface, ifaceSeries, netSparkPaths } from "./net.js";
+import { renderGpus } from "./gpu.js";
+import { renderTraffic } from "./traffic.js";
+import { renderProcesses } from "./processes.js";
+import { renderContainers } from "./containers.js";
 
 // -----------------------------
 // Raw JSON panel performance
@@ -206,6 +215,29 @@ function cpuHeat(tempC) {
   return { label: t("cpu.heat.hot"), color: "var(--color-danger)" };
 }
 
+// System "View" row: host or container perspective plus the cgroup limits
+function renderRuntimeRow(rt) {
+  const el = $("sysRuntime");
+  if (!el) return;
+  if (!rt) {
+    el.textContent = "—";
+    el.title = "";
+    return;
+  }
+
+  const parts = [t(!rt.in_container ? "system.runtimeHost" : rt.view === "container" ? "system.runtimeContainer" : "system.runtimeContainerHost")];
+  const limits = [
+    rt.cpu?.limit != null ? t("system.runtimeCpus", { n: +rt.cpu.limit.toFixed(2) }) : null,
+    rt.memory?.limit_b != null ? formatBytes(rt.memory.limit_b) : null,
+  ].filter(Boolean);
+  if (limits.length) parts.push(t("system.runtimeLimit", { limits: limits.join(", ") }));
+
+  const view = (v) => t(v === "container" ? "system.runtimeViewContainer" : "system.runtimeViewHost");
+  el.textContent = parts.join(" · ");
+  el.title = t("system.runtimeTitle", { cpu: view(rt.views?.cpu), memory: view(rt.views?.memory), processes: view(rt.views?.processes) });
+  el.classList.toggle("is-warning", !!rt.limited && rt.view !== "container");
+}
+
 // Main UI render
 export function render(data, state, ctx) {
   const ts = data.ts ? new Date(data.ts) : new Date();
@@ -221,7 +253,8 @@ export function render(data, state, ctx) {
   $("uptimePill").textContent = upLine;
   $("summaryBadge").textContent = data.net?.ip || data.net_ip || "—";
 
-  const h = getServerHistory(data);
+  const hBlock = getServerHistory(data);
+  const h = mergeServerHistory(state.lastServerHistory, hBlock);
   if (h) {
     state.lastServerHistory = h;
 
@@ -231,8 +264,17 @@ export function render(data, state, ctx) {
       if (sel) sel.value = String(hm);
     });
 
-    applyServerHistoryToSparks(h, state.historyMinutes);
+    // Windows beyond the raw ring are drawn from the rollup tiers (fetched by the app loop)
+    if (isLongHistoryWindow(state.historyMinutes, h)) {
+      if (state.longHistory?.windowMin === state.historyMinutes) {
+        applyServerHistoryToSparks(state.longHistory, state.historyMinutes);
+      }
+    } else {
+      applyServerHistoryToSparks(h, state.historyMinutes, hBlock);
+    }
   } else {
+    // Delta that does not continue our cursor: ask the loop for a full history next time
+    if (hBlock && !hBlock.full) state.historyResync = true;
     state.lastServerHistory = null;
   }
 
@@ -305,6 +347,8 @@ export function render(data, state, ctx) {
     util: utilStr,
   });
 
+  renderCpuBreakdown(data, state, { sample: !ctx.usingServerHistory() && doSample });
+
   // ---- GPU ----
   const gname = data.gpu_name ?? data.gpu?.primary?.name ?? "—";
   const gtemp = data.gpu_temp_c ?? data.gpu?.primary?.temp_c;
@@ -316,7 +360,11 @@ export function render(data, state, ctx) {
   const gPwr = data.gpu_power_w ?? data.gpu?.primary?.power_w;
   const gLim = data.gpu_power_limit_w ?? data.gpu?.primary?.power_limit_w;
 
-  $("gpuBadge").textContent = gname;
+  const gridded = renderGpus(data, state, { sample: !ctx.usingServerHistory() && doSample });
+  const gp = data.gpu?.primary;
+  $("gpuBadge").textContent = gridded ? t("gpu.count", { n: data.gpu.gpus.length }) : gname;
+  $("gpuBadge").classList.toggle("badge-warning", !!data.gpu?.gpus?.some((g) => g.throttled));
+  $("gpuBadge").title = gp && !gridded ? [gp.vendor, gp.driver, gp.pci, gp.freq_mhz != null ? `${gp.freq_mhz} MHz` : null].filter(Boolean).join(" · ") : "";
   $("gpuTemp").textContent = gtemp == null ? "—" : Number(gtemp).toFixed(0) + "°C";
   $("gpuUtil").textContent = gutil == null ? "—" : Number(gutil).toFixed(0) + "%";
 
@@ -456,11 +504,17 @@ export function render(data, state, ctx) {
   }
 
   // ---- Network ----
-  $("netIface").textContent = data.net?.iface ?? data.net_iface ?? "—";
-  $("netIp").textContent = data.net?.ip ?? data.net_ip ?? "—";
+  // A picked interface overrides the primary; the stacked view replaces both
+  const ni = selectedIface(data);
+  const stacked = renderNetIfaces(data, state, { sample: !ctx.usingServerHistory() && doSample });
+
+  $("netIface").textContent = ni ? ni.name : data.net?.iface ?? data.net_iface ?? "—";
+  $("netIp").textContent = ni ? (ni.addresses?.[0] || "—").split("/")[0] : data.net?.ip ?? data.net_ip ?? "—";
 
-  const down = data.net_down_bps ?? data.netSpeed?.down_bps ?? data.net_down ?? data.net?.down_bps;
-  const upbps = data.net_up_bps ?? data.netSpeed?.up_bps ?? data.net_up ?? data.net?.up_bps;
+  const primDown = data.net_down_bps ?? data.netSpeed?.down_bps ?? data.net_down ?? data.net?.down_bps;
+  const primUp = data.net_up_bps ?? data.netSpeed?.up_bps ?? data.net_up ?? data.net?.up_bps;
+  const down = ni ? ni.down_bps : primDown;
+  const upbps = ni ? ni.up_bps : primUp;
 
   $("netDown").textContent = formatRate(down);
   $("netUp").textContent = formatRate(upbps);
@@ -470,27 +524,18 @@ export function render(data, state, ctx) {
     up: formatRate(upbps),
   });
 
-  $("netBadge").textContent = $("netIface").textContent;
-
-  const dV = Number.isFinite(down) ? Math.max(0, down) : 0;
-  const uV = Number.isFinite(upbps) ? Math.max(0, upbps) : 0;
+  $("netBadge").textContent = stacked ? t("net.ifaceCount", { n: data.net.ifaces.length }) : $("netIface").textContent;
 
   if (!ctx.usingServerHistory() && doSample) {
     const L = maxSparkLen(state.historyMinutes);
-    pushSparkPair("down", dV, L);
-    pushSparkPair("up", uV, L);
+    pushSparkPair("down", Number.isFinite(primDown) ? Math.max(0, primDown) : 0, L);
+    pushSparkPair("up", Number.isFinite(primUp) ? Math.max(0, primUp) : 0, L);
   }
 
-  const downDS = downsample(spark.down, 140);
-  const upDS = downsample(spark.up, 140);
-  const maxDU = Math.max(...downDS, ...upDS, 1e-9);
-
-  const downNorm = downDS.map((x) => x / maxDU);
-  const upNorm = upDS.map((x) => x / maxDU);
-
-  $("netDownSpark")?.setAttribute("d", sparkPath(downNorm, 36));
-  $("netUpSpark")?.setAttribute("d", sparkPath(upNorm, 36));
-  $("netSparkVal").textContent = t("net.maxLine", { max: formatRate(maxDU) });
+  const netPaths = netSparkPaths(ni ? ifaceSeries(state, ni.name) : spark, 36);
+  $("netDownSpark")?.setAttribute("d", netPaths.down);
+  $("netUpSpark")?.setAttribute("d", netPaths.up);
+  $("netSparkVal").textContent = t("net.maxLine", { max: formatRate(netPaths.max) });
 
   // ---- System ----
   const sys = data.system || {};
@@ -512,6 +557,7 @@ export function render(data, state, ctx) {
   $("sysArch").textContent = arch;
   $("sysDesktop").textContent = desktop;
   $("sysSession").textContent = sessionType;
+  renderRuntimeRow(data.runtime);
   $("sysFirmware").textContent = bios.firmware || "—";
   $("sysBiosVer").textContent = bios.version || "—";
   $("sysBiosDate").textContent = bios.date || "—";
@@ -627,5 +673,11 @@ export function render(data, state, ctx) {
   }
 
   updateSpeedtestViews(st, ctx.notifyHeight);
+  renderSensors(data);
+  renderStorageArrays(data);
+  renderTraffic(data);
+  renderProcesses(data);
+  renderContainers(data);
+  applyStaleBadges(data);
   updateRawPanel(data, { minIntervalMs: 3000, maxChars: 800_000, pretty: true });
 }
@@ -0,0 +1,131 @@
+import { $ } from "./dom.js";
+import { escHtml } from "./util.js";
+import { t } from "./i18n.js";
+
+const DIGITS = { temp: 1, fan: 0, voltage: 3, current: 3, power: 2 };
+
+// Option list the CPU sensor <select> was last built from
+let selectSig = "";
+// Key being saved (keeps the select from jumping back until the server confirms)
+let pendingKey = null;
+
+// Build an /api/... URL next to the configured /stats endpoint
+function apiUrl(statsApi, p) {
+  const base = String(statsApi || "/stats").split("?")[0].replace(/\/+$/, "").replace(/\/stats$/, "");
+  return `${base}${p}`;
+}
+
+// Format a sensor value with its unit ("—" when missing)
+function fmtValue(s, v = s.value) {
+  const n = Number(v);
+  if (v == null || !Number.isFinite(n)) return "—";
+  const txt = n.toFixed(DIGITS[s.kind] ?? 1);
+  return s.kind === "temp" ? `${txt}${s.unit}` : `${txt} ${s.unit}`;
+}
+
+// Limits line: "max 84.0°C · crit 100.0°C"
+function fmtLimits(s) {
+  return ["min", "max", "crit", "cap"]
+    .filter((k) => s[k] != null)
+    .map((k) => `${t(`sensors.limit.${k}`)} ${fmtValue(s, s[k])}`)
+    .join(" · ");
+}
+
+// Row level from thresholds: danger at crit, warning at max (or a fan below min)
+function sensorLevel(s) {
+  const v = Number(s.value);
+  if (!Number.isFinite(v)) return "";
+  if (s.crit != null && v >= s.crit) return "is-danger";
+  if (s.max != null && v >= s.max) return "is-warning";
+  if (s.kind === "fan" && s.min != null && v < s.min) return "is-warning";
+  return "";
+}
+
+// Rebuild the CPU sensor options when the set of temperature sensors changes
+function renderCpuSelect(snap, temps) {
+  const sel = $("sensorsCpuSelect");
+  if (!sel) return;
+
+  const auto = snap?.cpu && snap.cpu.mode === "auto" ? t("sensors.autoWith", { sensor: `${snap.cpu.chip} · ${snap.cpu.label}` }) : t("sensors.auto");
+  const sig = JSON.stringify([auto, temps.map((s) => s.key)]);
+  if (sig !== selectSig) {
+    selectSig = sig;
+    sel.innerHTML = [
+      `<option value="">${escHtml(auto)}</option>`,
+      ...temps.map((s) => `<option value="${escHtml(s.key)}">${escHtml(`${s.chip} · ${s.label}`)}</option>`),
+    ].join("");
+  }
+
+  if (pendingKey == null && document.activeElement !== sel) sel.value = snap?.cpu_sensor || "";
+}
+
+// Render the Sensors card (grouped by chip)
+export function renderSensors(data) {
+  const snap = data?.sensors || null;
+  const list = Array.isArray(snap?.sensors) ? snap.sensors : [];
+  const cpuKey = snap?.cpu?.key || null;
+
+  const badge = $("sensorsBadge");
+  if (badge) badge.textContent = list.length ? t("sensors.count", { n: list.length }) : "—";
+
+  renderCpuSelect(snap, list.filter((s) => s.kind === "temp"));
+
+  const warn = $("sensorsCpuMissing");
+  warn?.classList.toggle("is-hidden", !snap?.cpu?.missing);
+
+  const box = $("sensorsList");
+  if (!box) return;
+
+  if (!list.length) {
+    box.innerHTML = `<div class="sensors-empty text-muted">${escHtml(t("sensors.none"))}</div>`;
+    return;
+  }
+
+  const chips = new Map();
+  for (const s of list) {
+    const id = `${s.chip}\u0000${s.device || ""}`;
+    if (!chips.has(id)) chips.set(id, { chip: s.chip, device: s.device, rows: [] });
+    chips.get(id).rows.push(s);
+  }
+
+  box.innerHTML = [...chips.values()]
+    .map((c) => {
+      const rows = c.rows
+        .map((s) => {
+          const limits = fmtLimits(s);
+          const cpu = s.key === cpuKey ? ` <span class="badge badge-success sensor-cpu">${escHtml(t("sensors.cpu"))}</span>` : "";
+          return `
+          <div class="sensor-row ${sensorLevel(s)}" title="${escHtml(s.key)}">
+            <span class="sensor-label">${escHtml(s.label)}${cpu}</span>
+            <span class="sensor-value mono">${escHtml(fmtValue(s))}</span>
+            ${limits ? `<span class="sensor-limits mono text-muted">${escHtml(limits)}</span>` : ""}
+          </div>`;
+        })
+        .join("");
+      const dev = c.device ? ` <span class="text-muted mono">${escHtml(c.device)}</span>` : "";
+      return `<div class="sensor-chip"><div class="sensor-chip-name">${escHtml(c.chip)}${dev}</div>${rows}</div>`;
+    })
+    .join("");
+}
+
+// Wire the CPU temperature sensor picker (admin only on the server)
+export function initSensorsCard(getStatsApi) {
+  const sel = $("sensorsCpuSelect");
+  if (!sel || sel._sensorsBound) return;
+  sel._sensorsBound = true;
+
+  sel.addEventListener("change", async () => {
+    pendingKey = sel.value;
+    try {
+      const url = apiUrl(getStatsApi(), `/api/sensors/cpu?sensor=${encodeURIComponent(sel.value)}`);
+      const r = await fetch(url, { method: "POST", cache: "no-store" });
+      if (!r.ok) throw new Error(t("http.errorLine", { code: r.status }));
+      const snap = await r.json();
+      sel.value = snap?.cpu_sensor || "";
+    } catch (e) {
+      console.error("sensor config error:", e);
+    } finally {
+      pendingKey = null;
+    }
+  });
+}
@@ -1,5 +1,6 @@
 import { clamp, toGiB, escHtml } from "./util.js";
 import { t } from "./i18n.js";
+import { CPU_MODE_KEYS, dynamicHistoryKeys } from "./history.js";
 
 // In-memory spark buffers
 export const spark = {
@@ -153,10 +154,12 @@ export function sliceServerHistoryToMinutes(h, minutes) {
     ...h,
     ts: cut(h.ts),
     cpu1: cut(h.cpu1), cpu5: cut(h.cpu5), cpu15: cut(h.cpu15), cpu_util: cut(h.cpu_util),
+    ...Object.fromEntries(CPU_MODE_KEYS.map((k) => [k, cut(h[k])])),
     gpu: cut(h.gpu), vram: cut(h.vram),
     ram_used: cut(h.ram_used), ram_free: cut(h.ram_free),
     swap_used: cut(h.swap_used),
     down: cut(h.down), up: cut(h.up),
+    ...Object.fromEntries(dynamicHistoryKeys(h).map((k) => [k, cut(h[k])])),
   };
 }
 
@@ -168,9 +171,77 @@ export function swapPctFromBytes(usedBytes, totalBytes) {
   return clamp((used / total) * 100, 0, 100);
 }
 
+// Window/cursor the spark buffers were last built for (delta merge bookkeeping)
+let sparkBuiltFor = { minutes: null, cursor: null };
+
+// Append a server history delta to spark buffers and drop samples older than the window
+function mergeHistoryDeltaIntoSparks(delta, mirror, historyMinutes) {
+  const n = delta.ts.length;
+  if (n) {
+    const col = (arr) => (arr.length ? arr : new Array(n).fill(0));
+
+    spark.cpu1.push(...col(delta.cpu1));
+    spark.cpu5.push(...col(delta.cpu5));
+    spark.cpu15.push(...col(delta.cpu15));
+    spark.cpu_util.push(...col(delta.cpu_util));
+
+    spark.gpu.push(...col(delta.gpu));
+    spark.vram.push(...col(delta.vram));
+
+    spark.ram_used.push(...col(delta.ram_used).map((b) => toGiB(b)));
+    spark.ram_free.push(...col(delta.ram_free).map((b) => toGiB(b)));
+
+    const swapRaw = col(delta.swap_used);
+    spark._swap_used_raw = (spark._swap_used_raw || []).concat(swapRaw);
+    const swapTotal = Number(mirror?.mem?.swap_total || 0);
+    if (Number.isFinite(swapTotal) && swapTotal > 0) {
+      spark.swap_pct.push(...swapRaw.map((b) => swapPctFromBytes(b, swapTotal)));
+    }
+
+    spark.down.push(...col(delta.down));
+    spark.up.push(...col(delta.up));
+
+    for (const k of Object.keys(sparkTs)) sparkTs[k].push(...delta.ts);
+  }
+
+  // Trim everything older than the selected window (ts-aligned from the end)
+  const ts = sparkTs.cpu1;
+  const m = Number(historyMinutes);
+  if (ts.length && Number.isFinite(m) && m > 0) {
+    const unit = detectTsUnit(ts);
+    const now = Date.now();
+    const cutoff = unit === "ms" ? (now - m * 60 * 1000) : (Math.floor(now / 1000) - m * 60);
+    let i0 = 0;
+    while (i0 < ts.length - 1 && Number(ts[i0]) < cutoff) i0++;
+    if (i0 > 0) {
+      const keep = ts.length - i0;
+      for (const k of Object.keys(spark)) {
+        if (Array.isArray(spark[k]) && spark[k].length > keep) spark[k].splice(0, spark[k].length - keep);
+      }
+      for (const k of Object.keys(sparkTs)) {
+        if (sparkTs[k].length > keep) sparkTs[k].splice(0, sparkTs[k].length - keep);
+      }
+    }
+  }
+  return true;
+}
+
 // Apply server history arrays into spark buffers
-export function applyServerHistoryToSparks(h, historyMinutes) {
+// - h: full client-side mirror of the server history
+// - delta (optional): the block just merged into h; appended in place when it continues our buffers
+export function applyServerHistoryToSparks(h, historyMinutes, delta = null) {
   if (!h) return false;
+
+  if (delta && !delta.full && sparkBuiltFor.minutes === historyMinutes) {
+    if (delta.cursor === sparkBuiltFor.cursor) return true;
+    if (delta.since === sparkBuiltFor.cursor) {
+      mergeHistoryDeltaIntoSparks(delta, h, historyMinutes);
+      sparkBuiltFor.cursor = delta.cursor;
+      return true;
+    }
+  }
+
+  sparkBuiltFor = { minutes: historyMinutes, cursor: h.cursor ?? null };
   const hh = sliceServerHistoryToMinutes(h, historyMinutes);
   if (!hh) return false;
 
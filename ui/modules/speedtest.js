@@ -139,7 +139,7 @@ export async function stFetchSnapshot(apiBase) {
 export async function stSetInterval(apiBase, min) {
   const stats = apiBase.endsWith("/stats") ? apiBase : apiBase.replace(/\/+$/, "") + "/stats";
   const url = `${stats}/speedtest/config?interval=${encodeURIComponent(min)}`;
-  const r = await fetch(url, { cache: "no-store" });
+  const r = await fetch(url, { method: "POST", cache: "no-store" });
   if (!r.ok) throw new Error(t("http.errorLine", { code: r.status }));
   return r.json();
 }
@@ -148,7 +148,7 @@ export async function stSetInterval(apiBase, min) {
 export async function stRun(apiBase) {
   const stats = apiBase.endsWith("/stats") ? apiBase : apiBase.replace(/\/+$/, "") + "/stats";
   const url = `${stats}/speedtest/run`;
-  const r = await fetch(url, { cache: "no-store" });
+  const r = await fetch(url, { method: "POST", cache: "no-store" });
   if (!r.ok) throw new Error(t("http.errorLine", { code: r.status }));
   return r.json();
 }
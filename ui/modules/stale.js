@@ -0,0 +1,67 @@
+import { t } from "./i18n.js";
+
+// Cards fed by background collectors (see /stats -> collectors)
+const CARD_SOURCES = {
+  system: ["system", "bios"],
+  gpu: ["gpu"],
+  disks: ["disks", "lsblk"],
+  sensors: ["sensors"],
+  arrays: ["storage"],
+  processes: ["processes"],
+  containers: ["containers"],
+};
+
+// Short age text: 45s / 3m / 2h
+function fmtAge(ms) {
+  const s = Math.max(0, Math.round(Number(ms) / 1000));
+  if (!Number.isFinite(s)) return "?";
+  if (s < 120) return `${s}s`;
+  if (s < 7200) return `${Math.round(s / 60)}m`;
+  return `${Math.round(s / 3600)}h`;
+}
+
+// Badge text for a collector/disk status (null when the data is fresh)
+export function staleText(meta) {
+  const s = meta?.status;
+  if (!s || s === "ok" || s === "pending") return null;
+  if (s === "stale") return t("stale.badge", { age: fmtAge(meta.age_ms) });
+  if (s === "timeout") return t("stale.timeout");
+  return t("stale.error");
+}
+
+// Tooltip for a status badge (why the data is not fresh)
+export function staleTitle(meta) {
+  return meta?.error || meta?.last_error || "";
+}
+
+// Show, update or remove the status badge in a card header
+function setHeaderBadge(headerEl, meta) {
+  let b = headerEl.querySelector(".stale-badge");
+  const text = staleText(meta);
+
+  if (!text) {
+    b?.remove();
+    return;
+  }
+
+  if (!b) {
+    b = document.createElement("span");
+    b.className = "badge badge-warning mono stale-badge";
+    headerEl.appendChild(b);
+  }
+
+  b.classList.toggle("badge-danger", meta.status !== "stale");
+  b.classList.toggle("badge-warning", meta.status === "stale");
+  b.textContent = text;
+  b.title = staleTitle(meta);
+}
+
+// Per-card "stale data" badges from collector status
+export function applyStaleBadges(data) {
+  const cols = data?.collectors || {};
+
+  for (const [card, keys] of Object.entries(CARD_SOURCES)) {
+    const meta = keys.map((k) => cols[k]).find((m) => staleText(m)) || null;
+    document.querySelectorAll(`[data-card="${card}"] > .card-header`).forEach((el) => setHeaderBadge(el, meta));
+  }
+}
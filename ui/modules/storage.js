@@ -12,6 +12,8 @@ export const KEYS = {
   CARDS_ORDER_KEY: "stats_ui_cards_order_v1",
   DISK_COLS_KEY: "stats_ui_disk_cols",
   DISK_LAYOUT_KEY_PREFIX: "stats_ui_disks_layout_v1_cols_",
+  NET_VIEW_KEY: "stats_ui_net_view",
+  PROC_SORT_KEY: "stats_ui_proc_sort_v1",
 };
 
 // Read a string value from localStorage with fallback
@@ -96,7 +96,12 @@ function viewDownsample(key, target = 140) {
 
 // Initialize all card tooltips
 export function setupTooltips(getHistoryMinutes) {
-    const fmtWindowLabel = () => t("tip.window", { n: Number(getHistoryMinutes()) || 0 });
+    const fmtWindowLabel = () => {
+        const n = Number(getHistoryMinutes()) || 0;
+        if (n >= 1440 && n % 1440 === 0) return t("tip.windowDays", { n: n / 1440 });
+        if (n >= 360 && n % 60 === 0) return t("tip.windowHours", { n: n / 60 });
+        return t("tip.window", { n });
+    };
 
     // CPU tooltip
     const cpuSvg = document.querySelector('[data-card="cpu"] .sparkline svg');
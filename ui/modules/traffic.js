@@ -0,0 +1,95 @@
+import { $ } from "./dom.js";
+import { clamp, escHtml, formatBytes, pctColorCss } from "./util.js";
+import { t, formatDate } from "./i18n.js";
+
+// "↓ 1.2 GB · ↑ 300.0 MB"
+function fmtPair(p) {
+  return `↓ ${formatBytes(p?.rx_b)} · ↑ ${formatBytes(p?.tx_b)}`;
+}
+
+// Daily usage bars of the current cycle (one bar per day, today highlighted last)
+function dayBarsHtml(c) {
+  const days = c.days || [];
+  const n = Math.max(1, c.days_total || days.length);
+  const max = Math.max(...days.map((d) => d.rx_b + d.tx_b), 1);
+  const w = 100 / n;
+  const start = new Date(c.start);
+
+  const bars = days
+    .map((d) => {
+      const [y, m, dd] = d.day.split("-").map(Number);
+      const i = Math.round((new Date(y, m - 1, dd) - start) / 86400000);
+      const h = Math.max(1, ((d.rx_b + d.tx_b) / max) * 24);
+      return `<rect x="${(i * w + w * 0.15).toFixed(2)}" y="${(24 - h).toFixed(2)}" width="${(w * 0.7).toFixed(2)}" height="${h.toFixed(2)}"><title>${escHtml(
+        `${formatDate(new Date(y, m - 1, dd))}: ${fmtPair(d)}`
+      )}</title></rect>`;
+    })
+    .join("");
+  return `<svg class="traffic-days" viewBox="0 0 100 24" preserveAspectRatio="none" aria-hidden="true">${bars}</svg>`;
+}
+
+// Quota progress bar with used / remaining / projected figures
+function quotaHtml(c) {
+  const pct = clamp(Number(c.used_pct) || 0, 0, 100);
+  const over = c.projected_pct != null && c.projected_pct > 100;
+  return `
+    <div class="progress-info traffic-line">
+      <span class="mono">${escHtml(t("traffic.usedOf", { used: formatBytes(c.used_b), quota: formatBytes(c.quota_b), pct: (c.used_pct ?? 0).toFixed(1) }))}</span>
+      <span class="mono text-muted">${escHtml(t("traffic.remaining", { left: formatBytes(c.remaining_b) }))}</span>
+    </div>
+    <div class="progress traffic-bar"><div class="progress-bar" style="width:${pct.toFixed(1)}%;background:${pctColorCss(pct)}"></div></div>
+    <div class="traffic-line mono ${over ? "is-warning" : "text-muted"}">${escHtml(
+      t("traffic.projected", { bytes: formatBytes(c.projected_b), pct: (c.projected_pct ?? 0).toFixed(0) })
+    )}</div>`;
+}
+
+// Render the Traffic card (per-interface totals and billing cycle)
+export function renderTraffic(data) {
+  const snap = data?.traffic || null;
+  const list = Array.isArray(snap?.ifaces) ? snap.ifaces : [];
+
+  const badge = $("trafficBadge");
+  if (badge) {
+    const q = list.find((x) => x.cycle?.quota_b);
+    badge.textContent = q ? t("traffic.badge", { iface: q.name, pct: (q.cycle.used_pct ?? 0).toFixed(0) }) : list.length ? t("traffic.count", { n: list.length }) : "—";
+    badge.classList.toggle("badge-danger", !!q && q.cycle.used_pct >= 100);
+    badge.classList.toggle("badge-warning", !!q && q.cycle.used_pct < 100 && q.cycle.projected_pct > 100);
+  }
+
+  const box = $("trafficList");
+  if (!box) return;
+
+  if (!list.length) {
+    box.innerHTML = `<div class="traffic-note text-muted">${escHtml(t("traffic.none"))}</div>`;
+    return;
+  }
+
+  box.innerHTML = list
+    .map((x) => {
+      const c = x.cycle;
+      const cycleTitle = t("traffic.cycle", {
+        day: c.day,
+        days: c.days_total,
+        end: formatDate(new Date(c.end), { day: "numeric", month: "short" }),
+      });
+      const body = c.quota_b
+        ? quotaHtml(c)
+        : `<div class="traffic-line mono text-muted">${escHtml(
+            t("traffic.cycleUsed", { used: formatBytes(c.used_b), projected: formatBytes(c.projected_b) })
+          )}</div>`;
+      return `
+      <div class="traffic-item">
+        <div class="traffic-head">
+          <span class="traffic-name mono">${escHtml(x.name)}</span>
+          <span class="traffic-cycle text-muted">${escHtml(cycleTitle)}</span>
+        </div>
+        <div class="traffic-periods mono">
+          <span><span class="text-muted">${escHtml(t("traffic.today"))}</span> ${escHtml(fmtPair(x.today))}</span>
+          <span><span class="text-muted">${escHtml(t("traffic.month"))}</span> ${escHtml(fmtPair(x.month))}</span>
+        </div>
+        ${body}
+        ${dayBarsHtml(c)}
+      </div>`;
+    })
+    .join("");
+}